@@ -40,8 +40,52 @@ const config = {
     game: {
         abandonTimeout: parseInt(process.env.ABANDON_TIMEOUT || '60000', 10), // 60 seconds before considering player abandoned
         matchmakingInterval: parseInt(process.env.MATCHMAKING_INTERVAL || '5000', 10), // Check for matches every 5 seconds
+        eloWindowBase: parseInt(process.env.ELO_WINDOW_BASE || '100', 10), // Initial +/- Elo range a queued player accepts
+        eloWindowGrowth: parseInt(process.env.ELO_WINDOW_GROWTH || '5', 10), // Elo added to the range per second of waiting
+        eloWindowMax: parseInt(process.env.ELO_WINDOW_MAX || '500', 10), // Widest +/- Elo range
+        matchAcceptTimeout: parseInt(process.env.MATCH_ACCEPT_TIMEOUT || '15000', 10), // 15 seconds to accept a found match
+        queueRestoreWindow: parseInt(process.env.QUEUE_RESTORE_WINDOW || '300000', 10), // 5 minutes to keep queue entries across a restart
+        queueDisconnectGrace: parseInt(process.env.QUEUE_DISCONNECT_GRACE || '60000', 10), // 60 seconds offline before a queued player loses their place
         reconnectWindow: parseInt(process.env.RECONNECT_WINDOW || '120000', 10), // 2 minutes to reconnect to game
-        maxPlayers: parseInt(process.env.MAX_PLAYERS || '2', 10) // Maximum players per room
+        lobbyReconnectWindow: parseInt(process.env.LOBBY_RECONNECT_WINDOW || '15000', 10), // 15 seconds to come back to a waiting room before losing the seat
+        maxPlayers: parseInt(process.env.MAX_PLAYERS || '2', 10), // Maximum players per room
+        maxActiveGames: parseInt(process.env.MAX_ACTIVE_GAMES || '1000', 10), // Rooms allowed at once unless overridden in the admin settings
+        duelInviteTimeout: parseInt(process.env.DUEL_INVITE_TIMEOUT || '60000', 10), // 60 seconds to answer a duel challenge
+        tickRate: parseInt(process.env.TICK_RATE || '20', 10), // Simulation ticks per second
+        snapshotInterval: parseInt(process.env.SNAPSHOT_INTERVAL || '2', 10), // Broadcast a state snapshot every N ticks
+        spectatorDelay: parseInt(process.env.SPECTATOR_DELAY || '5000', 10), // Spectators see the game 5 seconds behind the players
+        rpsRoundTime: parseInt(process.env.RPS_ROUND_TIME || '10000', 10), // 10 seconds to pick a rock-paper-scissors move
+        rpsResultPause: parseInt(process.env.RPS_RESULT_PAUSE || '2000', 10), // Pause after a result before the next round
+        replayFrameInterval: parseInt(process.env.REPLAY_FRAME_INTERVAL || '10', 10) // Record unit positions in replays every N ticks
+    },
+    
+    // Rating settings
+    rating: {
+        system: process.env.RATING_SYSTEM || 'elo', // 'elo' or 'glicko2', until changed in the admin settings
+        provisionalGames: parseInt(process.env.PROVISIONAL_GAMES || '10', 10), // Rated games before a rating counts as established
+        initialDeviation: parseFloat(process.env.RATING_INITIAL_DEVIATION || '350'), // Glicko-2 deviation of a new rating, also its upper bound
+        initialVolatility: parseFloat(process.env.RATING_INITIAL_VOLATILITY || '0.06'), // Glicko-2 volatility of a new rating
+        glickoTau: parseFloat(process.env.GLICKO_TAU || '0.5'), // Limits how quickly Glicko-2 volatility changes
+        ratingPeriodDays: parseInt(process.env.RATING_PERIOD_DAYS || '7', 10), // Each idle period widens a Glicko-2 deviation
+        leaderboardMaxDeviation: parseFloat(process.env.LEADERBOARD_MAX_DEVIATION || '110') // Glicko-2 ratings less certain than this stay off leaderboards
+    },
+    
+    // Room chat settings
+    chat: {
+        maxLength: parseInt(process.env.CHAT_MAX_LENGTH || '200', 10), // Longest accepted message in characters
+        historySize: parseInt(process.env.CHAT_HISTORY_SIZE || '200', 10), // Messages kept per room for late joiners
+        rateLimitCount: parseInt(process.env.CHAT_RATE_LIMIT || '5', 10), // Messages a player may send per window
+        rateLimitWindow: parseInt(process.env.CHAT_RATE_WINDOW || '10000', 10), // 10 second rate limit window
+        profanityFilter: process.env.CHAT_PROFANITY_FILTER !== 'false', // Mask blocked words in messages
+        blockedWords: (process.env.CHAT_BLOCKED_WORDS || '').split(',').map(word => word.trim()).filter(Boolean) // Added to the built-in list
+    },
+    
+    // Logging settings
+    logging: {
+        bufferSize: parseInt(process.env.LOG_BUFFER_SIZE || '1000', 10), // Recent entries kept in memory for the admin console
+        toFile: process.env.LOG_TO_FILE === 'true', // Also append entries to JSON-lines files under the db directory
+        maxFileSize: parseInt(process.env.LOG_MAX_FILE_SIZE || '5242880', 10), // Rotate the log file once it reaches 5 MB
+        maxFiles: parseInt(process.env.LOG_MAX_FILES || '5', 10) // Rotated log files to keep
     },
     
     // Paths
@@ -1,7 +1,13 @@
 /**
  * Logging Configuration
  * Centralized logging system with categories and verbosity levels
+ * Entries are also kept in a bounded in-memory buffer for the admin console
+ * and can be appended to rotating JSON-lines files under the db directory
  */
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const config = require('./config');
 
 // Environment configuration for logging
 const DEBUG_MODE = process.env.DEBUG_MODE === 'true';
@@ -30,6 +36,7 @@ const logCategories = {
     CONNECTIONS: true,      // User connections and disconnections
     ROOM_EVENTS: true,      // Room creation, deletion, joining, leaving
     MATCHMAKING: true,      // Matchmaking attempts and results
+    SOCIAL: true,           // Friend requests, blocks and duel challenges
     GAME_EVENTS: false,     // In-game actions (unit spawning, attacks, etc.)
     PLAYER_READY: false,    // Player ready status changes
     AUTH_EVENTS: false,     // Login, signup, auth events
@@ -37,13 +44,189 @@ const logCategories = {
     ERRORS: true            // Always log errors (can't be disabled)
 };
 
+// Levels from least to most severe; filtering by a level includes everything above it
+const LOG_LEVELS = ['debug', 'info', 'success', 'warn', 'error'];
+
+// Ring buffer of the most recent entries; the oldest entry is overwritten first
+const logBuffer = new Array(Math.max(config.logging.bufferSize, 1));
+let bufferStart = 0;
+let bufferLength = 0;
+let nextEntryId = 1;
+
+// Emits 'entry' with every recorded entry, for live tails
+const logEvents = new EventEmitter();
+logEvents.setMaxListeners(0);
+
+// JSON-lines file output
+const LOG_DIR = path.join(config.paths.dbDir, 'logs');
+const LOG_FILE = 'server.jsonl';
+let logFileEnabled = config.logging.toFile;
+let logStream = null;
+let logFileSize = 0;
+
+/**
+ * Open the current log file for appending
+ */
+function openLogFile() {
+    fs.mkdirSync(LOG_DIR, { recursive: true });
+    const file = path.join(LOG_DIR, LOG_FILE);
+    logFileSize = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    // Open synchronously so the file exists before the first rotation
+    logStream = fs.createWriteStream(null, { fd: fs.openSync(file, 'a') });
+    logStream.on('error', (error) => {
+        // Not logged through log() to avoid writing to the failing file again
+        console.error(`[ERROR] Log file disabled: ${error.message}`);
+        logFileEnabled = false;
+        logStream = null;
+    });
+}
+
+/**
+ * Move the current log file aside under a timestamped name, drop the oldest
+ * rotated files beyond the configured count and start a new file
+ */
+function rotateLogFile() {
+    logStream.end();
+    logStream = null;
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    fs.renameSync(path.join(LOG_DIR, LOG_FILE), path.join(LOG_DIR, `server-${stamp}.jsonl`));
+
+    const rotated = fs.readdirSync(LOG_DIR)
+        .filter(file => /^server-.+\.jsonl$/.test(file))
+        .sort();
+    rotated.slice(0, Math.max(rotated.length - config.logging.maxFiles, 0))
+        .forEach(file => fs.unlinkSync(path.join(LOG_DIR, file)));
+
+    openLogFile();
+}
+
+/**
+ * Append an entry to the log file, rotating it once it is full
+ * @param {Object} entry - The log entry
+ */
+function writeLogFile(entry) {
+    try {
+        if (!logStream) openLogFile();
+
+        const line = `${JSON.stringify(entry)}\n`;
+        logStream.write(line);
+        logFileSize += Buffer.byteLength(line);
+
+        if (logFileSize >= config.logging.maxFileSize) {
+            rotateLogFile();
+        }
+    } catch (error) {
+        console.error(`[ERROR] Log file disabled: ${error.message}`);
+        logFileEnabled = false;
+        logStream = null;
+    }
+}
+
+/**
+ * Store an entry in the buffer, the log file and the live tails
+ * @param {string} message - Message to log
+ * @param {string} level - Log level
+ * @param {string|null} category - Log category
+ * @param {Object} context - Optional userId and roomId the entry is about
+ */
+function recordEntry(message, level, category, { userId, roomId } = {}) {
+    const entry = {
+        id: nextEntryId++,
+        timestamp: new Date().toISOString(),
+        level,
+        category,
+        message
+    };
+    if (userId !== undefined && userId !== null) entry.userId = userId;
+    if (roomId !== undefined && roomId !== null) entry.roomId = roomId;
+
+    const index = (bufferStart + bufferLength) % logBuffer.length;
+    logBuffer[index] = entry;
+    if (bufferLength < logBuffer.length) {
+        bufferLength++;
+    } else {
+        bufferStart = (bufferStart + 1) % logBuffer.length;
+    }
+
+    if (logFileEnabled) {
+        writeLogFile(entry);
+    }
+
+    logEvents.emit('entry', entry);
+}
+
+/**
+ * Check an entry against a filter
+ * @param {Object} entry - The log entry
+ * @param {Object} filter - Filter options
+ * @param {string} filter.level - Minimum level
+ * @param {string} filter.category - Exact category
+ * @param {string} filter.search - Case-insensitive text in the message
+ * @param {number} filter.userId - Only entries about this user
+ * @param {string} filter.roomId - Only entries about this room
+ * @returns {boolean} Whether the entry matches
+ */
+function matchesLogFilter(entry, { level, category, search, userId, roomId } = {}) {
+    if (level && LOG_LEVELS.indexOf(entry.level) < LOG_LEVELS.indexOf(level)) return false;
+    if (category && entry.category !== category) return false;
+    if (userId && entry.userId !== userId) return false;
+    if (roomId && entry.roomId !== roomId) return false;
+    if (search && !entry.message.toLowerCase().includes(search.toLowerCase())) return false;
+    return true;
+}
+
+/**
+ * Get the most recent buffered entries matching a filter, oldest first
+ * @param {Object} filter - Filter options, see matchesLogFilter
+ * @param {number} filter.limit - Maximum number of entries
+ * @returns {Array<Object>} Matching entries
+ */
+function queryLogs({ limit = 200, ...filter } = {}) {
+    const entries = [];
+    for (let i = bufferLength - 1; i >= 0 && entries.length < limit; i--) {
+        const entry = logBuffer[(bufferStart + i) % logBuffer.length];
+        if (matchesLogFilter(entry, filter)) {
+            entries.push(entry);
+        }
+    }
+    return entries.reverse();
+}
+
+/**
+ * Empty the in-memory buffer; log files are kept
+ * @returns {number} Number of removed entries
+ */
+function clearLogs() {
+    const removed = bufferLength;
+    logBuffer.fill(undefined);
+    bufferStart = 0;
+    bufferLength = 0;
+    return removed;
+}
+
+/**
+ * Turn a log category on or off
+ * @param {string} category - Category name
+ * @param {boolean} enabled - Whether the category is logged
+ * @returns {boolean} False for unknown categories and for ERRORS, which is always on
+ */
+function setLogCategory(category, enabled) {
+    if (!Object.prototype.hasOwnProperty.call(logCategories, category) || category === 'ERRORS') {
+        return false;
+    }
+    logCategories[category] = Boolean(enabled);
+    return true;
+}
+
 /**
  * Consistent logging function across the application
  * @param {string} message - Message to log
  * @param {string} level - Log level (info, debug, warn, error, success)
  * @param {string} category - Log category for filtering
+ * @param {Object} context - Optional userId and roomId the entry is about
  */
-function log(message, level = 'info', category = null) {
+function log(message, level = 'info', category = null, context = {}) {
     // Always log errors regardless of settings
     if (level === 'error') {
         serverStats.errors++;
@@ -52,6 +235,7 @@ function log(message, level = 'info', category = null) {
         if (VERBOSE_LOGGING) {
             console.error(`Stack trace:\n${stack}`);
         }
+        recordEntry(message, level, category || 'ERRORS', context);
         return;
     }
     
@@ -96,11 +280,18 @@ function log(message, level = 'info', category = null) {
     }
     
     console.log(`${logPrefix} ${message}`);
+    recordEntry(message, level, category, context);
 }
 
 module.exports = {
     log,
     logCategories,
+    logEvents,
+    LOG_LEVELS,
+    queryLogs,
+    clearLogs,
+    matchesLogFilter,
+    setLogCategory,
     serverStats,
     DEBUG_MODE,
     VERBOSE_LOGGING
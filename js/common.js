@@ -7,6 +7,10 @@ document.addEventListener('DOMContentLoaded', function() {
     // Create language selector
     createLanguageSelector('language-selector');
     
+    // Maintenance banner; pages with a socket forward live changes as 'site-settings'
+    loadSiteSettings();
+    document.addEventListener('site-settings', (e) => applySiteSettings(e.detail));
+    
     // Connect to Socket.IO
     // const title = document.querySelector('h1');
     PageStyleButton();
@@ -43,6 +47,45 @@ async function PageStyleButton()
 
     // });
 }
+async function loadSiteSettings() {
+    try {
+        const response = await fetch('/api/settings');
+        if (response.ok) {
+            applySiteSettings(await response.json());
+        }
+    } catch (error) {
+        console.error('Error loading site settings', error);
+    }
+}
+
+// The built-in name is translated through i18n; a renamed site shows its name as is
+const DEFAULT_SITE_NAME = '天下太平';
+
+// Apply the site name and show or hide the maintenance banner at the top of the page
+function applySiteSettings(settings) {
+    if (settings.siteName && settings.siteName !== DEFAULT_SITE_NAME) {
+        document.querySelectorAll('.site-title').forEach(title => {
+            title.removeAttribute('data-i18n');
+            title.textContent = settings.siteName;
+        });
+    }
+
+    let banner = document.getElementById('maintenance-banner');
+    if (!settings.maintenanceMode) {
+        banner?.remove();
+        return;
+    }
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'maintenance-banner';
+        banner.className = 'maintenance-banner';
+        banner.setAttribute('role', 'status');
+        banner.setAttribute('data-i18n', 'maintenance_notice');
+        banner.textContent = i18n.translate('maintenance_notice');
+        document.body.prepend(banner);
+    }
+}
+
 //well, check auth! and change the thing on the top right
 async function checkAuth() {
     try {
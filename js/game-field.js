@@ -0,0 +1,125 @@
+// Battlefield rendering shared by the game room and the replay viewer.
+// The page provides the field markup: .game-field, .tower.left/.right with a
+// .barrier-image and .player-info.left/.right with .gold-amount and .hp-fill
+
+// Shared unit definitions, loaded as a classic script before the page module
+const GameUnits = window.GameUnits;
+
+function createFieldRenderer() {
+    let units = [];
+
+    function spawnUnit(unitData) {
+        // Ignore units we already render
+        if (units.some(u => u.id === unitData.id)) {
+            return;
+        }
+        units.push({ ...unitData });
+
+        // Create unit element
+        const unitElement = document.createElement('div');
+        unitElement.className = `unit ${unitData.type} ${unitData.isLeftPlayer ? 'left' : 'right'}`;
+        unitElement.id = `unit-${unitData.id}`;
+        unitElement.style.left = `${unitData.x}px`;
+        unitElement.style.top = `${unitData.y}px`;
+        const size = GameUnits.UNIT_TRAITS[unitData.type]?.size || 32;
+        unitElement.style.width = `${size}px`;
+        unitElement.style.height = `${size}px`;
+        unitElement.style.position = 'absolute';
+
+        // Add unit image
+        const unitImage = document.createElement('img');
+        unitImage.src = `images/${GameUnits.UNIT_TRAITS[unitData.type]?.image || unitData.type}.png`;
+        unitImage.alt = unitData.type;
+        unitImage.style.width = '100%';
+        unitImage.style.height = '100%';
+        unitElement.appendChild(unitImage);
+
+        // Add to game field
+        document.querySelector('.game-field').appendChild(unitElement);
+
+        if (unitData.type === 'barrier') {
+            setupBarrier(unitData, unitElement);
+        }
+    }
+
+    function setupBarrier(unitData, unitElement) {
+        // Overlay the barrier image on the tower
+        setBarrierVisible(unitData.isLeftPlayer, true);
+        // Remove the floating barrier unit from the field (if any)
+        if (unitElement && unitElement.parentNode) {
+            unitElement.parentNode.removeChild(unitElement);
+        }
+    }
+
+    function setBarrierVisible(isLeft, visible) {
+        const towerSelector = isLeft ? '.tower.left .barrier-image' : '.tower.right .barrier-image';
+        const barrierImg = document.querySelector(towerSelector);
+        if (barrierImg) {
+            barrierImg.style.display = visible ? 'block' : 'none';
+        }
+    }
+
+    // Render a server snapshot: the server owns positions, health and gold
+    function renderSnapshot(snapshot) {
+        const liveIds = new Set(snapshot.units.map(u => u.id));
+
+        // Remove units that died since the last snapshot
+        units.forEach(unit => {
+            if (!liveIds.has(unit.id)) {
+                const unitElement = document.getElementById(`unit-${unit.id}`);
+                if (unitElement) unitElement.remove();
+            }
+        });
+        units = units.filter(u => liveIds.has(u.id));
+
+        // Create new units and move existing ones
+        snapshot.units.forEach(unitData => {
+            const existing = units.find(u => u.id === unitData.id);
+            if (!existing) {
+                spawnUnit(unitData);
+                return;
+            }
+            Object.assign(existing, unitData);
+            const unitElement = document.getElementById(`unit-${unitData.id}`);
+            if (unitElement) {
+                unitElement.style.left = `${unitData.x}px`;
+                unitElement.style.top = `${unitData.y}px`;
+            }
+        });
+
+        // Barrier overlays follow whether each side still has a barrier
+        setBarrierVisible(true, snapshot.units.some(u => u.type === 'barrier' && u.isLeftPlayer));
+        setBarrierVisible(false, snapshot.units.some(u => u.type === 'barrier' && !u.isLeftPlayer));
+
+        // Tower health and gold for both players
+        snapshot.players.forEach(player => {
+            const hpBar = document.querySelector(`.player-info.${player.side} .hp-fill`);
+            if (hpBar && player.towerMaxHealth) {
+                hpBar.style.width = `${Math.max(0, player.towerHealth / player.towerMaxHealth * 100)}%`;
+            }
+            const goldElement = document.querySelector(`.player-info.${player.side} .gold-amount`);
+            if (goldElement) {
+                goldElement.textContent = player.gold;
+            }
+        });
+
+        // Render mineral deposits once
+        const field = document.querySelector('.game-field');
+        if (field && snapshot.minerals && !field.querySelector('.mineral')) {
+            snapshot.minerals.forEach(mineral => {
+                const mineralElement = document.createElement('img');
+                mineralElement.className = 'mineral';
+                mineralElement.src = 'images/mineral.png';
+                mineralElement.alt = 'mineral';
+                mineralElement.style.position = 'absolute';
+                mineralElement.style.left = `${mineral.x}px`;
+                mineralElement.style.top = `${mineral.y}px`;
+                field.appendChild(mineralElement);
+            });
+        }
+    }
+
+    return { spawnUnit, renderSnapshot };
+}
+
+export { createFieldRenderer };
@@ -77,7 +77,198 @@ const translations = {
     'draw': '平局',
     'game_over': '游戏结束',
     'return_main': '返回主界面',
-    'result_message': '结果'
+    'result_message': '结果',
+    'not_enough_gold': '金币不足',
+    'opponent_disconnected': '对手已断开连接，等待重新连接...',
+    'opponent_reconnected': '对手已重新连接',
+    'opponent_abandoned': '对手已放弃比赛，你获得胜利。',
+    'unit_miner': '矿工',
+    'unit_soldier': '士兵',
+    'unit_barrier': '屏障',
+    'unit_berserker': '狂战士',
+    'unit_scout': '斥候',
+    'dashboard': '控制台',
+    'friends': '好友',
+    'matchmaking': '匹配',
+    'add_friend': '添加好友',
+    'add': '添加',
+    'my_friends': '我的好友',
+    'friend_requests': '好友请求',
+    'online_only': '只显示在线',
+    'loading_friends': '加载好友列表...',
+    'loading_requests': '加载好友请求...',
+    'search_friends': '搜索好友',
+    'enter_username': '输入用户名',
+    'friend_actions': '好友操作',
+    'invite_to_game': '邀请游戏',
+    'view_profile': '查看资料',
+    'remove_friend': '删除好友',
+    'block_user': '屏蔽',
+    'online': '在线',
+    'offline': '离线',
+    'accept': '接受',
+    'reject': '拒绝',
+    'incoming_requests': '收到的请求',
+    'outgoing_requests': '发出的请求',
+    'request_pending': '等待回复',
+    'no_friends': '还没有好友',
+    'no_requests': '没有好友请求',
+    'friend_request_sent': '好友请求已发送',
+    'friend_request_received': '收到新的好友请求',
+    'friend_request_accepted': '好友请求已被接受',
+    'confirm_remove_friend': '确定要删除这位好友吗？',
+    'confirm_block_user': '确定要屏蔽这位用户吗？',
+    'game_mode': '游戏模式',
+    'classic_mode': '经典模式',
+    'insane_mode': '疯狂模式',
+    'beta_mode': '测试模式',
+    'ranked': '排位',
+    'duel_invite_from': '向你发起对决',
+    'duel_sent': '对决邀请已发送',
+    'duel_declined': '对方拒绝了对决',
+    'duel_expired': '对决邀请已过期',
+    'not_invited': '这是私人对决房间',
+    'matchmaking_desc': '选择游戏模式并与其他玩家配对',
+    'select_mode': '选择游戏模式',
+    'classic_desc': '标准规则的比赛，影响ELO评分',
+    'casual_mode': '休闲模式',
+    'casual_desc': '标准规则，但不影响ELO评分',
+    'insane_desc': '快节奏的混战，单位更强，资源增长更快',
+    'not_in_queue': '未在队列中',
+    'in_queue': '正在寻找对手',
+    'queue_position': '队列位置',
+    'find_match': '寻找对手',
+    'cancel': '取消',
+    'searching_time': '搜索时间',
+    'estimated_wait': '预计等待时间',
+    'players_online': '在线玩家',
+    'match_found': '找到对手！',
+    'opponent': '对手',
+    'accept_countdown': '请在以下时间内接受',
+    'decline': '拒绝',
+    'waiting_for_opponent': '等待对手接受...',
+    'opponent_accepted': '对手已接受',
+    'opponent_declined': '对手拒绝了比赛，继续寻找对手',
+    'opponent_timed_out': '对手未及时接受，继续寻找对手',
+    'account_banned': '你的账号已被封禁。',
+    'ban_reason': '原因',
+    'ban_expires': '解封时间',
+    'manage_users': '用户管理',
+    'search_users': '搜索用户...',
+    'add_user': '添加用户',
+    'edit_user': '编辑用户',
+    'id': 'ID',
+    'elo_rating': 'Elo评分',
+    'role': '角色',
+    'last_login': '最后登录',
+    'actions': '操作',
+    'loading_users': '加载用户数据...',
+    'user': '用户',
+    'admin': '管理员',
+    'save': '保存',
+    'never': '从未',
+    'banned': '已封禁',
+    'temp_banned': '临时封禁',
+    'ban': '封禁',
+    'unban': '解封',
+    'edit': '编辑',
+    'delete': '删除',
+    'no_users_found': '没有找到用户',
+    'password_unchanged_hint': '留空则不修改',
+    'ban_reason_prompt': '封禁原因：',
+    'ban_hours_prompt': '封禁时长（小时），留空为永久封禁：',
+    'confirm_delete_user': '确定要永久删除此用户及其所有比赛记录吗？',
+    'manage_games': '游戏管理',
+    'all': '全部',
+    'waiting': '等待中',
+    'active': '活跃',
+    'completed': '已完成',
+    'game_id': '游戏ID',
+    'players': '玩家',
+    'status': '状态',
+    'created_at': '创建时间',
+    'loading_games': '加载游戏数据...',
+    'no_games_found': '没有进行中的房间',
+    'room_status_waiting': '等待中',
+    'room_status_playing': '进行中',
+    'room_status_ended': '已结束',
+    'spectate': '观战',
+    'close_room': '关闭房间',
+    'game_details': '游戏详情',
+    'force_end_game': '强制结束游戏',
+    'end_game': '结束游戏',
+    'game_state': '游戏状态',
+    'winner': '胜者',
+    'no_contest': '无效比赛（不计Elo）',
+    'game_not_started': '游戏尚未开始',
+    'tick': '帧',
+    'tower': '塔',
+    'gold': '金币',
+    'units': '单位',
+    'confirm_force_end': '确定要强制结束这场游戏吗？',
+    'confirm_close_room': '确定要关闭这个房间吗？进行中的游戏将作为无效比赛结束。',
+    'room_closed': '房间已被管理员关闭',
+    'game_no_contest': '比赛被管理员判为无效，Elo不变。',
+    'system_logs': '系统日志',
+    'level': '级别',
+    'error': '错误',
+    'warning': '警告',
+    'info': '信息',
+    'debug': '调试',
+    'category': '类别',
+    'search_logs': '搜索日志...',
+    'clear_logs': '清除日志',
+    'loading_logs': '加载日志数据...',
+    'system_settings': '系统设置',
+    'save_settings': '保存设置',
+    'general_settings': '一般设置',
+    'site_name': '网站名称',
+    'maintenance_mode': '维护模式',
+    'game_settings': '游戏设置',
+    'max_active_games': '最大活跃游戏数',
+    'default_elo': '默认ELO值',
+    'settings_saved': '设置已保存',
+    'maintenance_notice': '服务器维护中：暂时无法创建新房间或匹配，进行中的游戏不受影响',
+    'room_private': '私人房间不能观战',
+    'spectators_disabled': '房主已关闭观战',
+    'already_in_room': '你正在房间中，无法观战',
+    'spectating_delay': '观战中（延迟{seconds}秒）',
+    'spectate_winner': '{username} 获胜！',
+    'spectators': '观众',
+    'allow_spectators': '允许观战',
+    'chat': '聊天',
+    'type_message': '输入消息...',
+    'room_chat': '房间聊天',
+    'no_chat_messages': '暂无聊天消息',
+    'mute_opponent': '屏蔽对手',
+    'unmute_opponent': '取消屏蔽',
+    'chat_empty': '消息不能为空',
+    'chat_too_long': '消息太长',
+    'chat_rate_limited': '发送太频繁，请稍后再试',
+    'invalid_preset': '无效的快捷消息',
+    'player_not_found': '找不到该玩家',
+    'quick_chat_good_luck': '祝你好运！',
+    'quick_chat_well_played': '打得好！',
+    'quick_chat_nice_move': '好棋！',
+    'quick_chat_thanks': '谢谢！',
+    'quick_chat_oops': '哎呀！',
+    'quick_chat_good_game': '好局！',
+    'rps_forfeit': '（超时未出拳判负）',
+    'rps_reward_gold': '奖励 {amount} 金币',
+    'rps_reward_damage_buff': '伤害提升 {percent}%，持续 {seconds} 秒',
+    'replay_title': '比赛回放',
+    'replay_play': '播放',
+    'replay_pause': '暂停',
+    'replay_speed': '速度',
+    'replay_not_found': '找不到该比赛的回放',
+    'replay_load_failed': '回放加载失败',
+    'replay_rps_result': '第 {round} 轮猜拳：{player1} {move1} 对 {player2} {move2} → {winner}',
+    'rating_system': '评分系统',
+    'recompute_ratings': '重新计算评分',
+    'confirm_recompute_ratings': '确定要用当前评分系统根据全部比赛记录重新计算所有评分吗？手动修改过的ELO将被覆盖。',
+    'recompute_running': '正在重新计算评分...',
+    'recompute_completed': '已根据 {matches} 场比赛重新计算 {users} 名用户的评分',
+    'recompute_failed': '重新计算失败：{error}'
   },
   
   // Chinese translations (Traditional)
@@ -130,7 +321,198 @@ const translations = {
     'you_are_host': '你現在是房主',
     'last_room_message': '您有一個進行中的游戲房間',
     'rejoin_room': '重新加入房間',
-    'result_message': '結果'
+    'result_message': '結果',
+    'not_enough_gold': '金幣不足',
+    'opponent_disconnected': '對手已斷開連接，等待重新連接...',
+    'opponent_reconnected': '對手已重新連接',
+    'opponent_abandoned': '對手已放棄比賽，你獲得勝利。',
+    'unit_miner': '礦工',
+    'unit_soldier': '士兵',
+    'unit_barrier': '屏障',
+    'unit_berserker': '狂戰士',
+    'unit_scout': '斥候',
+    'dashboard': '控制台',
+    'friends': '好友',
+    'matchmaking': '匹配',
+    'add_friend': '新增好友',
+    'add': '新增',
+    'my_friends': '我的好友',
+    'friend_requests': '好友請求',
+    'online_only': '只顯示在線',
+    'loading_friends': '載入好友列表...',
+    'loading_requests': '載入好友請求...',
+    'search_friends': '搜尋好友',
+    'enter_username': '輸入使用者名稱',
+    'friend_actions': '好友操作',
+    'invite_to_game': '邀請遊戲',
+    'view_profile': '查看資料',
+    'remove_friend': '刪除好友',
+    'block_user': '封鎖',
+    'online': '在線',
+    'offline': '離線',
+    'accept': '接受',
+    'reject': '拒絕',
+    'incoming_requests': '收到的請求',
+    'outgoing_requests': '發出的請求',
+    'request_pending': '等待回覆',
+    'no_friends': '還沒有好友',
+    'no_requests': '沒有好友請求',
+    'friend_request_sent': '好友請求已送出',
+    'friend_request_received': '收到新的好友請求',
+    'friend_request_accepted': '好友請求已被接受',
+    'confirm_remove_friend': '確定要刪除這位好友嗎？',
+    'confirm_block_user': '確定要封鎖這位使用者嗎？',
+    'game_mode': '遊戲模式',
+    'classic_mode': '經典模式',
+    'insane_mode': '瘋狂模式',
+    'beta_mode': '測試模式',
+    'ranked': '排位',
+    'duel_invite_from': '向你發起對決',
+    'duel_sent': '對決邀請已送出',
+    'duel_declined': '對方拒絕了對決',
+    'duel_expired': '對決邀請已過期',
+    'not_invited': '這是私人對決房間',
+    'matchmaking_desc': '選擇遊戲模式並與其他玩家配對',
+    'select_mode': '選擇遊戲模式',
+    'classic_desc': '標準規則的比賽，影響ELO評分',
+    'casual_mode': '休閒模式',
+    'casual_desc': '標準規則，但不影響ELO評分',
+    'insane_desc': '快節奏的混戰，單位更強，資源增長更快',
+    'not_in_queue': '未在隊列中',
+    'in_queue': '正在尋找對手',
+    'queue_position': '隊列位置',
+    'find_match': '尋找對手',
+    'cancel': '取消',
+    'searching_time': '搜索時間',
+    'estimated_wait': '預計等待時間',
+    'players_online': '在線玩家',
+    'match_found': '找到對手！',
+    'opponent': '對手',
+    'accept_countdown': '請在以下時間內接受',
+    'decline': '拒絕',
+    'waiting_for_opponent': '等待對手接受...',
+    'opponent_accepted': '對手已接受',
+    'opponent_declined': '對手拒絕了比賽，繼續尋找對手',
+    'opponent_timed_out': '對手未及時接受，繼續尋找對手',
+    'account_banned': '你的帳號已被封禁。',
+    'ban_reason': '原因',
+    'ban_expires': '解封時間',
+    'manage_users': '使用者管理',
+    'search_users': '搜尋使用者...',
+    'add_user': '新增使用者',
+    'edit_user': '編輯使用者',
+    'id': 'ID',
+    'elo_rating': 'Elo評分',
+    'role': '角色',
+    'last_login': '最後登入',
+    'actions': '操作',
+    'loading_users': '載入使用者資料...',
+    'user': '使用者',
+    'admin': '管理員',
+    'save': '儲存',
+    'never': '從未',
+    'banned': '已封禁',
+    'temp_banned': '暫時封禁',
+    'ban': '封禁',
+    'unban': '解封',
+    'edit': '編輯',
+    'delete': '刪除',
+    'no_users_found': '找不到使用者',
+    'password_unchanged_hint': '留空則不修改',
+    'ban_reason_prompt': '封禁原因：',
+    'ban_hours_prompt': '封禁時長（小時），留空為永久封禁：',
+    'confirm_delete_user': '確定要永久刪除此使用者及其所有比賽紀錄嗎？',
+    'manage_games': '遊戲管理',
+    'all': '全部',
+    'waiting': '等待中',
+    'active': '活躍',
+    'completed': '已完成',
+    'game_id': '遊戲ID',
+    'players': '玩家',
+    'status': '狀態',
+    'created_at': '建立時間',
+    'loading_games': '載入遊戲資料...',
+    'no_games_found': '沒有進行中的房間',
+    'room_status_waiting': '等待中',
+    'room_status_playing': '進行中',
+    'room_status_ended': '已結束',
+    'spectate': '觀戰',
+    'close_room': '關閉房間',
+    'game_details': '遊戲詳情',
+    'force_end_game': '強制結束遊戲',
+    'end_game': '結束遊戲',
+    'game_state': '遊戲狀態',
+    'winner': '勝者',
+    'no_contest': '無效比賽（不計Elo）',
+    'game_not_started': '遊戲尚未開始',
+    'tick': '幀',
+    'tower': '塔',
+    'gold': '金幣',
+    'units': '單位',
+    'confirm_force_end': '確定要強制結束這場遊戲嗎？',
+    'confirm_close_room': '確定要關閉這個房間嗎？進行中的遊戲將作為無效比賽結束。',
+    'room_closed': '房間已被管理員關閉',
+    'game_no_contest': '比賽被管理員判為無效，Elo不變。',
+    'system_logs': '系統日誌',
+    'level': '級別',
+    'error': '錯誤',
+    'warning': '警告',
+    'info': '資訊',
+    'debug': '除錯',
+    'category': '類別',
+    'search_logs': '搜尋日誌...',
+    'clear_logs': '清除日誌',
+    'loading_logs': '載入日誌資料...',
+    'system_settings': '系統設定',
+    'save_settings': '儲存設定',
+    'general_settings': '一般設定',
+    'site_name': '網站名稱',
+    'maintenance_mode': '維護模式',
+    'game_settings': '遊戲設定',
+    'max_active_games': '最大活躍遊戲數',
+    'default_elo': '預設ELO值',
+    'settings_saved': '設定已儲存',
+    'maintenance_notice': '伺服器維護中：暫時無法建立新房間或配對，進行中的遊戲不受影響',
+    'room_private': '私人房間不能觀戰',
+    'spectators_disabled': '房主已關閉觀戰',
+    'already_in_room': '你正在房間中，無法觀戰',
+    'spectating_delay': '觀戰中（延遲{seconds}秒）',
+    'spectate_winner': '{username} 獲勝！',
+    'spectators': '觀眾',
+    'allow_spectators': '允許觀戰',
+    'chat': '聊天',
+    'type_message': '輸入訊息...',
+    'room_chat': '房間聊天',
+    'no_chat_messages': '暫無聊天訊息',
+    'mute_opponent': '封鎖對手',
+    'unmute_opponent': '取消封鎖',
+    'chat_empty': '訊息不能為空',
+    'chat_too_long': '訊息太長',
+    'chat_rate_limited': '發送太頻繁，請稍後再試',
+    'invalid_preset': '無效的快捷訊息',
+    'player_not_found': '找不到該玩家',
+    'quick_chat_good_luck': '祝你好運！',
+    'quick_chat_well_played': '打得好！',
+    'quick_chat_nice_move': '好棋！',
+    'quick_chat_thanks': '謝謝！',
+    'quick_chat_oops': '哎呀！',
+    'quick_chat_good_game': '好局！',
+    'rps_forfeit': '（逾時未出拳判負）',
+    'rps_reward_gold': '獎勵 {amount} 金幣',
+    'rps_reward_damage_buff': '傷害提升 {percent}%，持續 {seconds} 秒',
+    'replay_title': '比賽回放',
+    'replay_play': '播放',
+    'replay_pause': '暫停',
+    'replay_speed': '速度',
+    'replay_not_found': '找不到該比賽的回放',
+    'replay_load_failed': '回放載入失敗',
+    'replay_rps_result': '第 {round} 輪猜拳：{player1} {move1} 對 {player2} {move2} → {winner}',
+    'rating_system': '評分系統',
+    'recompute_ratings': '重新計算評分',
+    'confirm_recompute_ratings': '確定要用目前評分系統根據全部比賽記錄重新計算所有評分嗎？手動修改過的ELO將被覆蓋。',
+    'recompute_running': '正在重新計算評分...',
+    'recompute_completed': '已根據 {matches} 場比賽重新計算 {users} 名使用者的評分',
+    'recompute_failed': '重新計算失敗：{error}'
   },
   
   // English translations
@@ -191,7 +573,198 @@ const translations = {
     'draw': 'Draw',
     'game_over': 'Game Over',
     'return_main': 'Return to Main Screen',
-    'result_message': 'Result'
+    'result_message': 'Result',
+    'not_enough_gold': 'Not enough gold',
+    'opponent_disconnected': 'Opponent disconnected, waiting for them to reconnect...',
+    'opponent_reconnected': 'Opponent reconnected',
+    'opponent_abandoned': 'Your opponent abandoned the game.',
+    'unit_miner': 'Miner',
+    'unit_soldier': 'Soldier',
+    'unit_barrier': 'Barrier',
+    'unit_berserker': 'Berserker',
+    'unit_scout': 'Scout',
+    'dashboard': 'Dashboard',
+    'friends': 'Friends',
+    'matchmaking': 'Matchmaking',
+    'add_friend': 'Add Friend',
+    'add': 'Add',
+    'my_friends': 'My Friends',
+    'friend_requests': 'Friend Requests',
+    'online_only': 'Online only',
+    'loading_friends': 'Loading friends...',
+    'loading_requests': 'Loading friend requests...',
+    'search_friends': 'Search friends',
+    'enter_username': 'Enter username',
+    'friend_actions': 'Friend Actions',
+    'invite_to_game': 'Invite to Game',
+    'view_profile': 'View Profile',
+    'remove_friend': 'Remove Friend',
+    'block_user': 'Block',
+    'online': 'Online',
+    'offline': 'Offline',
+    'accept': 'Accept',
+    'reject': 'Reject',
+    'incoming_requests': 'Received',
+    'outgoing_requests': 'Sent',
+    'request_pending': 'Pending',
+    'no_friends': 'No friends yet',
+    'no_requests': 'No friend requests',
+    'friend_request_sent': 'Friend request sent',
+    'friend_request_received': 'New friend request',
+    'friend_request_accepted': 'Your friend request was accepted',
+    'confirm_remove_friend': 'Remove this friend?',
+    'confirm_block_user': 'Block this user?',
+    'game_mode': 'Game Mode',
+    'classic_mode': 'Classic',
+    'insane_mode': 'Insane',
+    'beta_mode': 'Beta',
+    'ranked': 'Ranked',
+    'duel_invite_from': 'challenged you to a duel',
+    'duel_sent': 'Duel challenge sent',
+    'duel_declined': 'Your duel challenge was declined',
+    'duel_expired': 'The duel challenge expired',
+    'not_invited': 'This is a private duel room',
+    'matchmaking_desc': 'Choose a game mode and get paired with another player',
+    'select_mode': 'Select Game Mode',
+    'classic_desc': 'Standard rules, affects your Elo rating',
+    'casual_mode': 'Casual',
+    'casual_desc': 'Standard rules without Elo changes',
+    'insane_desc': 'Fast-paced chaos with stronger units and faster income',
+    'not_in_queue': 'Not in queue',
+    'in_queue': 'Searching for an opponent',
+    'queue_position': 'Queue position',
+    'find_match': 'Find Match',
+    'cancel': 'Cancel',
+    'searching_time': 'Searching',
+    'estimated_wait': 'Estimated wait',
+    'players_online': 'Players online',
+    'match_found': 'Match found!',
+    'opponent': 'Opponent',
+    'accept_countdown': 'Accept within',
+    'decline': 'Decline',
+    'waiting_for_opponent': 'Waiting for your opponent to accept...',
+    'opponent_accepted': 'Your opponent accepted',
+    'opponent_declined': 'Your opponent declined, searching again',
+    'opponent_timed_out': 'Your opponent did not accept in time, searching again',
+    'account_banned': 'Your account has been banned.',
+    'ban_reason': 'Reason',
+    'ban_expires': 'Ban ends',
+    'manage_users': 'Manage Users',
+    'search_users': 'Search users...',
+    'add_user': 'Add User',
+    'edit_user': 'Edit User',
+    'id': 'ID',
+    'elo_rating': 'Elo Rating',
+    'role': 'Role',
+    'last_login': 'Last Login',
+    'actions': 'Actions',
+    'loading_users': 'Loading users...',
+    'user': 'User',
+    'admin': 'Admin',
+    'save': 'Save',
+    'never': 'Never',
+    'banned': 'Banned',
+    'temp_banned': 'Temporarily banned',
+    'ban': 'Ban',
+    'unban': 'Unban',
+    'edit': 'Edit',
+    'delete': 'Delete',
+    'no_users_found': 'No users found',
+    'password_unchanged_hint': 'Leave blank to keep unchanged',
+    'ban_reason_prompt': 'Ban reason:',
+    'ban_hours_prompt': 'Ban duration in hours (leave empty for a permanent ban):',
+    'confirm_delete_user': 'Permanently delete this user and all their matches?',
+    'manage_games': 'Manage Games',
+    'all': 'All',
+    'waiting': 'Waiting',
+    'active': 'Active',
+    'completed': 'Completed',
+    'game_id': 'Game ID',
+    'players': 'Players',
+    'status': 'Status',
+    'created_at': 'Created',
+    'loading_games': 'Loading games...',
+    'no_games_found': 'No open rooms',
+    'room_status_waiting': 'Waiting',
+    'room_status_playing': 'Playing',
+    'room_status_ended': 'Ended',
+    'spectate': 'Spectate',
+    'close_room': 'Close Room',
+    'game_details': 'Game Details',
+    'force_end_game': 'Force end game',
+    'end_game': 'End Game',
+    'game_state': 'Game state',
+    'winner': 'Winner',
+    'no_contest': 'No contest (no Elo change)',
+    'game_not_started': 'The game has not started',
+    'tick': 'Tick',
+    'tower': 'Tower',
+    'gold': 'Gold',
+    'units': 'Units',
+    'confirm_force_end': 'Force end this game?',
+    'confirm_close_room': 'Close this room? A running game ends as a no contest.',
+    'room_closed': 'The room was closed by an admin',
+    'game_no_contest': 'An admin ended the match as a no contest; ratings are unchanged.',
+    'system_logs': 'System Logs',
+    'level': 'Level',
+    'error': 'Error',
+    'warning': 'Warning',
+    'info': 'Info',
+    'debug': 'Debug',
+    'category': 'Category',
+    'search_logs': 'Search logs...',
+    'clear_logs': 'Clear Logs',
+    'loading_logs': 'Loading logs...',
+    'system_settings': 'System Settings',
+    'save_settings': 'Save Settings',
+    'general_settings': 'General',
+    'site_name': 'Site Name',
+    'maintenance_mode': 'Maintenance Mode',
+    'game_settings': 'Game Settings',
+    'max_active_games': 'Max Active Games',
+    'default_elo': 'Default Elo',
+    'settings_saved': 'Settings saved',
+    'maintenance_notice': 'Server maintenance: new rooms and matchmaking are paused. Games in progress will finish normally.',
+    'room_private': 'Private rooms can\'t be watched',
+    'spectators_disabled': 'The host has turned off spectating',
+    'already_in_room': 'You can\'t spectate while you are in a room',
+    'spectating_delay': 'Spectating ({seconds}s delay)',
+    'spectate_winner': '{username} wins!',
+    'spectators': 'Spectators',
+    'allow_spectators': 'Allow spectators',
+    'chat': 'Chat',
+    'type_message': 'Type a message...',
+    'room_chat': 'Room Chat',
+    'no_chat_messages': 'No chat messages',
+    'mute_opponent': 'Mute opponent',
+    'unmute_opponent': 'Unmute opponent',
+    'chat_empty': 'Message can\'t be empty',
+    'chat_too_long': 'Message is too long',
+    'chat_rate_limited': 'You\'re sending messages too fast',
+    'invalid_preset': 'Unknown quick chat message',
+    'player_not_found': 'Player not found',
+    'quick_chat_good_luck': 'Good luck!',
+    'quick_chat_well_played': 'Well played!',
+    'quick_chat_nice_move': 'Nice move!',
+    'quick_chat_thanks': 'Thanks!',
+    'quick_chat_oops': 'Oops!',
+    'quick_chat_good_game': 'Good game!',
+    'rps_forfeit': '(no move in time counts as a loss)',
+    'rps_reward_gold': 'Reward: {amount} gold',
+    'rps_reward_damage_buff': 'Damage +{percent}% for {seconds}s',
+    'replay_title': 'Match Replay',
+    'replay_play': 'Play',
+    'replay_pause': 'Pause',
+    'replay_speed': 'Speed',
+    'replay_not_found': 'No replay was recorded for this match',
+    'replay_load_failed': 'Could not load the replay',
+    'replay_rps_result': 'RPS round {round}: {player1} {move1} vs {player2} {move2} → {winner}',
+    'rating_system': 'Rating system',
+    'recompute_ratings': 'Recompute ratings',
+    'confirm_recompute_ratings': 'Recompute every rating from match history with the saved rating system? Manually edited Elo values will be overwritten.',
+    'recompute_running': 'Recomputing ratings...',
+    'recompute_completed': 'Recomputed ratings of {users} users from {matches} matches',
+    'recompute_failed': 'Recompute failed: {error}'
   },
   
   // Japanese translations
@@ -244,7 +817,12 @@ const translations = {
     'you_are_host': 'あなたが新しいホストになりました',
     'last_room_message': '進行中のゲームルームがあります',
     'rejoin_room': '部屋に再参加',
-    'result_message': '結果'
+    'result_message': '結果',
+    'unit_miner': '鉱夫',
+    'unit_soldier': '兵士',
+    'unit_barrier': 'バリア',
+    'unit_berserker': 'バーサーカー',
+    'unit_scout': '斥候'
   },
   
   // Korean translations
@@ -297,7 +875,12 @@ const translations = {
     'you_are_host': '당신이 새로운 방장이 되었습니다',
     'last_room_message': '진행 중인 게임 방이 있습니다',
     'rejoin_room': '방 다시 참가하기',
-    'result_message': '결과'
+    'result_message': '결과',
+    'unit_miner': '광부',
+    'unit_soldier': '병사',
+    'unit_barrier': '방벽',
+    'unit_berserker': '광전사',
+    'unit_scout': '정찰병'
   }
 };
 
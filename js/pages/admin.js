@@ -0,0 +1,792 @@
+import i18n from '../i18n.js';
+
+// Page state
+const PAGE_SIZE = 20;
+let currentPage = 1;
+let totalPages = 1;
+let searchTerm = '';
+let searchTimer = null;
+let users = [];
+let editingUser = null;
+let socket = null;
+let games = [];
+let gamesTimer = null;
+let watchedGame = null;
+let logsOpen = false;
+let logSearchTimer = null;
+let recomputeTimer = null;
+
+// Log lines kept on screen while tailing
+const MAX_LOG_LINES = 500;
+
+document.addEventListener('DOMContentLoaded', () => {
+    setupSearch();
+    setupPagination();
+    setupUserModal();
+    setupGamesPanel();
+    setupGameModal();
+    setupLogsPanel();
+    setupSettingsPanel();
+    setupSocket();
+
+    loadUsers();
+});
+
+// Call the admin API and parse the JSON response
+async function api(path, options = {}) {
+    const response = await fetch(`/api/admin${path}`, {
+        headers: { 'Content-Type': 'application/json' },
+        ...options
+    });
+
+    if (response.status === 401) {
+        window.location.href = '/login.html';
+        throw new Error('Not authenticated');
+    }
+    if (response.status === 403) {
+        window.location.href = '/';
+        throw new Error('Not authorized');
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || i18n.translate('system_error'));
+    }
+    return data;
+}
+
+// Create an element with a class and text
+function createElement(tag, className, text = '') {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+}
+
+// Create a small action button
+function createButton(labelKey, className, onClick) {
+    const button = createElement('button', className, i18n.translate(labelKey));
+    button.type = 'button';
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// Replace the table body with a single full-width message row
+function showTableMessage(text) {
+    const body = document.getElementById('users-table-body');
+    if (!body) return;
+    const row = document.createElement('tr');
+    const cell = createElement('td', 'table-loading', text);
+    cell.colSpan = 6;
+    row.appendChild(cell);
+    body.replaceChildren(row);
+}
+
+function setupSearch() {
+    const input = document.getElementById('user-search');
+    const search = () => {
+        clearTimeout(searchTimer);
+        searchTerm = input.value.trim();
+        currentPage = 1;
+        loadUsers();
+    };
+
+    // Search shortly after the admin stops typing
+    input?.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(search, 300);
+    });
+    input?.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') search();
+    });
+    document.querySelector('#users-panel .search-icon')?.addEventListener('click', search);
+}
+
+function setupPagination() {
+    document.getElementById('prev-page')?.addEventListener('click', () => {
+        if (currentPage <= 1) return;
+        currentPage--;
+        loadUsers();
+    });
+
+    document.getElementById('next-page')?.addEventListener('click', () => {
+        if (currentPage >= totalPages) return;
+        currentPage++;
+        loadUsers();
+    });
+}
+
+async function loadUsers() {
+    try {
+        const params = new URLSearchParams({ page: currentPage, limit: PAGE_SIZE });
+        if (searchTerm) params.set('search', searchTerm);
+
+        const data = await api(`/users?${params}`);
+        users = data.users;
+        currentPage = data.page;
+        totalPages = data.totalPages;
+        renderUsers();
+    } catch (error) {
+        showTableMessage(error.message);
+    }
+}
+
+function renderUsers() {
+    const body = document.getElementById('users-table-body');
+    if (!body) return;
+
+    const pageInfo = document.getElementById('page-info');
+    if (pageInfo) pageInfo.textContent = `${currentPage} / ${totalPages}`;
+    document.getElementById('prev-page').disabled = currentPage <= 1;
+    document.getElementById('next-page').disabled = currentPage >= totalPages;
+
+    if (users.length === 0) {
+        showTableMessage(i18n.translate('no_users_found'));
+        return;
+    }
+
+    body.replaceChildren(...users.map(renderUserRow));
+}
+
+function renderUserRow(user) {
+    const row = document.createElement('tr');
+    const banned = user.banStatus !== 'CLEAR';
+    if (banned) row.classList.add('is-banned');
+
+    row.appendChild(createElement('td', '', String(user.id)));
+
+    const nameCell = createElement('td', '', user.username);
+    if (user.online) nameCell.appendChild(createElement('span', 'status-online', ` ${i18n.translate('online')}`));
+    if (banned) {
+        const label = user.banStatus === 'TEMP_BANNED'
+            ? `${i18n.translate('temp_banned')} (${new Date(user.banExpiration).toLocaleString()})`
+            : i18n.translate('banned');
+        nameCell.appendChild(createElement('span', 'status-banned', ` ${label}`));
+    }
+    row.appendChild(nameCell);
+
+    row.appendChild(createElement('td', '', String(user.elo)));
+    row.appendChild(createElement('td', '', i18n.translate(user.role === 'ADMIN' ? 'admin' : 'user')));
+    row.appendChild(createElement('td', '', user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : i18n.translate('never')));
+
+    const actions = createElement('td', 'table-actions');
+    actions.appendChild(createButton('edit', 'secondary-button', () => openUserModal(user)));
+    actions.appendChild(banned
+        ? createButton('unban', 'secondary-button', () => unbanUser(user))
+        : createButton('ban', 'danger-button', () => banUser(user)));
+    actions.appendChild(createButton('delete', 'danger-button', () => deleteUser(user)));
+    row.appendChild(actions);
+
+    return row;
+}
+
+async function banUser(user) {
+    const reason = window.prompt(i18n.translate('ban_reason_prompt'));
+    if (reason === null) return;
+
+    // Leaving the duration empty bans permanently
+    const hours = window.prompt(i18n.translate('ban_hours_prompt'), '');
+    if (hours === null) return;
+    const duration = parseFloat(hours);
+    const expiresAt = duration > 0 ? new Date(Date.now() + duration * 3600000).toISOString() : null;
+
+    try {
+        await api(`/users/${user.id}/ban`, {
+            method: 'POST',
+            body: JSON.stringify({ reason, expiresAt })
+        });
+        loadUsers();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+async function unbanUser(user) {
+    try {
+        await api(`/users/${user.id}/unban`, { method: 'POST', body: JSON.stringify({}) });
+        loadUsers();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+async function deleteUser(user) {
+    if (!confirm(`${i18n.translate('confirm_delete_user')} ${user.username}`)) return;
+
+    try {
+        await api(`/users/${user.id}`, { method: 'DELETE' });
+        loadUsers();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+function setupUserModal() {
+    const modal = document.getElementById('user-modal');
+    if (!modal) return;
+
+    modal.querySelector('.close-modal')?.addEventListener('click', closeUserModal);
+    document.getElementById('cancel-user-edit')?.addEventListener('click', closeUserModal);
+    modal.addEventListener('click', (event) => {
+        if (event.target === modal) closeUserModal();
+    });
+
+    document.getElementById('add-user-btn')?.addEventListener('click', () => openUserModal(null));
+    document.getElementById('user-form')?.addEventListener('submit', saveUser);
+}
+
+// Open the modal to edit a user, or to add one when `user` is null
+function openUserModal(user) {
+    editingUser = user;
+
+    document.getElementById('user-modal-title').textContent = i18n.translate(user ? 'edit_user' : 'add_user');
+    document.getElementById('user-username').value = user ? user.username : '';
+    document.getElementById('user-role').value = user ? user.role : 'PLAYER';
+    document.getElementById('user-elo').value = user ? user.elo : 1200;
+    document.getElementById('user-password').value = '';
+    // New users need a password; existing ones keep theirs when it is left blank
+    document.getElementById('user-password').required = !user;
+
+    const modal = document.getElementById('user-modal');
+    modal.classList.remove('hidden');
+    modal.setAttribute('aria-hidden', 'false');
+    document.getElementById('user-username').focus();
+}
+
+function closeUserModal() {
+    editingUser = null;
+
+    const modal = document.getElementById('user-modal');
+    modal.classList.add('hidden');
+    modal.setAttribute('aria-hidden', 'true');
+}
+
+async function saveUser(event) {
+    event.preventDefault();
+
+    const username = document.getElementById('user-username').value.trim();
+    const role = document.getElementById('user-role').value;
+    const elo = parseInt(document.getElementById('user-elo').value, 10);
+    const password = document.getElementById('user-password').value;
+
+    try {
+        if (!editingUser) {
+            await api('/users', {
+                method: 'POST',
+                body: JSON.stringify({ username, password, role, elo })
+            });
+        } else {
+            const id = editingUser.id;
+            if (username !== editingUser.username || elo !== editingUser.elo) {
+                await api(`/users/${id}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({ username, elo })
+                });
+            }
+            if (role !== editingUser.role) {
+                await api(`/users/${id}/role`, {
+                    method: 'PUT',
+                    body: JSON.stringify({ role })
+                });
+            }
+            if (password) {
+                await api(`/users/${id}/password`, {
+                    method: 'POST',
+                    body: JSON.stringify({ password })
+                });
+            }
+        }
+
+        closeUserModal();
+        loadUsers();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+// Format a duration in milliseconds as mm:ss
+function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '-';
+    const seconds = Math.floor(ms / 1000);
+    return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function setupGamesPanel() {
+    document.getElementById('game-status-filter')?.addEventListener('change', loadGames);
+
+    // Refresh the live games list while its tab is open
+    document.querySelectorAll('.admin-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            clearInterval(gamesTimer);
+            if (tab.id !== 'games-tab') return;
+            loadGames();
+            gamesTimer = setInterval(loadGames, 5000);
+        });
+    });
+}
+
+async function loadGames() {
+    try {
+        const status = document.getElementById('game-status-filter')?.value || 'all';
+        const data = await api(`/games?status=${encodeURIComponent(status)}`);
+        games = data.games;
+        renderGames();
+    } catch (error) {
+        showGamesMessage(error.message);
+    }
+}
+
+// Replace the games table body with a single full-width message row
+function showGamesMessage(text) {
+    const body = document.getElementById('games-table-body');
+    if (!body) return;
+    const row = document.createElement('tr');
+    const cell = createElement('td', 'table-loading', text);
+    cell.colSpan = 6;
+    row.appendChild(cell);
+    body.replaceChildren(row);
+}
+
+function renderGames() {
+    const body = document.getElementById('games-table-body');
+    if (!body) return;
+
+    if (games.length === 0) {
+        showGamesMessage(i18n.translate('no_games_found'));
+        return;
+    }
+
+    body.replaceChildren(...games.map(renderGameRow));
+}
+
+function renderGameRow(game) {
+    const row = document.createElement('tr');
+
+    row.appendChild(createElement('td', '', game.matchId ? `${game.id} (#${game.matchId})` : game.id));
+
+    const mode = i18n.translate(`${game.gameMode}_mode`);
+    row.appendChild(createElement('td', '', game.ranked ? `${mode} (${i18n.translate('ranked')})` : mode));
+
+    const playersCell = createElement('td');
+    game.players.forEach(player => {
+        const label = `${player.username} (${i18n.translate(player.connected ? 'online' : 'disconnected')})`;
+        playersCell.appendChild(createElement('div', player.connected ? 'status-online' : 'status-banned', label));
+    });
+    row.appendChild(playersCell);
+
+    const status = i18n.translate(`room_status_${game.status}`);
+    row.appendChild(createElement('td', '', game.startedAt ? `${status} ${formatDuration(game.duration)}` : status));
+    row.appendChild(createElement('td', '', new Date(game.createdAt).toLocaleString()));
+
+    const actions = createElement('td', 'table-actions');
+    actions.appendChild(createButton('spectate', 'secondary-button', () => openGameModal(game.id)));
+    actions.appendChild(createButton('close_room', 'danger-button', () => closeRoom(game.id)));
+    row.appendChild(actions);
+
+    return row;
+}
+
+function setupGameModal() {
+    const modal = document.getElementById('game-modal');
+    if (!modal) return;
+
+    modal.querySelector('.close-modal')?.addEventListener('click', closeGameModal);
+    modal.addEventListener('click', (event) => {
+        if (event.target === modal) closeGameModal();
+    });
+
+    document.getElementById('force-end-btn')?.addEventListener('click', forceEndGame);
+    document.getElementById('close-room-btn')?.addEventListener('click', () => {
+        if (watchedGame) closeRoom(watchedGame.id);
+    });
+}
+
+// Inspect a room and watch it live as a hidden spectator
+async function openGameModal(roomId) {
+    try {
+        watchedGame = await api(`/games/${encodeURIComponent(roomId)}`);
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+
+    renderGameDetails();
+    loadGameChat(roomId);
+    socket?.emit('adminSpectate', { roomId });
+
+    const modal = document.getElementById('game-modal');
+    modal.classList.remove('hidden');
+    modal.setAttribute('aria-hidden', 'false');
+}
+
+function closeGameModal() {
+    if (watchedGame) socket?.emit('adminStopSpectating');
+    watchedGame = null;
+
+    const modal = document.getElementById('game-modal');
+    modal.classList.add('hidden');
+    modal.setAttribute('aria-hidden', 'true');
+}
+
+// Fill the modal from the inspected room
+function renderGameDetails() {
+    const game = watchedGame;
+    const status = i18n.translate(`room_status_${game.status}`);
+    document.getElementById('game-modal-title').textContent = `${game.name} (${game.id})`;
+    document.getElementById('game-modal-summary').textContent =
+        `${i18n.translate(`${game.gameMode}_mode`)} - ${status} - ${formatDuration(game.duration)}`;
+    document.getElementById('game-state-json').textContent = JSON.stringify(game.gameState, null, 2);
+
+    // Force-ending is only possible while the game runs
+    const select = document.getElementById('game-winner');
+    const playing = game.status === 'playing';
+    select.replaceChildren(
+        ...game.players.map(player => {
+            const option = createElement('option', '', `${i18n.translate('winner')}: ${player.username}`);
+            option.value = player.id;
+            return option;
+        }),
+        Object.assign(createElement('option', '', i18n.translate('no_contest')), { value: '' })
+    );
+    select.disabled = !playing;
+    document.getElementById('force-end-btn').disabled = !playing;
+
+    renderLiveState(null);
+}
+
+// Load the room's chat log for reviewing reports
+async function loadGameChat(roomId) {
+    const container = document.getElementById('game-chat-log');
+    try {
+        const { messages } = await api(`/games/${encodeURIComponent(roomId)}/chat`);
+        container.replaceChildren(...messages.map(renderChatLine));
+        if (messages.length === 0) {
+            container.textContent = i18n.translate('no_chat_messages');
+        }
+    } catch (error) {
+        container.textContent = error.message;
+    }
+}
+
+// One chat line; masked messages also show what was actually typed
+function renderChatLine(message) {
+    const time = new Date(message.timestamp).toLocaleTimeString();
+    const text = message.preset ? i18n.translate(`quick_chat_${message.preset}`) : message.text;
+    const line = createElement('div', 'chat-log-line', `[${time}] ${message.username}: ${text}`);
+    if (message.originalText) {
+        line.appendChild(createElement('span', 'chat-log-original', ` (${message.originalText})`));
+    }
+    return line;
+}
+
+// Show each side's tower, gold and unit count from a live snapshot
+function renderLiveState(snapshot) {
+    const container = document.getElementById('game-live');
+    if (!container) return;
+
+    if (!snapshot) {
+        container.textContent = watchedGame.status === 'waiting' ? i18n.translate('game_not_started') : '';
+        return;
+    }
+
+    container.replaceChildren(
+        createElement('div', '', `${i18n.translate('tick')}: ${snapshot.tick}`),
+        ...snapshot.players.map(player => {
+            const units = snapshot.units.filter(unit => unit.side === player.side).length;
+            return createElement('div', '',
+                `${player.username} (${player.side}) - ${i18n.translate('tower')}: ${player.towerHealth}/${player.towerMaxHealth}, ` +
+                `${i18n.translate('gold')}: ${player.gold}, ${i18n.translate('units')}: ${units}`);
+        })
+    );
+}
+
+async function forceEndGame() {
+    if (!watchedGame) return;
+
+    const value = document.getElementById('game-winner').value;
+    const body = value ? { winnerId: parseInt(value, 10) } : { noContest: true };
+    if (!confirm(i18n.translate('confirm_force_end'))) return;
+
+    try {
+        await api(`/games/${encodeURIComponent(watchedGame.id)}/end`, {
+            method: 'POST',
+            body: JSON.stringify(body)
+        });
+        await openGameModal(watchedGame.id);
+        loadGames();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+async function closeRoom(roomId) {
+    if (!confirm(i18n.translate('confirm_close_room'))) return;
+
+    try {
+        await api(`/games/${encodeURIComponent(roomId)}`, { method: 'DELETE' });
+        if (watchedGame && watchedGame.id === roomId) closeGameModal();
+        loadGames();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+// The log filter chosen in the logs panel
+function getLogFilter() {
+    const level = document.getElementById('log-level-filter')?.value;
+    return {
+        level: level && level !== 'all' ? level : '',
+        category: document.getElementById('log-category-filter')?.value || '',
+        search: document.getElementById('log-search')?.value.trim() || ''
+    };
+}
+
+function setupLogsPanel() {
+    document.getElementById('log-level-filter')?.addEventListener('change', loadLogs);
+    document.getElementById('log-category-filter')?.addEventListener('change', loadLogs);
+    document.getElementById('log-search')?.addEventListener('input', () => {
+        clearTimeout(logSearchTimer);
+        logSearchTimer = setTimeout(loadLogs, 300);
+    });
+    document.getElementById('clear-logs-btn')?.addEventListener('click', clearLogs);
+
+    // Tail the log only while its tab is open
+    document.querySelectorAll('.admin-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            logsOpen = tab.id === 'logs-tab';
+            if (logsOpen) {
+                loadLogs();
+            } else {
+                socket?.emit('adminLogUnsubscribe');
+            }
+        });
+    });
+}
+
+async function loadLogs() {
+    const filter = getLogFilter();
+
+    try {
+        const params = new URLSearchParams({ limit: MAX_LOG_LINES });
+        Object.entries(filter).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+
+        const data = await api(`/logs?${params}`);
+        renderLogCategories(data.categories);
+        document.getElementById('logs-output')?.replaceChildren(...data.entries.map(renderLogEntry));
+        scrollLogsToEnd();
+
+        socket?.emit('adminLogSubscribe', filter);
+    } catch (error) {
+        document.getElementById('logs-output')?.replaceChildren(createElement('div', 'log-entry log-error', error.message));
+    }
+}
+
+function renderLogEntry(entry) {
+    const parts = [new Date(entry.timestamp).toLocaleTimeString(), entry.level.toUpperCase()];
+    if (entry.category) parts.push(entry.category);
+    if (entry.userId) parts.push(`user ${entry.userId}`);
+    if (entry.roomId) parts.push(`room ${entry.roomId}`);
+
+    return createElement('div', `log-entry log-${entry.level}`, `${parts.map(part => `[${part}]`).join(' ')} ${entry.message}`);
+}
+
+// Append a live entry, dropping the oldest lines beyond the limit
+function appendLogEntry(entry) {
+    const output = document.getElementById('logs-output');
+    if (!output) return;
+
+    const atEnd = output.scrollTop + output.clientHeight >= output.scrollHeight - 10;
+    output.appendChild(renderLogEntry(entry));
+    while (output.children.length > MAX_LOG_LINES) {
+        output.firstChild.remove();
+    }
+    // Keep following the tail unless the admin scrolled up to read
+    if (atEnd) scrollLogsToEnd();
+}
+
+function scrollLogsToEnd() {
+    const output = document.getElementById('logs-output');
+    if (output) output.scrollTop = output.scrollHeight;
+}
+
+// Show a toggle per log category and fill the category filter
+function renderLogCategories(categories) {
+    const container = document.getElementById('log-categories');
+    if (container) {
+        container.replaceChildren(...Object.entries(categories).map(([category, enabled]) => {
+            const label = createElement('label', 'checkbox-label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = enabled;
+            // Errors are always logged
+            checkbox.disabled = category === 'ERRORS';
+            checkbox.addEventListener('change', () => toggleLogCategory(category, checkbox));
+            label.append(checkbox, createElement('span', '', category));
+            return label;
+        }));
+    }
+
+    const select = document.getElementById('log-category-filter');
+    if (select && select.options.length === 1) {
+        Object.keys(categories).forEach(category => {
+            const option = createElement('option', '', category);
+            option.value = category;
+            select.appendChild(option);
+        });
+    }
+}
+
+async function toggleLogCategory(category, checkbox) {
+    try {
+        await api('/logs/categories', {
+            method: 'PUT',
+            body: JSON.stringify({ [category]: checkbox.checked })
+        });
+    } catch (error) {
+        checkbox.checked = !checkbox.checked;
+        alert(error.message);
+    }
+}
+
+async function clearLogs() {
+    try {
+        await api('/logs', { method: 'DELETE' });
+        document.getElementById('logs-output')?.replaceChildren();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+function setupSettingsPanel() {
+    document.getElementById('settings-form')?.addEventListener('submit', saveSettings);
+    document.getElementById('save-settings-btn')?.addEventListener('click', saveSettings);
+    document.getElementById('settings-tab')?.addEventListener('click', loadSettings);
+    document.getElementById('recompute-ratings-btn')?.addEventListener('click', recomputeRatings);
+}
+
+async function loadSettings() {
+    try {
+        const { settings } = await api('/settings');
+        renderSettings(settings);
+        loadRecomputeStatus();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+function renderSettings(settings) {
+    document.getElementById('site-name').value = settings.siteName;
+    document.getElementById('maintenance-mode').checked = settings.maintenanceMode;
+    document.getElementById('max-active-games').value = settings.maxActiveGames;
+    document.getElementById('default-elo').value = settings.defaultElo;
+    document.getElementById('rating-system').value = settings.ratingSystem;
+}
+
+async function saveSettings(event) {
+    event.preventDefault();
+
+    const form = document.getElementById('settings-form');
+    if (!form.reportValidity()) return;
+
+    try {
+        const { settings } = await api('/settings', {
+            method: 'PUT',
+            body: JSON.stringify({
+                siteName: document.getElementById('site-name').value.trim(),
+                maintenanceMode: document.getElementById('maintenance-mode').checked,
+                maxActiveGames: parseInt(document.getElementById('max-active-games').value, 10),
+                defaultElo: parseInt(document.getElementById('default-elo').value, 10),
+                ratingSystem: document.getElementById('rating-system').value
+            })
+        });
+        renderSettings(settings);
+        alert(i18n.translate('settings_saved'));
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+// Replay all match history through the saved rating system
+async function recomputeRatings() {
+    if (!confirm(i18n.translate('confirm_recompute_ratings'))) return;
+
+    try {
+        const { job } = await api('/ratings/recompute', { method: 'POST' });
+        renderRecomputeStatus(job);
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+async function loadRecomputeStatus() {
+    try {
+        const { job } = await api('/ratings/recompute');
+        renderRecomputeStatus(job);
+    } catch (error) {
+        console.error('Error loading recompute status:', error);
+    }
+}
+
+// Show the last recompute and poll while it is running
+function renderRecomputeStatus(job) {
+    clearTimeout(recomputeTimer);
+    const status = document.getElementById('recompute-status');
+    document.getElementById('recompute-ratings-btn').disabled = job?.status === 'running';
+    if (!status) return;
+
+    if (!job) {
+        status.textContent = '';
+        return;
+    }
+
+    status.textContent = i18n.translate(`recompute_${job.status}`)
+        .replace('{matches}', job.matches)
+        .replace('{users}', job.users)
+        .replace('{error}', job.error);
+    if (job.status === 'running') {
+        recomputeTimer = setTimeout(loadRecomputeStatus, 2000);
+    }
+}
+
+function setupSocket() {
+    if (typeof io === 'undefined') return;
+    socket = io();
+
+    socket.on('connect', () => {
+        // Rejoin the watched room and the log tail after a reconnect
+        if (watchedGame) socket.emit('adminSpectate', { roomId: watchedGame.id });
+        if (logsOpen) socket.emit('adminLogSubscribe', getLogFilter());
+    });
+
+    socket.on('logEntry', (entry) => {
+        if (logsOpen) appendLogEntry(entry);
+    });
+
+    socket.on('adminSpectating', (data) => {
+        if (watchedGame && data.roomId === watchedGame.id) renderLiveState(data.gameState);
+    });
+
+    socket.on('gameState', (snapshot) => {
+        if (watchedGame) renderLiveState(snapshot);
+    });
+
+    socket.on('gameOver', () => {
+        if (watchedGame) openGameModal(watchedGame.id);
+    });
+
+    // New messages in the watched room; reload so masked text is included
+    socket.on('chatMessage', () => {
+        if (watchedGame) loadGameChat(watchedGame.id);
+    });
+
+    socket.on('roomClosed', (data) => {
+        if (watchedGame && data.roomId === watchedGame.id) closeGameModal();
+        loadGames();
+    });
+
+    socket.on('error', (data) => {
+        console.error('Socket error:', data);
+    });
+}
@@ -0,0 +1,29 @@
+// Profile fields shown on the dashboard, each rendered in both themes
+const STAT_FIELDS = ['username', 'elo', 'wins', 'losses', 'draws'];
+
+document.addEventListener('DOMContentLoaded', loadProfile);
+
+// Fetch the current user's profile and fill in the stat tiles
+async function loadProfile() {
+    try {
+        const response = await fetch('/api/user/me');
+        if (response.status === 401) {
+            window.location.href = '/login.html';
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(`Profile request failed: ${response.status}`);
+        }
+
+        const profile = await response.json();
+        STAT_FIELDS.forEach(field => {
+            const value = profile[field] ?? '-';
+            [field, `${field}-standard`].forEach(id => {
+                const element = document.getElementById(id);
+                if (element) element.textContent = value;
+            });
+        });
+    } catch (error) {
+        console.error('Error loading profile:', error);
+    }
+}
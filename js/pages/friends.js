@@ -0,0 +1,356 @@
+import i18n from '../i18n.js';
+
+// Page state
+let friends = [];
+let requests = { incoming: [], outgoing: [] };
+let selectedFriend = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    setupForms();
+    setupFilters();
+    setupFriendActions();
+    setupSocket();
+
+    loadFriends();
+    loadRequests();
+});
+
+// Call the friends API and parse the JSON response
+async function api(path, options = {}) {
+    const response = await fetch(`/api/friends${path}`, {
+        headers: { 'Content-Type': 'application/json' },
+        ...options
+    });
+
+    if (response.status === 401) {
+        window.location.href = '/login.html';
+        throw new Error('Not authenticated');
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || i18n.translate('system_error'));
+    }
+    return data;
+}
+
+// Fill the same content into the NES and standard variants of an element
+function renderBoth(id, render) {
+    [id, `${id}-standard`].forEach(elementId => {
+        const container = document.getElementById(elementId);
+        if (!container) return;
+        container.innerHTML = '';
+        container.appendChild(render());
+    });
+}
+
+// Show a message under the add-friend form
+function showResult(text, isError = false) {
+    ['friend-add-result', 'friend-add-result-standard'].forEach(id => {
+        const element = document.getElementById(id);
+        if (!element) return;
+        element.textContent = text;
+        element.classList.remove('hidden');
+        element.classList.toggle('is-error', isError);
+        element.classList.toggle('is-success', !isError);
+    });
+}
+
+// Create an element with a class and text
+function createElement(tag, className, text = '') {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+}
+
+// Create a small action button
+function createButton(labelKey, onClick) {
+    const button = createElement('button', 'btn nes-btn', i18n.translate(labelKey));
+    button.type = 'button';
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+async function loadFriends() {
+    try {
+        const data = await api('');
+        friends = data.friends;
+        renderFriends();
+    } catch (error) {
+        console.error('Error loading friends:', error);
+    }
+}
+
+async function loadRequests() {
+    try {
+        requests = await api('/requests');
+        renderRequests();
+    } catch (error) {
+        console.error('Error loading friend requests:', error);
+    }
+}
+
+function renderFriends() {
+    const searchText = (document.getElementById('friend-search')?.value || '').toLowerCase();
+    const onlineOnly = document.getElementById('online-only')?.checked;
+
+    const visible = friends.filter(friend =>
+        (!onlineOnly || friend.online) &&
+        friend.username.toLowerCase().includes(searchText)
+    );
+
+    renderBoth('friends-list', () => {
+        const list = document.createDocumentFragment();
+        if (visible.length === 0) {
+            list.appendChild(createElement('p', 'empty-list', i18n.translate('no_friends')));
+            return list;
+        }
+
+        visible.forEach(friend => {
+            const item = createElement('div', `friend-item ${friend.online ? 'online' : 'offline'}`);
+            item.appendChild(createElement('span', 'friend-name', friend.username));
+            item.appendChild(createElement('span', 'friend-elo', `Elo ${friend.elo}`));
+            item.appendChild(createElement('span', 'friend-status', i18n.translate(friend.online ? 'online' : 'offline')));
+            item.addEventListener('click', () => openFriendModal(friend));
+            list.appendChild(item);
+        });
+        return list;
+    });
+}
+
+function renderRequests() {
+    renderBoth('requests-list', () => {
+        const list = document.createDocumentFragment();
+        if (requests.incoming.length === 0 && requests.outgoing.length === 0) {
+            list.appendChild(createElement('p', 'empty-list', i18n.translate('no_requests')));
+            return list;
+        }
+
+        if (requests.incoming.length > 0) {
+            list.appendChild(createElement('h4', 'requests-heading', i18n.translate('incoming_requests')));
+            requests.incoming.forEach(request => {
+                const item = createElement('div', 'request-item');
+                item.appendChild(createElement('span', 'friend-name', request.from.username));
+                item.appendChild(createButton('accept', () => respond(request.requestId, 'accept')));
+                item.appendChild(createButton('reject', () => respond(request.requestId, 'reject')));
+                list.appendChild(item);
+            });
+        }
+
+        if (requests.outgoing.length > 0) {
+            list.appendChild(createElement('h4', 'requests-heading', i18n.translate('outgoing_requests')));
+            requests.outgoing.forEach(request => {
+                const item = createElement('div', 'request-item');
+                item.appendChild(createElement('span', 'friend-name', request.to.username));
+                item.appendChild(createElement('span', 'friend-status', i18n.translate('request_pending')));
+                list.appendChild(item);
+            });
+        }
+        return list;
+    });
+}
+
+async function sendRequest(username) {
+    if (!username) return;
+
+    try {
+        await api('/request', {
+            method: 'POST',
+            body: JSON.stringify({ username })
+        });
+        showResult(`${i18n.translate('friend_request_sent')}: ${username}`);
+        loadRequests();
+    } catch (error) {
+        showResult(error.message, true);
+    }
+}
+
+async function respond(requestId, action) {
+    try {
+        await api(`/requests/${requestId}/${action}`, { method: 'POST' });
+        loadRequests();
+        if (action === 'accept') loadFriends();
+    } catch (error) {
+        showResult(error.message, true);
+    }
+}
+
+function setupForms() {
+    ['add-friend-form', 'add-friend-form-standard'].forEach(formId => {
+        const form = document.getElementById(formId);
+        if (!form) return;
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = form.querySelector('input[type="text"]');
+            sendRequest(input.value.trim());
+            ['friend-username', 'friend-username-standard'].forEach(id => {
+                const field = document.getElementById(id);
+                if (field) field.value = '';
+            });
+        });
+    });
+}
+
+function setupFilters() {
+    // Keep both themes' search boxes and checkboxes in step
+    [['friend-search', 'friend-search-standard', 'value', 'input'],
+     ['online-only', 'online-only-standard', 'checked', 'change']].forEach(([a, b, prop, event]) => {
+        const first = document.getElementById(a);
+        const second = document.getElementById(b);
+        [[first, second], [second, first]].forEach(([source, target]) => {
+            if (!source) return;
+            source.addEventListener(event, () => {
+                if (target) target[prop] = source[prop];
+                renderFriends();
+            });
+        });
+    });
+}
+
+function openFriendModal(friend) {
+    selectedFriend = friend;
+    const status = i18n.translate(friend.online ? 'online' : 'offline');
+
+    ['modal-friend-name', 'modal-friend-name-standard'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) element.textContent = friend.username;
+    });
+    ['modal-friend-status', 'modal-friend-status-standard'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) element.textContent = status;
+    });
+
+    if (window.$) window.$('#friend-action-modal').foundation('open');
+}
+
+function closeFriendModal() {
+    if (window.$) window.$('#friend-action-modal').foundation('close');
+    selectedFriend = null;
+}
+
+function setupFriendActions() {
+    ['remove-friend-btn', 'remove-friend-btn-standard'].forEach(id => {
+        document.getElementById(id)?.addEventListener('click', async () => {
+            if (!selectedFriend || !confirm(i18n.translate('confirm_remove_friend'))) return;
+            try {
+                await api(`/${selectedFriend.friendshipId}`, { method: 'DELETE' });
+                closeFriendModal();
+                loadFriends();
+            } catch (error) {
+                showResult(error.message, true);
+            }
+        });
+    });
+
+    // Blocking lives in the friend modal next to removal
+    ['remove-friend-btn', 'remove-friend-btn-standard'].forEach(id => {
+        const removeButton = document.getElementById(id);
+        if (!removeButton) return;
+
+        const blockButton = createElement('button', removeButton.className, i18n.translate('block_user'));
+        blockButton.type = 'button';
+        blockButton.addEventListener('click', async () => {
+            if (!selectedFriend || !confirm(i18n.translate('confirm_block_user'))) return;
+            try {
+                await api('/block', {
+                    method: 'POST',
+                    body: JSON.stringify({ username: selectedFriend.username })
+                });
+                closeFriendModal();
+                loadFriends();
+            } catch (error) {
+                showResult(error.message, true);
+            }
+        });
+        removeButton.insertAdjacentElement('afterend', blockButton);
+    });
+
+    // Duel challenges use the mode and ranked options of the same theme
+    ['', '-standard'].forEach(suffix => {
+        document.getElementById(`invite-game-btn${suffix}`)?.addEventListener('click', async () => {
+            if (!selectedFriend) return;
+            const gameMode = document.getElementById(`duel-mode${suffix}`)?.value || 'classic';
+            const ranked = document.getElementById(`duel-ranked${suffix}`)?.checked !== false;
+            try {
+                await api('/duel', {
+                    method: 'POST',
+                    body: JSON.stringify({ friendId: selectedFriend.userId, gameMode, ranked })
+                });
+                showResult(`${i18n.translate('duel_sent')}: ${selectedFriend.username}`);
+                closeFriendModal();
+            } catch (error) {
+                showResult(error.message, true);
+            }
+        });
+    });
+}
+
+function enterDuelRoom(roomId) {
+    window.location.href = `/game-room.html?roomId=${encodeURIComponent(roomId)}`;
+}
+
+// Show an incoming duel challenge with accept and decline buttons
+function showDuelInvite(duel) {
+    const invite = createElement('div', 'duel-invite container-card nes-container is-rounded');
+    invite.id = `duel-${duel.id}`;
+
+    const mode = i18n.translate(`${duel.gameMode}_mode`);
+    const ranked = duel.ranked ? ` (${i18n.translate('ranked')})` : '';
+    invite.appendChild(createElement('p', '', `${duel.from.username} ${i18n.translate('duel_invite_from')}: ${mode}${ranked}`));
+
+    invite.appendChild(createButton('accept', async () => {
+        invite.remove();
+        try {
+            const data = await api(`/duel/${duel.id}/accept`, { method: 'POST' });
+            enterDuelRoom(data.roomId);
+        } catch (error) {
+            showResult(error.message, true);
+        }
+    }));
+    invite.appendChild(createButton('reject', () => {
+        invite.remove();
+        api(`/duel/${duel.id}/decline`, { method: 'POST' }).catch(() => {});
+    }));
+
+    document.body.appendChild(invite);
+}
+
+function setupSocket() {
+    if (typeof io === 'undefined') return;
+    const socket = io();
+
+    socket.on('friendRequestReceived', (data) => {
+        showResult(`${i18n.translate('friend_request_received')}: ${data.from.username}`);
+        loadRequests();
+    });
+
+    socket.on('friendRequestUpdated', (data) => {
+        if (data.status === 'accepted') {
+            showResult(`${i18n.translate('friend_request_accepted')}: ${data.user.username}`);
+            loadFriends();
+        }
+        loadRequests();
+    });
+
+    socket.on('friendRemoved', () => {
+        loadFriends();
+    });
+
+    socket.on('duelInvite', showDuelInvite);
+
+    socket.on('duelAccepted', (data) => {
+        enterDuelRoom(data.roomId);
+    });
+
+    socket.on('duelDeclined', () => {
+        showResult(i18n.translate('duel_declined'), true);
+    });
+
+    socket.on('duelExpired', (data) => {
+        const invite = document.getElementById(`duel-${data.duelId}`);
+        if (invite) invite.remove();
+        showResult(i18n.translate('duel_expired'), true);
+    });
+}
@@ -1,28 +1,27 @@
 import i18n from '../i18n.js';
 import { createLanguageSelector } from '../language-selector.js';
+import { createFieldRenderer } from '../game-field.js';
+
+// Shared unit definitions, loaded as a classic script before this module
+const GameUnits = window.GameUnits;
+
+// Battlefield units and towers
+const field = createFieldRenderer();
 
 // Game state
 let gameState = {
     gold: 500,
-    units: [],
-    isLeftPlayer: false
+    isLeftPlayer: false,
+    gameMode: 'classic'
 };
 
-// Unit costs
-const UNIT_COSTS = {
-    miner: 100,
-    soldier: 200,
-    barrier: 50
-};
-
-// Mineral value
-const MINERAL_VALUE = 75;
-
 document.addEventListener('DOMContentLoaded', async function() {
     // Get room ID and username from URL
     const urlParams = new URLSearchParams(window.location.search);
     const roomId = urlParams.get('roomId') || urlParams.get('room');
     const usernameFromUrl = urlParams.get('username');
+    // Spectators watch read-only with a delay: no spawning, RPS or lobby controls
+    const spectating = urlParams.get('spectate') === '1';
     
     // Check sessionStorage for room details (fallback from matchmaking)
     const pendingRoomId = sessionStorage.getItem('pendingRoomId');
@@ -123,11 +122,27 @@ document.addEventListener('DOMContentLoaded', async function() {
             socket.emit('startGame');
         });
         
+        // Set up ready button
+        const readyButton = document.getElementById('ready-btn');
+        if (readyButton) {
+            readyButton.addEventListener('click', () => {
+                socket.emit('toggleReady');
+            });
+        }
+        
         // Set up leave room button
         document.getElementById('leave-room-btn').addEventListener('click', () => {
-            socket.emit('leaveRoom');
+            socket.emit(spectating ? 'stopSpectating' : 'leaveRoom');
             window.location.href = '/';
         });
+        
+        // Let the room owner allow or forbid spectators
+        const allowSpectatorsToggle = document.getElementById('allow-spectators');
+        if (allowSpectatorsToggle) {
+            allowSpectatorsToggle.addEventListener('change', () => {
+                socket.emit('setAllowSpectators', { allow: allowSpectatorsToggle.checked });
+            });
+        }
 
         // First, check if the room exists
         socket.on('connect', () => {
@@ -140,7 +155,9 @@ document.addEventListener('DOMContentLoaded', async function() {
         // Handle reconnection events
         socket.on('reconnect', () => {
             console.log('Socket reconnected, attempting to rejoin room:', window.roomId);
-            if (window.roomId && currentUser) {
+            if (window.roomId && currentUser && spectating) {
+                socket.emit('spectateRoom', { roomId: window.roomId });
+            } else if (window.roomId && currentUser) {
                 // Automatically attempt to rejoin the room
                 socket.emit('joinRoom', {
                     roomId: window.roomId,
@@ -152,13 +169,27 @@ document.addEventListener('DOMContentLoaded', async function() {
         // Add a connection error handler to provide better debugging
         socket.on('connect_error', (error) => {
             console.error('Socket connection error:', error);
+            if (error.message === 'banned') {
+                window.location.href = '/login.html?error=banned';
+                return;
+            }
             alert('Connection error. Please try refreshing the page.');
         });
         
+        // The account was banned while playing
+        socket.on('banned', () => {
+            window.location.href = '/login.html?error=banned';
+        });
+        
         // Handle room check response
         socket.on('roomCheckResult', (data) => {
             console.log('Room check result:', data);
             
+            if (spectating) {
+                socket.emit('spectateRoom', { roomId: finalRoomId });
+                return;
+            }
+            
             if (data.exists) {
                 console.log('Room exists, joining:', finalRoomId);
                 // Room exists, join it
@@ -262,9 +293,20 @@ document.addEventListener('DOMContentLoaded', async function() {
                 setTimeout(() => {
                     window.location.href = '/';
                 }, 1000);
+            } else if (data.message === 'not_enough_gold') {
+                // The server rejected a spawn; goldSyncUpdate restores the real balance
+                alert(i18n.translate('not_enough_gold'));
             } else if (data.message === 'room_full' || data.message === 'game_already_started') {
                 alert(`Cannot join: ${data.message}. Returning to home page.`);
                 window.location.href = '/';
+            } else if (data.message === 'not_authenticated') {
+                window.location.href = '/login.html';
+            } else if (data.message === 'not_invited') {
+                alert(i18n.translate('not_invited'));
+                window.location.href = '/';
+            } else if (['room_private', 'spectators_disabled', 'already_in_room'].includes(data.message)) {
+                alert(i18n.translate(data.message));
+                window.location.href = '/';
             } else {
                 // Generic error handling
                 alert(`Error: ${data.message}`);
@@ -280,28 +322,77 @@ document.addEventListener('DOMContentLoaded', async function() {
             
             // Update player count
             playerCount.textContent = data.players.length;
+            updateSpectatorCount(data.spectatorCount);
             
             // Update player list
             playersList.innerHTML = data.players.map(player => 
-                `<li>${player.username} ${player.isHost ? `(${i18n.translate('room_owner')})` : ''}</li>`
+                `<li>${player.username} ${player.isHost ? `(${i18n.translate('room_owner')})` : ''} ${player.isReady ? '✓' : ''}</li>`
             ).join('');
 
             // Find current user in the player list
-            const currentPlayer = data.players.find(p => p.username === currentUser.username);
+            const currentPlayer = data.players.find(p => p.id === currentUser.id);
+            
+            // Reflect our own ready state on the ready button
+            if (readyButton && currentPlayer) {
+                readyButton.classList.toggle('active', currentPlayer.isReady);
+            }
             
             // Show start button only if:
             // 1. Current user is the host
-            // 2. There are exactly 2 players
-            if (currentPlayer?.isHost && data.players.length === 2) {
+            // 2. There are exactly 2 players, all ready
+            if (currentPlayer?.isHost && data.players.length === 2 && data.players.every(p => p.isReady)) {
                 startButton.style.display = 'block';
             } else {
                 startButton.style.display = 'none';
             }
+            
+            // Only the room owner sees the spectator switch
+            const spectatorControl = document.getElementById('allow-spectators-control');
+            if (spectatorControl) {
+                spectatorControl.classList.toggle('hidden', !currentPlayer?.isHost);
+                allowSpectatorsToggle.checked = data.allowSpectators !== false;
+            }
+        });
+        
+        // Spectator count, shown to players and spectators alike
+        socket.on('spectatorCount', (data) => {
+            updateSpectatorCount(data.count);
+        });
+        
+        socket.on('spectatorSettings', (data) => {
+            if (allowSpectatorsToggle) allowSpectatorsToggle.checked = data.allowSpectators;
+        });
+        
+        function updateSpectatorCount(count = 0) {
+            const counter = document.getElementById('spectator-count');
+            if (!counter) return;
+            counter.classList.toggle('hidden', count === 0);
+            document.getElementById('spectator-count-value').textContent = count;
+        }
+        
+        // Confirmation that we are watching; the game state follows after the delay
+        socket.on('spectating', (data) => {
+            document.body.classList.add('spectator-view');
+            document.getElementById('room-id').textContent = data.roomId;
+            if (data.gameMode && window.gameModeFunctions) {
+                window.gameModeFunctions.updateGameModeBanner(data.gameMode);
+            }
+            showGameStatus(i18n.translate('spectating_delay').replace('{seconds}', Math.round(data.spectatorDelay / 1000)));
+        });
+        
+        socket.on('spectatorState', (state) => {
+            enterGame(state);
+        });
+        
+        // The room owner turned spectators off
+        socket.on('spectatingEnded', (data) => {
+            alert(i18n.translate(data.reason));
+            window.location.href = '/';
         });
         
         // Handle gold updates
         socket.on('goldUpdate', (data) => {
-            if (data.playerId === socket.id) {
+            if (data.playerId === currentUser.id) {
                 gameState.gold = data.gold;
                 updateGoldDisplay();
             }
@@ -311,14 +402,16 @@ document.addEventListener('DOMContentLoaded', async function() {
         socket.on('goldSyncUpdate', (data) => {
             // Update both players' gold displays
             data.players.forEach(playerData => {
-                if (playerData.playerId === socket.id) {
+                if (playerData.playerId === currentUser.id) {
                     // This is our gold
                     gameState.gold = playerData.gold;
                 }
                 
-                // Update the display for this player
-                const isCurrentPlayer = playerData.playerId === socket.id;
-                const playerSide = (isCurrentPlayer === gameState.isLeftPlayer) ? 'left' : 'right';
+                // Update the display for this player; spectators go by the seating
+                const isCurrentPlayer = playerData.playerId === currentUser.id;
+                const playerSide = spectating
+                    ? gameState.players?.find(p => p.id === playerData.playerId)?.side
+                    : (isCurrentPlayer === gameState.isLeftPlayer) ? 'left' : 'right';
                 
                 const goldElement = document.querySelector(`.player-info.${playerSide} .gold-amount`);
                 if (goldElement) {
@@ -333,24 +426,65 @@ document.addEventListener('DOMContentLoaded', async function() {
             spawnUnit(data);
         });
         
+        // Handle authoritative state snapshots from the server simulation
+        socket.on('gameState', (snapshot) => {
+            renderSnapshot(snapshot);
+        });
+        
         // Handle game start
+        // The server opens the first RPS round right after this with rpsReset
         socket.on('gameStarted', (initialState) => {
+            enterGame(initialState);
+            resetRPSUI();
+        });
+        
+        // Handle resuming a running game after a reconnect
+        socket.on('gameResumed', (state) => {
+            enterGame(state);
+            resetRPSUI();
+            if (state.rps && state.rps.endsAt) {
+                startRPSTimer(state.rps.endsAt);
+            }
+        });
+        
+        // Opponent connection notices during a game
+        socket.on('player:disconnected', () => {
+            showGameStatus(i18n.translate('opponent_disconnected'));
+        });
+        
+        socket.on('player:reconnected', () => {
+            showGameStatus(i18n.translate('opponent_reconnected'));
+        });
+        
+        function showGameStatus(message) {
+            const statusElement = document.getElementById('game-status');
+            if (statusElement) {
+                statusElement.textContent = message;
+            }
+        }
+        
+        // Switch from the lobby to the battlefield using a server state
+        function enterGame(initialState) {
             document.querySelector('.room-info').style.display = 'none';
             document.querySelector('.player-list').style.display = 'none';
             document.querySelector('.room-actions').style.display = 'none';
             document.getElementById('game-container').style.display = 'block';
             // Save players to gameState for later reference
             gameState.players = initialState.players;
+            gameState.gameMode = initialState.gameMode || 'classic';
             // Find which player we are (left or right)
             const players = initialState.players;
-            gameState.isLeftPlayer = players[0].id === socket.id || players[0].socketId === socket.id;
+            gameState.isLeftPlayer = players[0].id === currentUser.id;
             // Find our player object and get initial gold
-            const ourPlayer = players.find(p => p.id === socket.id || p.socketId === socket.id);
+            const ourPlayer = players.find(p => p.id === currentUser.id);
             if (ourPlayer) {
                 gameState.gold = ourPlayer.gold;
             }
             // Initialize game state
             setupGame();
+            if (initialState.gameState) {
+                renderSnapshot(initialState.gameState);
+            }
             // Update both players' gold displays
             const leftPlayer = players[0];
             const rightPlayer = players[1];
@@ -362,10 +496,16 @@ document.addEventListener('DOMContentLoaded', async function() {
             if (rightGoldElement && rightPlayer) {
                 rightGoldElement.textContent = rightPlayer.gold;
             }
-            resetRPSUI();
-            startRPSTimer();
-        });
+        }
 
+        // An admin closed the room
+        socket.on('roomClosed', () => {
+            alert(i18n.translate('room_closed'));
+            fetch('/api/user/clear-last-room', { method: 'POST' })
+                .catch(err => console.error('Failed to clear last room:', err));
+            window.location.href = '/';
+        });
+        
         // Handle player left
         socket.on('playerLeft', (data) => {
             if (data.isHost) {
@@ -405,6 +545,7 @@ document.addEventListener('DOMContentLoaded', async function() {
         function updateGoldDisplay() {
             // This function is now only used for initial display setup
             // Real-time updates come through goldSyncUpdate event
+            if (spectating) return;
             const leftGoldElement = document.querySelector('.player-info.left .gold-amount');
             const rightGoldElement = document.querySelector('.player-info.right .gold-amount');
             
@@ -418,13 +559,29 @@ document.addEventListener('DOMContentLoaded', async function() {
         }
         
         function setupUnitSelection() {
+            // Only offer the units playable in this room's game mode
+            const container = document.getElementById('unit-options');
+            if (container) {
+                container.innerHTML = GameUnits.getAvailableUnits(gameState.gameMode).map(unitType => {
+                    const stats = GameUnits.getUnitStats(gameState.gameMode, unitType);
+                    return `<button type="button" class="unit-option ${unitType}" data-unit="${unitType}">
+                        <img src="images/${stats.image || unitType}.png" alt="${unitType}">
+                        <span class="unit-name">${i18n.translate(`unit_${unitType}`)}</span>
+                        <span class="unit-cost">${stats.cost}</span>
+                    </button>`;
+                }).join('');
+            }
+            
             const unitOptions = document.querySelectorAll('.unit-option');
             unitOptions.forEach(option => {
                 option.addEventListener('click', () => {
                     const unitType = option.getAttribute('data-unit');
-                    const cost = UNIT_COSTS[unitType];
+                    const stats = GameUnits.getUnitStats(gameState.gameMode, unitType);
+                    if (!stats) {
+                        return;
+                    }
                     
-                    if (gameState.gold >= cost) {
+                    if (gameState.gold >= stats.cost) {
                         spawnNewUnit(unitType);
                     } else {
                         alert(i18n.translate('not_enough_gold'));
@@ -434,98 +591,116 @@ document.addEventListener('DOMContentLoaded', async function() {
         }
         
         function spawnNewUnit(unitType) {
-            // Determine spawn position
-            let x, y;
-            if (unitType === 'barrier') {
-                // Place barrier at the same position as the player's tower
-                x = gameState.isLeftPlayer ? 100 : 980;
-                y = 300;
-            } else {
-                x = gameState.isLeftPlayer ? 100 : 980;
-                y = 250 + Math.floor(Math.random() * 300); // random 100px across middle
-            }
-            
-            // Generate unique ID
-            const unitId = Date.now() + Math.random().toString(16).slice(2);
-            
-            // Emit spawn unit event
-            socket.emit('spawnUnit', {
-                unitId,
-                unitType,
-                x,
-                y,
-                isLeftPlayer: gameState.isLeftPlayer
-            });
+            // The server picks the spawn position and charges the cost
+            socket.emit('spawnUnit', { unitType });
         }
         
         function spawnUnit(unitData) {
-            // Add unit to game state
-            if (unitData.type === 'barrier') {
-                unitData.hp = 5; // Barrier can block 5 attacks
-            }
-            gameState.units.push(unitData);
-            
-            // Create unit element
-            const unitElement = document.createElement('div');
-            unitElement.className = `unit ${unitData.type} ${unitData.isLeftPlayer ? 'left' : 'right'}`;
-            unitElement.id = `unit-${unitData.id}`;
-            unitElement.style.left = `${unitData.x}px`;
-            unitElement.style.top = `${unitData.y}px`;
-            unitElement.style.width = unitData.type === 'barrier' ? '40px' : '32px';
-            unitElement.style.height = unitData.type === 'barrier' ? '40px' : '32px';
-            unitElement.style.position = 'absolute';
-            
-            // Add unit image
-            const unitImage = document.createElement('img');
-            unitImage.src = `images/${unitData.type}.png`;
-            unitImage.alt = unitData.type;
-            unitImage.style.width = '100%';
-            unitImage.style.height = '100%';
-            unitElement.appendChild(unitImage);
-            
-            // Add to game field
-            document.querySelector('.game-field').appendChild(unitElement);
-            
-            // If it's a miner, add mineral collection behavior
-            if (unitData.type === 'miner') {
-                setupMiner(unitData, unitElement);
-            } else if (unitData.type === 'soldier') {
-                setupSoldier(unitData, unitElement);
-            } else if (unitData.type === 'barrier') {
-                setupBarrier(unitData, unitElement);
-            }
+            field.spawnUnit(unitData);
         }
         
-        function setupBarrier(unitData, unitElement) {
-            // Overlay the barrier image on the tower
-            const towerSelector = unitData.isLeftPlayer ? '.tower.left .barrier-image' : '.tower.right .barrier-image';
-            const barrierImg = document.querySelector(towerSelector);
-            if (barrierImg) {
-                barrierImg.style.display = 'block';
-            }
-            // Remove the floating barrier unit from the field (if any)
-            if (unitElement && unitElement.parentNode) {
-                unitElement.parentNode.removeChild(unitElement);
+        // Render a server snapshot: the server owns positions, health and gold
+        function renderSnapshot(snapshot) {
+            const ourPlayer = snapshot.players.find(p => p.id === currentUser.id);
+            if (ourPlayer) {
+                gameState.gold = ourPlayer.gold;
             }
+            field.renderSnapshot(snapshot);
         }
-        
-        // Placeholder functions for unit behaviors
-        function setupMiner(unitData, unitElement) {
-            // Miner behavior would go here
-            console.log(`Miner ${unitData.id} is ready to mine!`);
-            // Track mining state per miner
-            unitData.miningInterval = null;
+
+        // --- Room chat ---
+        let mutedUserIds = [];
+        const chatMessages = document.getElementById('chat-messages');
+        const chatForm = document.getElementById('chat-form');
+        const chatInput = document.getElementById('chat-input');
+        const muteButton = document.getElementById('mute-opponent-btn');
+
+        chatForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const text = chatInput.value.trim();
+            if (!text) return;
+            socket.emit('sendChat', { text });
+            chatInput.value = '';
+        });
+
+        // Mute or unmute whoever we are playing against
+        muteButton?.addEventListener('click', () => {
+            const opponent = gameState.players?.find(p => p.id !== currentUser.id);
+            socket.emit('setMuted', { muted: !(opponent && mutedUserIds.includes(opponent.id)) });
+        });
+
+        function updateMuteButton() {
+            if (!muteButton) return;
+            const opponent = gameState.players?.find(p => p.id !== currentUser.id);
+            const muted = Boolean(opponent && mutedUserIds.includes(opponent.id));
+            muteButton.setAttribute('data-i18n', muted ? 'unmute_opponent' : 'mute_opponent');
+            muteButton.textContent = i18n.translate(muted ? 'unmute_opponent' : 'mute_opponent');
         }
-        
-        function setupSoldier(unitData, unitElement) {
-            // Soldier AI: move toward nearest enemy soldier, else enemy tower
-            unitData.soldierInterval = null;
+
+        function renderQuickChat(presets) {
+            const container = document.getElementById('quick-chat');
+            if (!container) return;
+            container.innerHTML = '';
+            presets.forEach(preset => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'secondary-button';
+                button.textContent = i18n.translate(`quick_chat_${preset}`);
+                button.addEventListener('click', () => socket.emit('sendQuickChat', { preset }));
+                container.appendChild(button);
+            });
+        }
+
+        function appendChatMessage(message) {
+            if (!chatMessages) return;
+            const line = document.createElement('div');
+            line.className = `chat-message${message.userId === currentUser.id ? ' own' : ''}`;
+            const author = document.createElement('span');
+            author.className = 'chat-author';
+            author.textContent = `${message.username}:`;
+            const text = document.createElement('span');
+            text.textContent = message.preset ? i18n.translate(`quick_chat_${message.preset}`) : message.text;
+            line.append(author, text);
+            chatMessages.appendChild(line);
+            chatMessages.scrollTop = chatMessages.scrollHeight;
         }
 
+        function appendChatNotice(text) {
+            if (!chatMessages) return;
+            const line = document.createElement('div');
+            line.className = 'chat-message system';
+            line.textContent = text;
+            chatMessages.appendChild(line);
+            chatMessages.scrollTop = chatMessages.scrollHeight;
+        }
+
+        // Full history when joining or coming back to the room
+        socket.on('chatHistory', (data) => {
+            mutedUserIds = data.mutedUserIds || [];
+            chatMessages?.replaceChildren();
+            data.messages.forEach(appendChatMessage);
+            renderQuickChat(data.presets || []);
+            muteButton?.classList.toggle('hidden', spectating);
+            updateMuteButton();
+        });
+
+        socket.on('chatMessage', (message) => {
+            appendChatMessage(message);
+        });
+
+        socket.on('chatError', (data) => {
+            appendChatNotice(i18n.translate(data.error));
+        });
+
+        socket.on('muteList', (data) => {
+            mutedUserIds = data.mutedUserIds;
+            updateMuteButton();
+        });
+
         // --- RPS (Rock Paper Scissors) logic ---
         let rpsHasPlayed = false;
         let rpsTimer = null;
-        let rpsTimeLeft = 10;
+        let rpsTimeLeft = 0;
         let rpsChoice = null;
 
         function resetRPSUI() {
@@ -537,8 +712,11 @@ document.addEventListener('DOMContentLoaded', async function() {
             document.getElementById('rps-timer').style.display = 'none';
         }
 
-        function startRPSTimer() {
-            rpsTimeLeft = 10;
+        // Count down to the end of the server's round
+        function startRPSTimer(endsAt) {
+            if (spectating) return;
+            rpsTimeLeft = Math.ceil((new Date(endsAt).getTime() - Date.now()) / 1000);
+            if (rpsTimeLeft <= 0) return;
             document.getElementById('rps-timer').style.display = 'block';
             document.getElementById('timer-count').textContent = rpsTimeLeft;
             if (rpsTimer) clearInterval(rpsTimer);
@@ -556,7 +734,7 @@ document.addEventListener('DOMContentLoaded', async function() {
         }
 
         function sendRPSChoice(choice) {
-            if (rpsHasPlayed) return;
+            if (rpsHasPlayed || spectating) return;
             rpsHasPlayed = true;
             rpsChoice = choice;
             socket.emit('rpsPlay', { move: choice });
@@ -578,15 +756,31 @@ document.addEventListener('DOMContentLoaded', async function() {
             // Optionally show feedback
         });
 
+        // Describe what the round's winner earned
+        function describeRPSReward(reward) {
+            if (!reward) return '';
+            if (reward.type === 'gold') {
+                return i18n.translate('rps_reward_gold').replace('{amount}', reward.amount);
+            }
+            return i18n.translate('rps_reward_damage_buff')
+                .replace('{percent}', Math.round((reward.multiplier - 1) * 100))
+                .replace('{seconds}', Math.round(reward.duration / 1000));
+        }
+
+        // The server sends the result once both moves are in or the round timed out
         socket.on('rpsResult', (data) => {
             clearInterval(rpsTimer);
             rpsTimer = null;
+            document.getElementById('rps-timer').style.display = 'none';
             let winner = data.winner;
             let resultText = '';
             let resultClass = '';
             if (winner === 'draw') {
                 resultText = i18n.translate('rps_draw') || 'Draw';
                 resultClass = 'rps-draw';
+            } else if (spectating) {
+                resultText = i18n.translate('spectate_winner').replace('{username}', winner);
+                resultClass = 'rps-draw';
             } else if (winner === currentUser.username) {
                 resultText = i18n.translate('rps_you_win') || 'You win!';
                 resultClass = 'rps-win';
@@ -594,225 +788,46 @@ document.addEventListener('DOMContentLoaded', async function() {
                 resultText = i18n.translate('rps_you_lose') || 'You lose!';
                 resultClass = 'rps-lose';
             }
+            if (data.forfeit) {
+                resultText += ' ' + i18n.translate('rps_forfeit');
+            }
+            const rewardText = describeRPSReward(data.reward);
+            if (rewardText) {
+                resultText += ' ' + rewardText;
+            }
             const rpsMsg = document.getElementById('rps-message');
             rpsMsg.textContent = resultText;
             rpsMsg.className = 'rps-result-msg ' + resultClass;
             // Optionally show player/opponent choice in a subtle way
             document.getElementById('player-choice').textContent = data.player1.username === currentUser.username ? (data.player1.move || '-') : (data.player2.move || '-');
             document.getElementById('opponent-choice').textContent = data.player1.username !== currentUser.username ? (data.player1.move || '-') : (data.player2.move || '-');
-            setTimeout(() => {
-                socket.emit('rpsReset');
-                resetRPSUI();
-                startRPSTimer();
-            }, 2000);
         });
 
-        socket.on('rpsReset', () => {
+        // A new round opened on the server
+        socket.on('rpsReset', (data) => {
             resetRPSUI();
-            startRPSTimer();
+            startRPSTimer(data.endsAt);
         });
 
-        // Start RPS round when game starts
-        socket.on('gameStarted', (initialState) => {
-            // ...existing code...
-            resetRPSUI();
-            startRPSTimer();
-            // ...existing code...
-        });
-
-        // Animation loop for miners
-        function animateMiners() {
-            gameState.units.forEach(unit => {
-                if (unit.type === 'miner') {
-                    const unitElement = document.getElementById(`unit-${unit.id}`);
-                    if (!unitElement) return;
-                    // Find nearest mineral
-                    const minerals = document.querySelectorAll('.mineral');
-                    let closestMineral = null;
-                    let minDist = Infinity;
-                    minerals.forEach(mineral => {
-                        const rect = mineral.getBoundingClientRect();
-                        const unitRect = unitElement.getBoundingClientRect();
-                        const dx = rect.left + rect.width/2 - (unitRect.left + unitRect.width/2);
-                        const dy = rect.top + rect.height/2 - (unitRect.top + unitRect.height/2);
-                        const dist = Math.sqrt(dx*dx + dy*dy);
-                        if (dist < minDist) {
-                            minDist = dist;
-                            closestMineral = mineral;
-                        }
-                    });
-                    if (closestMineral) {
-                        // Move toward the mineral
-                        const rect = closestMineral.getBoundingClientRect();
-                        const unitRect = unitElement.getBoundingClientRect();
-                        const dx = rect.left + rect.width/2 - (unitRect.left + unitRect.width/2);
-                        const dy = rect.top + rect.height/2 - (unitRect.top + unitRect.height/2);
-                        const dist = Math.sqrt(dx*dx + dy*dy);
-                        if (dist > 24) { // Stop if within 24px of center
-                            // Stop mining if moving away
-                            if (unit.miningInterval) {
-                                clearInterval(unit.miningInterval);
-                                unit.miningInterval = null;
-                            }
-                            const speed = 0.5; // slower px per frame
-                            const moveX = dx / dist * speed;
-                            const moveY = dy / dist * speed;
-                            // Update logical position
-                            unit.x += moveX;
-                            unit.y += moveY;
-                            // Update DOM
-                            unitElement.style.left = `${unit.x}px`;
-                            unitElement.style.top = `${unit.y}px`;
-                        } else {
-                            // Start mining if not already mining
-                            if (!unit.miningInterval) {
-                                unit.miningInterval = setInterval(() => {
-                                    // No longer emit collectMineral; server handles mining
-                                }, 1000);
-                            }
-                        }
-                    } else {
-                        // No mineral found, stop mining
-                        if (unit.miningInterval) {
-                            clearInterval(unit.miningInterval);
-                            unit.miningInterval = null;
-                        }
-                    }
-                }
-            });
-            requestAnimationFrame(animateMiners);
-        }
-        // Start animation loop after DOM is ready
-        requestAnimationFrame(animateMiners);
-
-        // Animation loop for soldiers
-        function animateSoldiers() {
-            // Get all soldiers
-            const leftSoldiers = gameState.units.filter(u => u.type === 'soldier' && u.isLeftPlayer);
-            const rightSoldiers = gameState.units.filter(u => u.type === 'soldier' && !u.isLeftPlayer);
-            // For each soldier
-            gameState.units.forEach(unit => {
-                if (unit.type !== 'soldier') return;
-                const unitElement = document.getElementById(`unit-${unit.id}`);
-                if (!unitElement) return;
-                // Find target: nearest enemy soldier, else nearest enemy barrier, else enemy tower
-                let target = null;
-                let targetType = null;
-                let minDist = Infinity;
-                const isLeft = unit.isLeftPlayer;
-                const enemySoldiers = isLeft ? rightSoldiers : leftSoldiers;
-                const enemyBarriers = gameState.units.filter(u => u.type === 'barrier' && u.isLeftPlayer !== isLeft);
-                if (enemySoldiers.length > 0) {
-                    enemySoldiers.forEach(enemy => {
-                        const dx = (enemy.x ?? 0) - (unit.x ?? 0);
-                        const dy = (enemy.y ?? 0) - (unit.y ?? 0);
-                        const dist = Math.sqrt(dx*dx + dy*dy);
-                        if (dist < minDist) {
-                            minDist = dist;
-                            target = enemy;
-                            targetType = 'soldier';
-                        }
-                    });
-                } else if (enemyBarriers.length > 0) {
-                    enemyBarriers.forEach(barrier => {
-                        const dx = (barrier.x ?? 0) - (unit.x ?? 0);
-                        const dy = (barrier.y ?? 0) - (unit.y ?? 0);
-                        const dist = Math.sqrt(dx*dx + dy*dy);
-                        if (dist < minDist) {
-                            minDist = dist;
-                            target = barrier;
-                            targetType = 'barrier';
-                        }
-                    });
-                } else {
-                    // Target enemy tower
-                    const towerX = isLeft ? 980 : 100;
-                    const towerY = 300; // center
-                    const dx = towerX - (unit.x ?? 0);
-                    const dy = towerY - (unit.y ?? 0);
-                    minDist = Math.sqrt(dx*dx + dy*dy);
-                    target = { x: towerX, y: towerY };
-                    targetType = 'tower';
-                }
-                // Move toward target
-                if (minDist > 24) {
-                    // Stop attacking if moving
-                    if (unit.soldierInterval) {
-                        clearInterval(unit.soldierInterval);
-                        unit.soldierInterval = null;
-                    }
-                    const speed = 1.0; // soldier speed px per frame
-                    const dx = (target.x ?? 0) - (unit.x ?? 0);
-                    const dy = (target.y ?? 0) - (unit.y ?? 0);
-                    const dist = Math.sqrt(dx*dx + dy*dy);
-                    const moveX = dx / dist * speed;
-                    const moveY = dy / dist * speed;
-                    unit.x += moveX;
-                    unit.y += moveY;
-                    unitElement.style.left = `${unit.x}px`;
-                    unitElement.style.top = `${unit.y}px`;
-                } else {
-                    // At target
-                    if (targetType === 'soldier') {
-                        // Both soldiers die
-                        const enemyElement = document.getElementById(`unit-${target.id}`);
-                        if (enemyElement) enemyElement.remove();
-                        if (unitElement) unitElement.remove();
-                        gameState.units = gameState.units.filter(u => u.id !== unit.id && u.id !== target.id);
-                    } else if (targetType === 'barrier') {
-                        // Attack barrier: reduce hp, remove if hp <= 0
-                        if (!unit.soldierInterval) {
-                            unit.soldierInterval = setInterval(() => {
-                                target.hp -= 1;
-                                if (target.hp <= 0) {
-                                    const barrierElement = document.getElementById(`unit-${target.id}`);
-                                    if (barrierElement) barrierElement.remove();
-                                    gameState.units = gameState.units.filter(u => u.id !== target.id);
-                                    clearInterval(unit.soldierInterval);
-                                    unit.soldierInterval = null;
-                                }
-                            }, 1000);
-                        }
-                    } else if (targetType === 'tower') {
-                        // Start damaging tower if not already
-                        if (!unit.soldierInterval) {
-                            unit.soldierInterval = setInterval(() => {
-                                // Damage enemy tower by 5/sec
-                                const hpBar = document.querySelector(`.player-info.${isLeft ? 'right' : 'left'} .hp-fill`);
-                                if (hpBar) {
-                                    let width = parseFloat(hpBar.style.width) || 100;
-                                    width -= 5;
-                                    if (width < 0) width = 0;
-                                    hpBar.style.width = width + '%';
-                                    // If HP reaches 0, trigger game over
-                                    if (width <= 0) {
-                                        // Only emit once
-                                        if (!window._gameOverEmitted) {
-                                            window._gameOverEmitted = true;
-                                            socket.emit('gameOver', { winner: isLeft ? 'left' : 'right' });
-                                        }
-                                    }
-                                }
-                            }, 1000);
-                        }
-                    }
-                }
-            });
-            requestAnimationFrame(animateSoldiers);
-        }
-        // Start animation loop after DOM is ready
-        requestAnimationFrame(animateSoldiers);
-
         // Listen for game over event from server
         socket.on('gameOver', (data) => {
-            // data: { winner: 'left' | 'right' }
+            // data: { winner: 'left' | 'right', endReason }
+            if (spectating) {
+                const winner = gameState.players?.find(p => p.id === data.winnerId);
+                alert(winner
+                    ? i18n.translate('spectate_winner').replace('{username}', winner.username)
+                    : i18n.translate('game_no_contest'));
+                window.location.href = '/';
+                return;
+            }
             let result = 'draw';
             if ((data.winner === 'left' && gameState.isLeftPlayer) || (data.winner === 'right' && !gameState.isLeftPlayer)) {
                 result = 'win';
             } else if ((data.winner === 'left' && !gameState.isLeftPlayer) || (data.winner === 'right' && gameState.isLeftPlayer)) {
                 result = 'lose';
             }
-            window.location.href = `/ending.html?result=${result}`;
+            const reason = data.endReason ? `&reason=${encodeURIComponent(data.endReason)}` : '';
+            window.location.href = `/ending.html?result=${result}${reason}`;
         });
     }
 });
\ No newline at end of file
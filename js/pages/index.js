@@ -9,6 +9,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     socket.on('userCountUpdate', (data) => {
         document.getElementById('player-count').textContent = data.count.toLocaleString();
     });
+    socket.on('settingsUpdated', (settings) => {
+        document.dispatchEvent(new CustomEvent('site-settings', { detail: settings }));
+    });
     checkLastRoom();
 
 
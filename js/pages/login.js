@@ -16,6 +16,12 @@ document.addEventListener('DOMContentLoaded', () => {
         document.title = `${i18n.translate(titleKey)} - ${i18n.translate('title')}`;
     });
     
+    // Google logins and dropped sockets of banned accounts land here
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('error') === 'banned') {
+        showMessage(formatBanMessage(params.get('reason'), params.get('expires')), 'error');
+    }
+    
     document.getElementById('login-form').addEventListener('submit', async (e) => {
         e.preventDefault();
         
@@ -52,6 +58,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 setTimeout(() => {
                     window.location.href = '/dashboard.html';
                 }, 1000);
+            } else if (data.banStatus) {
+                showMessage(formatBanMessage(data.reason, data.expiresAt), 'error');
             } else {
                 // Login failed
                 console.error('Login failed:', data.error || 'Unknown error');
@@ -69,4 +77,16 @@ function showMessage(text, type) {
     messageEl.textContent = text;
     messageEl.className = `message ${type}`;
     messageEl.classList.remove('hidden');
-} 
\ No newline at end of file
+}
+
+// Describe a ban with its reason and, for temporary bans, when it ends
+function formatBanMessage(reason, expiresAt) {
+    let text = i18n.translate('account_banned');
+    if (reason) {
+        text += ` ${i18n.translate('ban_reason')}: ${reason}.`;
+    }
+    if (expiresAt) {
+        text += ` ${i18n.translate('ban_expires')}: ${new Date(expiresAt).toLocaleString()}`;
+    }
+    return text;
+}
@@ -0,0 +1,227 @@
+import i18n from '../i18n.js';
+
+// Page state
+let socket = null;
+let inQueue = false;
+let queueStartedAt = null;
+let queueTimer = null;
+let currentMatch = null;
+let acceptTimer = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    setupModeCards();
+    setupButtons();
+    setupSocket();
+});
+
+// Format a number of seconds as mm:ss
+function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${String(minutes).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function setText(id, text) {
+    const element = document.getElementById(id);
+    if (element) element.textContent = text;
+}
+
+// Update the queue status box: idle, searching, matched or error
+function setStatus(state, text) {
+    const status = document.getElementById('queue-status');
+    if (status) {
+        status.classList.remove('searching', 'matched', 'error');
+        if (state !== 'idle') status.classList.add(state);
+    }
+    setText('queue-status-text', text);
+}
+
+function getSelectedMode() {
+    const card = document.querySelector('.game-mode-card.active') || document.getElementById('mode-classic');
+    return {
+        gameMode: card.dataset.mode || 'classic',
+        ranked: card.dataset.ranked !== 'false'
+    };
+}
+
+function setupModeCards() {
+    const cards = document.querySelectorAll('.game-mode-card');
+    cards.forEach(card => {
+        card.addEventListener('click', () => {
+            // The mode is locked while searching
+            if (inQueue) return;
+            cards.forEach(other => other.classList.remove('active'));
+            card.classList.add('active');
+        });
+    });
+
+    document.getElementById('mode-classic')?.classList.add('active');
+}
+
+function setupButtons() {
+    document.getElementById('find-match-btn')?.addEventListener('click', () => {
+        if (!socket || inQueue) return;
+        socket.emit('joinMatchmaking', { preferences: getSelectedMode() });
+    });
+
+    document.getElementById('cancel-match-btn')?.addEventListener('click', () => {
+        if (!socket || !inQueue) return;
+        socket.emit('leaveMatchmaking');
+    });
+
+    document.getElementById('accept-match-btn')?.addEventListener('click', () => {
+        if (!currentMatch) return;
+        socket.emit('acceptMatch', { matchId: currentMatch.matchId });
+        document.getElementById('accept-match-btn').disabled = true;
+        document.getElementById('decline-match-btn').disabled = true;
+        setText('match-found-title', i18n.translate('waiting_for_opponent'));
+    });
+
+    document.getElementById('decline-match-btn')?.addEventListener('click', () => {
+        if (!currentMatch) return;
+        socket.emit('declineMatch', { matchId: currentMatch.matchId });
+    });
+}
+
+// Show the searching state and start the elapsed-time counter
+function enterQueue() {
+    inQueue = true;
+    queueStartedAt = Date.now();
+
+    document.getElementById('find-match-btn')?.classList.add('hidden');
+    document.getElementById('cancel-match-btn')?.classList.remove('hidden');
+    document.getElementById('queue-timer')?.classList.remove('hidden');
+    setStatus('searching', i18n.translate('in_queue'));
+
+    clearInterval(queueTimer);
+    setText('queue-timer-value', formatTime(0));
+    queueTimer = setInterval(() => {
+        setText('queue-timer-value', formatTime(Math.floor((Date.now() - queueStartedAt) / 1000)));
+    }, 1000);
+}
+
+// Return to the idle state
+function leaveQueue() {
+    inQueue = false;
+    clearInterval(queueTimer);
+
+    document.getElementById('find-match-btn')?.classList.remove('hidden');
+    document.getElementById('cancel-match-btn')?.classList.add('hidden');
+    document.getElementById('queue-timer')?.classList.add('hidden');
+    setStatus('idle', i18n.translate('not_in_queue'));
+    setText('estimated-wait-time', '-');
+}
+
+function updateQueueStatus(data) {
+    // The server's wait time survives page reloads and restarts
+    queueStartedAt = Date.now() - data.waitTime * 1000;
+
+    setStatus('searching', `${i18n.translate('in_queue')} - ${i18n.translate('queue_position')}: ${data.position}/${data.queueSize}`);
+    setText('estimated-wait-time', data.estimatedWait === null ? '-' : `~${formatTime(data.estimatedWait)}`);
+}
+
+function showMatchFound(data) {
+    currentMatch = data;
+    clearInterval(queueTimer);
+
+    setStatus('matched', i18n.translate('match_found'));
+    setText('match-found-title', i18n.translate('match_found'));
+    setText('opponent-name', data.opponent.username);
+    setText('opponent-elo', `Elo ${data.opponent.elo}`);
+    const mode = i18n.translate(`${data.gameMode}_mode`);
+    setText('match-mode', data.ranked ? `${mode} (${i18n.translate('ranked')})` : mode);
+
+    const acceptButton = document.getElementById('accept-match-btn');
+    const declineButton = document.getElementById('decline-match-btn');
+    if (acceptButton) acceptButton.disabled = false;
+    if (declineButton) declineButton.disabled = false;
+
+    // Count down to the server's deadline
+    const expiresAt = Date.now() + data.acceptTimeout;
+    const tick = () => setText('accept-timer', Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000)));
+    clearInterval(acceptTimer);
+    tick();
+    acceptTimer = setInterval(tick, 250);
+
+    const modal = document.getElementById('match-found-modal');
+    modal?.classList.remove('hidden');
+    modal?.setAttribute('aria-hidden', 'false');
+}
+
+function hideMatchFound() {
+    currentMatch = null;
+    clearInterval(acceptTimer);
+
+    const modal = document.getElementById('match-found-modal');
+    modal?.classList.add('hidden');
+    modal?.setAttribute('aria-hidden', 'true');
+}
+
+function setupSocket() {
+    if (typeof io === 'undefined') return;
+    socket = io();
+
+    // Banned accounts are logged out
+    socket.on('connect_error', (error) => {
+        if (error.message === 'banned') window.location.href = '/login.html?error=banned';
+    });
+    socket.on('banned', () => {
+        window.location.href = '/login.html?error=banned';
+    });
+
+    socket.on('userCountUpdate', (data) => {
+        setText('online-player-count', data.count);
+    });
+
+    socket.on('settingsUpdated', (settings) => {
+        document.dispatchEvent(new CustomEvent('site-settings', { detail: settings }));
+    });
+
+    socket.on('matchmakingStatus', (data) => {
+        if (data.status === 'queued' && data.success) {
+            enterQueue();
+        } else if (data.status === 'left') {
+            leaveQueue();
+        } else {
+            setStatus('error', data.message);
+        }
+    });
+
+    socket.on('matchmakingError', (data) => {
+        hideMatchFound();
+        leaveQueue();
+        if (data.banStatus) {
+            setStatus('error', i18n.translate('account_banned'));
+        } else if (data.maintenance) {
+            setStatus('error', i18n.translate('maintenance_notice'));
+        } else {
+            setStatus('error', data.error);
+        }
+    });
+
+    socket.on('queueStatus', (data) => {
+        if (!inQueue) enterQueue();
+        updateQueueStatus(data);
+    });
+
+    socket.on('matchFound', showMatchFound);
+
+    socket.on('matchAccepted', () => {
+        setText('match-found-title', i18n.translate('opponent_accepted'));
+    });
+
+    socket.on('matchCancelled', (data) => {
+        hideMatchFound();
+        if (data.requeued) {
+            // The opponent declined or timed out; keep searching
+            enterQueue();
+            setStatus('searching', i18n.translate(data.reason === 'timeout' ? 'opponent_timed_out' : 'opponent_declined'));
+        } else {
+            leaveQueue();
+        }
+    });
+
+    socket.on('matchConfirmed', (data) => {
+        hideMatchFound();
+        window.location.href = `/game-room.html?roomId=${encodeURIComponent(data.roomId)}`;
+    });
+}
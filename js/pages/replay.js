@@ -0,0 +1,209 @@
+import i18n from '../i18n.js';
+import { createFieldRenderer } from '../game-field.js';
+
+// Battlefield units and towers, drawn the same way as in the game room
+const field = createFieldRenderer();
+
+// How long an RPS result stays on screen, in seconds of game time
+const RPS_DISPLAY_SECONDS = 3;
+
+// Page state
+let replay = null; // { match, tickRate, durationTicks, events }
+let start = null; // Players and minerals from the 'start' event
+let currentTick = 0;
+let playing = false;
+let speed = 1;
+let lastFrameTime = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    setupControls();
+    loadReplay(new URLSearchParams(window.location.search).get('match'));
+});
+
+// Format a number of seconds as mm:ss
+function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${String(minutes).padStart(2, '0')}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+}
+
+function setText(id, text) {
+    const element = document.getElementById(id);
+    if (element) element.textContent = text;
+}
+
+function showError(text) {
+    document.getElementById('replay-board')?.classList.add('hidden');
+    const error = document.getElementById('replay-error');
+    if (error) {
+        error.textContent = text;
+        error.classList.remove('hidden');
+    }
+}
+
+async function loadReplay(matchId) {
+    if (!matchId) {
+        showError(i18n.translate('replay_not_found'));
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/match/${encodeURIComponent(matchId)}/replay`);
+        if (!response.ok) {
+            showError(i18n.translate(response.status === 404 ? 'replay_not_found' : 'replay_load_failed'));
+            return;
+        }
+        replay = await response.json();
+    } catch (error) {
+        console.error('Error loading replay:', error);
+        showError(i18n.translate('replay_load_failed'));
+        return;
+    }
+
+    start = replay.events.find(event => event[1] === 'start')[2];
+    document.getElementById('replay-seek').max = replay.durationTicks;
+
+    const { match } = replay;
+    setText('replay-summary', `${match.player1.username} vs ${match.player2.username} · ${i18n.translate(`${match.gameMode}_mode`)}`);
+    document.querySelectorAll('.player-info').forEach((info, index) => {
+        info.querySelector('.player-name').textContent = start.players[index]?.username || '';
+    });
+
+    renderAt(0);
+}
+
+function setupControls() {
+    document.getElementById('replay-play-btn')?.addEventListener('click', () => {
+        if (!replay) return;
+        // Playing from the end starts over
+        if (!playing && currentTick >= replay.durationTicks) {
+            currentTick = 0;
+        }
+        setPlaying(!playing);
+    });
+
+    document.getElementById('replay-seek')?.addEventListener('input', (e) => {
+        if (!replay) return;
+        currentTick = Number(e.target.value);
+        renderAt(currentTick);
+    });
+
+    document.getElementById('replay-speed')?.addEventListener('change', (e) => {
+        speed = Number(e.target.value) || 1;
+    });
+}
+
+function setPlaying(value) {
+    playing = value;
+    lastFrameTime = null;
+    const button = document.getElementById('replay-play-btn');
+    if (button) {
+        button.textContent = i18n.translate(playing ? 'replay_pause' : 'replay_play');
+    }
+    if (playing) {
+        requestAnimationFrame(step);
+    }
+}
+
+// Advance the replay by the real time since the last animation frame
+function step(now) {
+    if (!playing) return;
+    if (lastFrameTime !== null) {
+        currentTick = Math.min(replay.durationTicks, currentTick + (now - lastFrameTime) / 1000 * replay.tickRate * speed);
+    }
+    lastFrameTime = now;
+    renderAt(currentTick);
+
+    if (currentTick >= replay.durationTicks) {
+        setPlaying(false);
+        return;
+    }
+    requestAnimationFrame(step);
+}
+
+// Rebuild the game as it was at a tick by applying every event up to it.
+// Units between two frames are moved part of the way to the next one
+function buildStateAt(tick) {
+    const units = new Map();
+    const gold = {};
+    let towers = start.players.map(p => p.towerHealth);
+    let rps = null;
+    let end = null;
+
+    start.players.forEach(p => {
+        gold[p.id] = p.gold;
+    });
+
+    let index = 0;
+    for (; index < replay.events.length && replay.events[index][0] <= tick; index++) {
+        const [eventTick, type, a, b] = replay.events[index];
+        if (type === 'spawn') {
+            units.set(a.id, { ...a, since: eventTick });
+        } else if (type === 'death') {
+            units.delete(a);
+        } else if (type === 'gold') {
+            gold[a] = b;
+        } else if (type === 'rps') {
+            rps = { tick: eventTick, result: a };
+        } else if (type === 'frame') {
+            a.forEach(([id, x, y, health]) => {
+                const unit = units.get(id);
+                if (unit) Object.assign(unit, { x, y, health, since: eventTick });
+            });
+            towers = b;
+        } else if (type === 'end') {
+            end = a;
+        }
+    }
+
+    const next = replay.events.slice(index).find(event => event[1] === 'frame');
+    if (next) {
+        next[2].forEach(([id, x, y]) => {
+            const unit = units.get(id);
+            if (!unit || next[0] <= unit.since) return;
+            const ratio = (tick - unit.since) / (next[0] - unit.since);
+            unit.x = Math.round(unit.x + (x - unit.x) * ratio);
+            unit.y = Math.round(unit.y + (y - unit.y) * ratio);
+        });
+    }
+
+    return {
+        snapshot: {
+            units: [...units.values()],
+            players: start.players.map((p, i) => ({ ...p, gold: gold[p.id], towerHealth: towers[i] })),
+            minerals: start.minerals
+        },
+        rps,
+        end
+    };
+}
+
+function renderAt(tick) {
+    const { snapshot, rps, end } = buildStateAt(tick);
+    field.renderSnapshot(snapshot);
+
+    document.getElementById('replay-seek').value = Math.floor(tick);
+    setText('replay-time', `${formatTime(tick / replay.tickRate)} / ${formatTime(replay.durationTicks / replay.tickRate)}`);
+
+    const showRps = rps && tick - rps.tick < RPS_DISPLAY_SECONDS * replay.tickRate;
+    setText('replay-rps', showRps ? describeRps(rps.result) : '');
+
+    let resultText = '';
+    if (end) {
+        const winner = start.players.find(p => p.id === end.winnerId);
+        resultText = winner
+            ? i18n.translate('spectate_winner').replace('{username}', winner.username)
+            : i18n.translate('game_no_contest');
+    }
+    setText('replay-result', resultText);
+}
+
+function describeRps(result) {
+    const winner = result.winner === 'draw' ? i18n.translate('rps_draw') : result.winner;
+    return i18n.translate('replay_rps_result')
+        .replace('{round}', result.round)
+        .replace('{player1}', result.player1.username)
+        .replace('{move1}', result.player1.move || '-')
+        .replace('{player2}', result.player2.username)
+        .replace('{move2}', result.player2.move || '-')
+        .replace('{winner}', winner);
+}
@@ -0,0 +1,105 @@
+/**
+ * Shared unit definitions for 天下太平
+ * Loaded by the server (require) and by the browser (window.GameUnits) so both
+ * sides agree on unit costs, health, damage and speed for every game mode
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.GameUnits = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  // Starting health of each player's tower
+  const TOWER_HEALTH = 1000;
+
+  /**
+   * Mode-independent unit traits
+   * role drives the simulation behavior, size is the rendered size in pixels,
+   * image names the sprite under images/ when it differs from the unit type
+   * @type {Object.<string, Object>}
+   */
+  const UNIT_TRAITS = {
+    miner: { role: 'miner', size: 32 },
+    soldier: { role: 'melee', size: 32, attackInterval: 500 },
+    barrier: { role: 'barrier', size: 40 },
+    // Heavy hitter: slow swings that grow stronger once badly wounded
+    berserker: {
+      role: 'melee',
+      size: 36,
+      image: 'soldier',
+      attackInterval: 700,
+      enrageThreshold: 0.5,
+      enrageMultiplier: 1.5
+    },
+    // Light raider: hunts enemy miners and interrupts their mining
+    scout: { role: 'raider', size: 28, image: 'soldier', attackInterval: 300 }
+  };
+
+  /**
+   * Per-mode unit statistics
+   * speed is in pixels per 60fps frame, damage is dealt per attack
+   * @type {Object.<string, Object.<string, Object>>}
+   */
+  const MODE_UNIT_STATS = {
+    classic: {
+      miner: { health: 100, speed: 1.0, cost: 100 },
+      soldier: { health: 200, damage: 10, speed: 1.0, cost: 200 },
+      barrier: { health: 300, cost: 50 }
+    },
+    insane: {
+      miner: { health: 80, speed: 1.5, cost: 100 },
+      soldier: { health: 250, damage: 20, speed: 1.3, cost: 250 },
+      barrier: { health: 500, cost: 75 },
+      berserker: { health: 180, damage: 40, speed: 1.8, cost: 400 }
+    },
+    beta: {
+      miner: { health: 120, speed: 1.0, cost: 120 },
+      soldier: { health: 180, damage: 15, speed: 1.0, cost: 220 },
+      barrier: { health: 350, cost: 60 },
+      scout: { health: 90, damage: 5, speed: 2.0, cost: 150 }
+    }
+  };
+
+  /**
+   * Get the unit stat table for a game mode
+   * @param {string} gameMode - Game mode ID
+   * @returns {Object.<string, Object>} Unit stats keyed by unit type, classic as default
+   */
+  function getModeUnitStats(gameMode) {
+    return MODE_UNIT_STATS[gameMode] || MODE_UNIT_STATS.classic;
+  }
+
+  /**
+   * Get the full definition of a unit in a game mode
+   * @param {string} gameMode - Game mode ID
+   * @param {string} unitType - Unit type
+   * @returns {Object|null} Merged traits and stats, or null if the unit is not playable in the mode
+   */
+  function getUnitStats(gameMode, unitType) {
+    const stats = getModeUnitStats(gameMode)[unitType];
+    const traits = UNIT_TRAITS[unitType];
+    if (!stats || !traits) {
+      return null;
+    }
+    return { type: unitType, damage: 0, speed: 0, ...traits, ...stats };
+  }
+
+  /**
+   * Get the unit types playable in a game mode
+   * @param {string} gameMode - Game mode ID
+   * @returns {Array<string>} Unit types
+   */
+  function getAvailableUnits(gameMode) {
+    return Object.keys(getModeUnitStats(gameMode)).filter(type => UNIT_TRAITS[type]);
+  }
+
+  return {
+    TOWER_HEALTH,
+    UNIT_TRAITS,
+    MODE_UNIT_STATS,
+    getModeUnitStats,
+    getUnitStats,
+    getAvailableUnits
+  };
+}));
@@ -0,0 +1,71 @@
+/**
+ * Admin audit log module
+ * Records every action taken through the admin API
+ */
+const { log } = require('../config/logging');
+const prisma = require('../prisma/client');
+
+/**
+ * Record an admin action
+ * Failures are logged rather than thrown so the action itself still succeeds
+ * @param {Object} entry - The action
+ * @param {number} entry.adminId - The acting admin
+ * @param {string} entry.action - Action name, e.g. USER_BAN
+ * @param {number|null} entry.targetUserId - The affected user, if any
+ * @param {Object|null} entry.details - Action parameters, stored as JSON
+ */
+async function recordAdminAction({ adminId, action, targetUserId = null, details = null }) {
+    try {
+        await prisma.adminAuditLog.create({
+            data: {
+                adminId,
+                action,
+                targetUserId,
+                details: details ? JSON.stringify(details) : null
+            }
+        });
+        log(`Admin ${adminId} ${action}${targetUserId ? ` on user ${targetUserId}` : ''}`, 'info', 'AUTH_EVENTS', { userId: adminId });
+    } catch (error) {
+        log(`Error recording admin action ${action}: ${error.message}`, 'error', 'AUTH_EVENTS');
+    }
+}
+
+/**
+ * Get a page of the audit log, newest first
+ * @param {Object} options - Filters and pagination
+ * @param {number} options.page - 1-based page number
+ * @param {number} options.limit - Entries per page
+ * @param {number} options.adminId - Only actions of this admin
+ * @param {number} options.targetUserId - Only actions on this user
+ * @param {string} options.action - Only this action
+ * @returns {Promise<Object>} { entries, total }
+ */
+async function getAuditLog({ page = 1, limit = 50, adminId, targetUserId, action } = {}) {
+    const where = {};
+    if (adminId) where.adminId = adminId;
+    if (targetUserId) where.targetUserId = targetUserId;
+    if (action) where.action = action;
+
+    const [total, rows] = await Promise.all([
+        prisma.adminAuditLog.count({ where }),
+        prisma.adminAuditLog.findMany({
+            where,
+            orderBy: { createdAt: 'desc' },
+            skip: (page - 1) * limit,
+            take: limit,
+            include: { admin: { select: { id: true, username: true } } }
+        })
+    ]);
+
+    const entries = rows.map(row => ({
+        ...row,
+        details: row.details ? JSON.parse(row.details) : null
+    }));
+
+    return { entries, total };
+}
+
+module.exports = {
+    recordAdminAction,
+    getAuditLog
+};
@@ -0,0 +1,207 @@
+/**
+ * Ban module
+ * Applies, lifts and checks account bans and keeps their history
+ */
+const { log } = require('../config/logging');
+const prisma = require('../prisma/client');
+
+// Ban status values of the User table
+const BAN_STATUS = {
+    CLEAR: 'CLEAR',
+    BANNED: 'BANNED',
+    TEMP_BANNED: 'TEMP_BANNED'
+};
+
+// User fields needed to check a ban
+const banSelect = { id: true, banStatus: true, banExpiration: true, banReason: true };
+
+/**
+ * Shape a user's ban for API responses
+ * @param {Object} user - User with ban fields
+ * @returns {Object} { banStatus, reason, expiresAt }
+ */
+function formatBan(user) {
+    return {
+        banStatus: user.banStatus,
+        reason: user.banReason || null,
+        expiresAt: user.banStatus === BAN_STATUS.TEMP_BANNED ? user.banExpiration : null
+    };
+}
+
+/**
+ * Get the ban currently in force for a user
+ * A temporary ban whose expiration has passed is lifted on the spot
+ * @param {Object} user - User with banStatus, banExpiration and banReason
+ * @returns {Promise<Object|null>} The ban, or null if the user may play
+ */
+async function getActiveBan(user) {
+    if (!user || !user.banStatus || user.banStatus === BAN_STATUS.CLEAR) {
+        return null;
+    }
+
+    if (user.banStatus === BAN_STATUS.TEMP_BANNED && user.banExpiration && user.banExpiration <= new Date()) {
+        await prisma.$transaction([
+            prisma.user.update({
+                where: { id: user.id },
+                data: { banStatus: BAN_STATUS.CLEAR, banExpiration: null, banReason: null }
+            }),
+            prisma.banHistory.create({
+                data: { userId: user.id, action: 'EXPIRED' }
+            })
+        ]);
+        log(`Temporary ban of user ${user.id} expired`, 'info', 'AUTH_EVENTS');
+        return null;
+    }
+
+    return formatBan(user);
+}
+
+/**
+ * Load a user and get the ban currently in force
+ * @param {number} userId - The user ID
+ * @returns {Promise<Object|null>} The ban, or null if the user may play
+ */
+async function checkUserBan(userId) {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: banSelect });
+    return getActiveBan(user);
+}
+
+/**
+ * List the stored sessions of a session store
+ * connect-sqlite3 has no `all`, so its table is read directly
+ * @param {Object} store - express-session store
+ * @returns {Promise<Array<Object>>} [{ sid, session }]
+ */
+function listSessions(store) {
+    return new Promise((resolve, reject) => {
+        if (typeof store.all === 'function') {
+            store.all((error, sessions) => {
+                if (error) return reject(error);
+                const entries = Array.isArray(sessions)
+                    ? sessions.map(session => [session.id, session])
+                    : Object.entries(sessions || {});
+                resolve(entries.map(([sid, session]) => ({ sid, session })));
+            });
+            return;
+        }
+
+        store.db.all(`SELECT sid, sess FROM ${store.table}`, (error, rows) => {
+            if (error) return reject(error);
+            resolve(rows.map(row => ({ sid: row.sid, session: JSON.parse(row.sess) })));
+        });
+    });
+}
+
+/**
+ * Log a user out everywhere: destroy their sessions and drop their sockets
+ * @param {number} userId - The user ID
+ * @param {Object} context - Where the user may be logged in
+ * @param {Object} context.sessionStore - express-session store
+ * @param {Object} context.io - Socket.io server instance
+ * @returns {Promise<number>} Number of destroyed sessions
+ */
+async function revokeUserSessions(userId, { sessionStore, io } = {}) {
+    let revoked = 0;
+
+    if (sessionStore) {
+        const sessions = await listSessions(sessionStore);
+        const owned = sessions.filter(({ session }) => parseInt(session && session.userId, 10) === userId);
+        await Promise.all(owned.map(({ sid }) => new Promise(resolve => sessionStore.destroy(sid, resolve))));
+        revoked = owned.length;
+    }
+
+    if (io) {
+        for (const socket of io.sockets.sockets.values()) {
+            if (socket.data.userId === userId) {
+                socket.emit('banned', { userId });
+                socket.disconnect(true);
+            }
+        }
+    }
+
+    log(`Revoked ${revoked} sessions of user ${userId}`, 'info', 'AUTH_EVENTS');
+    return revoked;
+}
+
+/**
+ * Ban a user permanently or until a given time
+ * @param {number} userId - The user to ban
+ * @param {Object} options - Ban options
+ * @param {string} options.reason - Why the user is banned
+ * @param {Date|null} options.expiresAt - End of a temporary ban, or null for a permanent ban
+ * @param {number|null} options.bannedById - The admin applying the ban
+ * @param {Object} options.sessionStore - express-session store whose sessions are revoked
+ * @param {Object} options.io - Socket.io server instance whose sockets are dropped
+ * @returns {Promise<Object>} The applied ban
+ */
+async function banUser(userId, { reason = null, expiresAt = null, bannedById = null, sessionStore, io } = {}) {
+    if (expiresAt && expiresAt <= new Date()) {
+        throw new Error('Ban expiration must be in the future');
+    }
+
+    const banStatus = expiresAt ? BAN_STATUS.TEMP_BANNED : BAN_STATUS.BANNED;
+    const [user] = await prisma.$transaction([
+        prisma.user.update({
+            where: { id: userId },
+            data: { banStatus, banExpiration: expiresAt, banReason: reason },
+            select: banSelect
+        }),
+        prisma.banHistory.create({
+            data: { userId, bannedById, action: banStatus, reason, expiresAt }
+        })
+    ]);
+
+    log(`User ${userId} ${expiresAt ? `banned until ${expiresAt.toISOString()}` : 'banned permanently'} by ${bannedById || 'system'}: ${reason || 'no reason given'}`, 'warn', 'AUTH_EVENTS', { userId });
+
+    try {
+        await revokeUserSessions(userId, { sessionStore, io });
+    } catch (error) {
+        log(`Error revoking sessions of user ${userId}: ${error.message}`, 'error', 'AUTH_EVENTS');
+    }
+
+    return formatBan(user);
+}
+
+/**
+ * Lift a user's ban
+ * @param {number} userId - The user to unban
+ * @param {Object} options - Unban options
+ * @param {string} options.reason - Why the ban is lifted
+ * @param {number|null} options.bannedById - The admin lifting the ban
+ */
+async function unbanUser(userId, { reason = null, bannedById = null } = {}) {
+    await prisma.$transaction([
+        prisma.user.update({
+            where: { id: userId },
+            data: { banStatus: BAN_STATUS.CLEAR, banExpiration: null, banReason: null }
+        }),
+        prisma.banHistory.create({
+            data: { userId, bannedById, action: 'UNBANNED', reason }
+        })
+    ]);
+
+    log(`User ${userId} unbanned by ${bannedById || 'system'}`, 'info', 'AUTH_EVENTS', { userId });
+}
+
+/**
+ * Get a user's ban history, newest first
+ * @param {number} userId - The user ID
+ * @returns {Promise<Array<Object>>} Ban history entries with the acting admin
+ */
+async function getBanHistory(userId) {
+    return prisma.banHistory.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'desc' },
+        include: { bannedBy: { select: { id: true, username: true } } }
+    });
+}
+
+module.exports = {
+    BAN_STATUS,
+    getActiveBan,
+    checkUserBan,
+    banUser,
+    unbanUser,
+    revokeUserSessions,
+    getBanHistory
+};
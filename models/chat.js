@@ -0,0 +1,181 @@
+/**
+ * Room chat module
+ * Validates, rate limits and stores the chat messages of a room. Recent
+ * messages stay on the room for late joiners; every message is also saved to
+ * the database so admins can review reports after the room is gone
+ */
+const { v4: uuidv4 } = require('uuid');
+const { log } = require('../config/logging');
+const config = require('../config/config');
+const prisma = require('../prisma/client');
+const { filterProfanity } = require('../utils/profanity');
+
+// Quick-chat presets players can send in one click during a match; the
+// client shows the translation of 'quick_chat_<preset>'
+const QUICK_CHAT_PRESETS = ['good_luck', 'well_played', 'nice_move', 'thanks', 'oops', 'good_game'];
+
+// Recent send times per user for the rate limit
+const sendTimes = new Map(); // Map user IDs to message timestamps
+let lastSweep = 0; // When users with only expired timestamps were last dropped
+
+/**
+ * Forget users whose timestamps all fell out of the rate limit window
+ * Runs at most once per window so the map only holds recent senders
+ * @param {number} windowStart - Oldest timestamp still inside the window
+ * @param {number} now - Current time in ms
+ */
+function sweepSendTimes(windowStart, now) {
+    if (now - lastSweep < config.chat.rateLimitWindow) return;
+    lastSweep = now;
+
+    sendTimes.forEach((times, userId) => {
+        if (times[times.length - 1] <= windowStart) {
+            sendTimes.delete(userId);
+        }
+    });
+}
+
+/**
+ * Check a user's chat rate limit and count the new message against it
+ * @param {number} userId - The sending user
+ * @param {number} now - Current time in ms
+ * @returns {boolean} Whether the user may send another message
+ */
+function consumeRateLimit(userId, now = Date.now()) {
+    const windowStart = now - config.chat.rateLimitWindow;
+    sweepSendTimes(windowStart, now);
+    const recent = (sendTimes.get(userId) || []).filter(time => time > windowStart);
+
+    if (recent.length >= config.chat.rateLimitCount) {
+        sendTimes.set(userId, recent);
+        return false;
+    }
+
+    recent.push(now);
+    sendTimes.set(userId, recent);
+    return true;
+}
+
+/**
+ * Validate a message and append it to the room's chat history
+ * A message is either free text or one of the quick-chat presets
+ * @param {Object} room - The room object
+ * @param {Object} sender - The sending player (id, username)
+ * @param {Object} content - { text } or { preset }
+ * @returns {Object} { message } on success or { error } with an error code
+ */
+function addChatMessage(room, sender, { text, preset } = {}) {
+    let body = null;
+    let originalText = null;
+
+    if (preset !== undefined) {
+        if (!QUICK_CHAT_PRESETS.includes(preset)) {
+            return { error: 'invalid_preset' };
+        }
+    } else {
+        if (typeof text !== 'string' || text.trim().length === 0) {
+            return { error: 'chat_empty' };
+        }
+        body = text.trim();
+        if (body.length > config.chat.maxLength) {
+            return { error: 'chat_too_long' };
+        }
+        if (config.chat.profanityFilter) {
+            const filtered = filterProfanity(body);
+            if (filtered !== body) {
+                originalText = body;
+                body = filtered;
+            }
+        }
+    }
+
+    if (!consumeRateLimit(sender.id)) {
+        log(`Chat rate limit hit by user ${sender.id} in room ${room.id}`, 'debug', 'ROOM_EVENTS', { userId: sender.id, roomId: room.id });
+        return { error: 'chat_rate_limited' };
+    }
+
+    const entry = {
+        id: uuidv4().substring(0, 8),
+        userId: sender.id,
+        username: sender.username,
+        text: body,
+        preset: preset !== undefined ? preset : null,
+        timestamp: new Date(),
+        originalText // Unmasked text, kept for admins reviewing reports
+    };
+
+    room.chatHistory.push(entry);
+    if (room.chatHistory.length > config.chat.historySize) {
+        room.chatHistory.splice(0, room.chatHistory.length - config.chat.historySize);
+    }
+
+    prisma.chatMessage.create({
+        data: {
+            roomId: room.id,
+            matchId: room.matchId || null,
+            userId: entry.userId,
+            username: entry.username,
+            text: entry.text,
+            preset: entry.preset,
+            originalText,
+            createdAt: entry.timestamp
+        }
+    }).catch(error => {
+        log(`Error saving chat message in room ${room.id}: ${error.message}`, 'error', 'ROOM_EVENTS', { roomId: room.id });
+    });
+
+    return { message: serializeChatMessage(entry) };
+}
+
+/**
+ * Build the client view of a chat message, without the unmasked text
+ * @param {Object} entry - Chat history entry
+ * @returns {Object} Serializable message
+ */
+function serializeChatMessage({ originalText, ...message }) {
+    return message;
+}
+
+/**
+ * Get the chat history of a room as a given viewer should see it
+ * @param {Object} room - The room object
+ * @param {Object} options - Filter options
+ * @param {Array<number>} options.mutedUserIds - Senders the viewer muted
+ * @param {number} options.before - Only messages sent before this time in ms
+ * @returns {Array<Object>} Messages, oldest first
+ */
+function getChatHistory(room, { mutedUserIds = [], before = Infinity } = {}) {
+    return room.chatHistory
+        .filter(entry => !mutedUserIds.includes(entry.userId) && entry.timestamp.getTime() < before)
+        .map(serializeChatMessage);
+}
+
+/**
+ * Get the saved chat log of a room for admins, including unmasked text
+ * Works for live rooms and for rooms that were already closed
+ * @param {string} roomId - The room ID
+ * @returns {Promise<Array<Object>>} Messages, oldest first
+ */
+async function getRoomChatLog(roomId) {
+    const rows = await prisma.chatMessage.findMany({
+        where: { roomId },
+        orderBy: { createdAt: 'asc' }
+    });
+    return rows.map(row => ({
+        id: row.id,
+        matchId: row.matchId,
+        userId: row.userId,
+        username: row.username,
+        text: row.text,
+        preset: row.preset,
+        timestamp: row.createdAt,
+        originalText: row.originalText
+    }));
+}
+
+module.exports = {
+    QUICK_CHAT_PRESETS,
+    addChatMessage,
+    getChatHistory,
+    getRoomChatLog
+};
@@ -0,0 +1,102 @@
+/**
+ * Duel challenge module
+ * Tracks pending friend-to-friend game challenges until they are answered or expire
+ */
+const { v4: uuidv4 } = require('uuid');
+const { log } = require('../config/logging');
+const config = require('../config/config');
+
+// Duel storage
+const duels = new Map(); // Map duel IDs to pending challenges
+
+/**
+ * Create a pending duel challenge
+ * @param {Object} options - Duel options
+ * @param {number} options.challengerId - The user sending the challenge
+ * @param {number} options.challengedId - The friend being challenged
+ * @param {string} options.gameMode - The game mode to play
+ * @param {boolean} options.ranked - Whether the result affects ratings
+ * @param {Function} onExpire - Called with the duel if it is not answered in time
+ * @returns {Object} The created duel
+ */
+function createDuel({ challengerId, challengedId, gameMode, ranked }, onExpire) {
+    const duelId = uuidv4().substring(0, 8);
+    const timeout = config.game.duelInviteTimeout;
+    
+    const duel = {
+        id: duelId,
+        challengerId,
+        challengedId,
+        gameMode,
+        ranked,
+        createdAt: new Date(),
+        expiresAt: new Date(Date.now() + timeout),
+        timer: null
+    };
+    
+    duel.timer = setTimeout(() => {
+        if (!duels.has(duelId)) return;
+        duels.delete(duelId);
+        log(`Duel ${duelId} from user ${challengerId} to ${challengedId} expired`, 'info', 'SOCIAL');
+        if (onExpire) onExpire(duel);
+    }, timeout);
+    
+    duels.set(duelId, duel);
+    log(`User ${challengerId} challenged user ${challengedId} to a ${ranked ? 'ranked' : 'unranked'} ${gameMode} duel (${duelId})`, 'info', 'SOCIAL');
+    return duel;
+}
+
+/**
+ * Get a pending duel by ID
+ * @param {string} duelId - The duel ID
+ * @returns {Object|undefined} The duel
+ */
+function getDuel(duelId) {
+    return duels.get(duelId);
+}
+
+/**
+ * Find a pending duel between two users in either direction
+ * @param {number} userId - First user ID
+ * @param {number} otherId - Second user ID
+ * @returns {Object|undefined} The duel
+ */
+function findPendingDuel(userId, otherId) {
+    return [...duels.values()].find(duel =>
+        (duel.challengerId === userId && duel.challengedId === otherId) ||
+        (duel.challengerId === otherId && duel.challengedId === userId)
+    );
+}
+
+/**
+ * Remove a pending duel and cancel its expiry
+ * @param {string} duelId - The duel ID
+ * @returns {Object|null} The removed duel, or null if it no longer exists
+ */
+function removeDuel(duelId) {
+    const duel = duels.get(duelId);
+    if (!duel) return null;
+    
+    clearTimeout(duel.timer);
+    duels.delete(duelId);
+    return duel;
+}
+
+/**
+ * Shape a duel for clients
+ * @param {Object} duel - The duel
+ * @returns {Object} Duel fields without the timer
+ */
+function serializeDuel(duel) {
+    const { timer, ...data } = duel;
+    return data;
+}
+
+module.exports = {
+    duels,
+    createDuel,
+    getDuel,
+    findPendingDuel,
+    removeDuel,
+    serializeDuel
+};
@@ -2,6 +2,7 @@
  * Game Mode Configurations
  * Defines different game modes with their properties and unit statistics
  */
+const { MODE_UNIT_STATS } = require('../js/shared/units');
 
 /**
  * Game mode configurations
@@ -13,35 +14,26 @@ const gameModes = {
     description: "Standard game mode with balanced gameplay.",
     initialGold: 500,
     miningRate: 50,
-    unitStats: {
-      miner: { health: 100, speed: 1.0, cost: 100 },
-      soldier: { health: 200, damage: 10, speed: 1.0, cost: 200 },
-      barrier: { health: 300, cost: 50 }
-    }
+    // Winning a rock-paper-scissors round pays out gold
+    rpsReward: { type: "gold", amount: 100 },
+    unitStats: MODE_UNIT_STATS.classic
   },
   insane: {
     name: "Insane",
     description: "Fast-paced chaos with powerful units and rapid resource generation.",
     initialGold: 1000,
     miningRate: 100,
-    unitStats: {
-      miner: { health: 80, speed: 1.5, cost: 100 },
-      soldier: { health: 250, damage: 20, speed: 1.3, cost: 250 },
-      barrier: { health: 500, cost: 75 },
-      berserker: { health: 180, damage: 40, speed: 1.8, cost: 400 }
-    }
+    // Winning a rock-paper-scissors round makes the winner's units hit harder for a while
+    rpsReward: { type: "damage_buff", multiplier: 1.5, duration: 10000 },
+    unitStats: MODE_UNIT_STATS.insane
   },
   beta: {
     name: "Beta",
     description: "Experimental features and unique gameplay elements.",
     initialGold: 700,
     miningRate: 65,
-    unitStats: {
-      miner: { health: 120, speed: 1.0, cost: 120 },
-      soldier: { health: 180, damage: 15, speed: 1.0, cost: 220 },
-      barrier: { health: 350, cost: 60 },
-      scout: { health: 90, damage: 5, speed: 2.0, cost: 150 }
-    }
+    rpsReward: { type: "damage_buff", multiplier: 1.25, duration: 8000 },
+    unitStats: MODE_UNIT_STATS.beta
   }
 };
 
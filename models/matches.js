@@ -0,0 +1,345 @@
+/**
+ * Match repository module
+ * The single place that reads and writes the Match table and applies the
+ * rating changes of finished matches
+ */
+const { log } = require('../config/logging');
+const prisma = require('../prisma/client');
+const { hasUserStats, addMatchToStats, rebuildUserStats, readUserStats } = require('./user-stats');
+const { rateMatchPlayers } = require('./ratings');
+
+// Player fields included whenever a match is returned with its players
+const playerSelect = { id: true, username: true, elo: true };
+
+/**
+ * Get a user's match filter, matching either seat
+ * @param {number} userId - The user ID
+ * @returns {Object} Prisma where clause
+ */
+function userMatchWhere(userId) {
+    return { OR: [{ player1Id: userId }, { player2Id: userId }] };
+}
+
+/**
+ * Create a match record for two players
+ * @param {Object} data - Match data
+ * @param {number} data.player1Id - The left-side player
+ * @param {number} data.player2Id - The right-side player
+ * @param {string} data.gameMode - The game mode
+ * @param {string|null} data.roomId - The room the match is played in
+ * @param {boolean} data.ranked - Whether the result affects ratings
+ * @returns {Promise<Object>} The created match
+ */
+async function createMatch({ player1Id, player2Id, gameMode = 'classic', roomId = null, ranked = true }) {
+    const match = await prisma.match.create({
+        data: { player1Id, player2Id, gameMode, roomId, ranked }
+    });
+    log(`Created match ${match.id} for players ${player1Id} and ${player2Id} (${gameMode})`, 'debug', 'GAME_EVENTS');
+    return match;
+}
+
+/**
+ * Get a match by ID
+ * @param {number} matchId - The match ID
+ * @returns {Promise<Object|null>} The match with its players, or null
+ */
+async function getMatchById(matchId) {
+    return prisma.match.findUnique({
+        where: { id: matchId },
+        include: {
+            player1: { select: playerSelect },
+            player2: { select: playerSelect },
+            winner: { select: { id: true, username: true } }
+        }
+    });
+}
+
+/**
+ * Get the match record for a room, if one was created
+ * @param {string} roomId - The room ID
+ * @returns {Promise<Object|null>} The most recent match played in the room
+ */
+async function getMatchByRoomId(roomId) {
+    return prisma.match.findFirst({
+        where: { roomId },
+        orderBy: { createdAt: 'desc' }
+    });
+}
+
+/**
+ * Settle a match: store the winner and rating changes and update both players
+ * Ratings are updated overall and for the match's game mode with the active
+ * rating system; the stored and returned changes are those of the game mode
+ * rating, while User.elo follows the overall rating
+ * Unranked matches record the winner but leave ratings untouched
+ * @param {number} matchId - The match ID
+ * @param {number} winnerId - The winning player
+ * @param {Object} options - Extra match fields and loser updates
+ * @returns {Promise<Object>} The rating result for both players
+ */
+async function settleMatch(matchId, winnerId, { matchData = {}, loserData = {} } = {}) {
+    const match = await prisma.match.findUnique({
+        where: { id: matchId },
+        include: {
+            player1: { select: playerSelect },
+            player2: { select: playerSelect }
+        }
+    });
+
+    if (!match) {
+        throw new Error(`Match ${matchId} not found`);
+    }
+    if (match.completed) {
+        throw new Error(`Match ${matchId} is already completed`);
+    }
+    if (winnerId !== match.player1Id && winnerId !== match.player2Id) {
+        throw new Error(`Winner ${winnerId} not in match ${matchId}`);
+    }
+
+    const winner = winnerId === match.player1Id ? match.player1 : match.player2;
+    const loser = winnerId === match.player1Id ? match.player2 : match.player1;
+    let ratings = {
+        winnerOldRating: winner.elo,
+        loserOldRating: loser.elo,
+        winnerRating: winner.elo,
+        loserRating: loser.elo,
+        winnerElo: winner.elo,
+        loserElo: loser.elo
+    };
+    let ratingOperations = [];
+    if (match.ranked) {
+        const rated = await rateMatchPlayers(winner, loser, match.gameMode || 'classic');
+        ratings = {
+            winnerOldRating: Math.round(rated.winner.previous.mode.rating),
+            loserOldRating: Math.round(rated.loser.previous.mode.rating),
+            winnerRating: Math.round(rated.winner.mode.rating),
+            loserRating: Math.round(rated.loser.mode.rating),
+            winnerElo: Math.round(rated.winner.overall.rating),
+            loserElo: Math.round(rated.loser.overall.rating)
+        };
+        ratingOperations = rated.operations;
+    }
+    const winnerChange = ratings.winnerRating - ratings.winnerOldRating;
+    const loserChange = ratings.loserRating - ratings.loserOldRating;
+    const outcome = {
+        winnerId,
+        completed: true,
+        completedAt: new Date(),
+        winnerEloChange: match.ranked ? winnerChange : null,
+        loserEloChange: match.ranked ? loserChange : null,
+        ...matchData
+    };
+
+    await prisma.$transaction([
+        prisma.match.update({
+            where: { id: matchId },
+            data: outcome
+        }),
+        prisma.user.update({
+            where: { id: winner.id },
+            data: { elo: ratings.winnerElo }
+        }),
+        prisma.user.update({
+            where: { id: loser.id },
+            data: { elo: ratings.loserElo, ...loserData }
+        }),
+        ...ratingOperations
+    ]);
+
+    await refreshPlayerStats({ ...match, ...outcome });
+
+    return {
+        matchId,
+        winner: {
+            id: winner.id,
+            username: winner.username,
+            oldRating: ratings.winnerOldRating,
+            newRating: ratings.winnerRating,
+            change: winnerChange
+        },
+        loser: {
+            id: loser.id,
+            username: loser.username,
+            oldRating: ratings.loserOldRating,
+            newRating: ratings.loserRating,
+            change: loserChange
+        }
+    };
+}
+
+/**
+ * Complete a match that was played to the end
+ * @param {number} matchId - The match ID
+ * @param {number} winnerId - The winning player
+ * @returns {Promise<Object>} The rating result for both players
+ */
+async function completeMatch(matchId, winnerId) {
+    const result = await settleMatch(matchId, winnerId);
+    log(`Completed match ${matchId}: ${result.winner.username} ${result.winner.oldRating} -> ${result.winner.newRating}, ${result.loser.username} ${result.loser.oldRating} -> ${result.loser.newRating}`, 'info', 'GAME_EVENTS');
+    return result;
+}
+
+/**
+ * Complete a match that one player abandoned
+ * The remaining player wins by default and the leaver's disconnect
+ * statistics are bumped together with the rating changes
+ * @param {number} matchId - The match ID
+ * @param {number} abandoningPlayerId - The player who abandoned the match
+ * @returns {Promise<Object>} The rating result for both players
+ */
+async function abandonMatch(matchId, abandoningPlayerId) {
+    const match = await prisma.match.findUnique({ where: { id: matchId } });
+    if (!match) {
+        throw new Error(`Match ${matchId} not found`);
+    }
+
+    const winnerId = match.player1Id === abandoningPlayerId ? match.player2Id : match.player1Id;
+    const now = new Date();
+    const result = await settleMatch(matchId, winnerId, {
+        matchData: {
+            winnerByDefault: true,
+            abandonedAt: now,
+            abandonedBy: abandoningPlayerId
+        },
+        loserData: {
+            disconnectCount: { increment: 1 },
+            lastDisconnectAt: now
+        }
+    });
+
+    log(`Match ${matchId} abandoned by player ${abandoningPlayerId}, ${result.winner.username} wins by default`, 'info', 'GAME_EVENTS');
+    return result;
+}
+
+/**
+ * Close a match as a no-contest: completed without a winner or rating changes
+ * No-contest matches are left out of the players' statistics
+ * @param {number} matchId - The match ID
+ * @returns {Promise<Object>} The voided match
+ */
+async function voidMatch(matchId) {
+    const match = await prisma.match.findUnique({ where: { id: matchId } });
+    if (!match) {
+        throw new Error(`Match ${matchId} not found`);
+    }
+    if (match.completed) {
+        throw new Error(`Match ${matchId} is already completed`);
+    }
+
+    const voided = await prisma.match.update({
+        where: { id: matchId },
+        data: { completed: true, completedAt: new Date(), noContest: true }
+    });
+
+    log(`Match ${matchId} ended as a no-contest`, 'info', 'GAME_EVENTS');
+    return voided;
+}
+
+/**
+ * Get a page of a user's completed matches, newest first, noting which have a replay
+ * @param {number} userId - The user ID
+ * @param {Object} options - Pagination options
+ * @param {number} options.page - 1-based page number
+ * @param {number} options.limit - Matches per page
+ * @returns {Promise<Object>} { matches, total }
+ */
+async function getUserMatches(userId, { page = 1, limit = 10 } = {}) {
+    const where = { ...userMatchWhere(userId), completed: true };
+
+    const [total, matches] = await Promise.all([
+        prisma.match.count({ where }),
+        prisma.match.findMany({
+            where,
+            orderBy: { completedAt: 'desc' },
+            skip: (page - 1) * limit,
+            take: limit,
+            include: {
+                player1: { select: playerSelect },
+                player2: { select: playerSelect },
+                winner: { select: { id: true, username: true } },
+                replay: { select: { matchId: true } }
+            }
+        })
+    ]);
+
+    return { matches, total };
+}
+
+/**
+ * Get every decided match of a user, oldest first
+ * @param {number} userId - The user ID
+ * @returns {Promise<Array<Object>>} Completed matches, without no-contests
+ */
+async function getUserMatchHistory(userId) {
+    return prisma.match.findMany({
+        where: { ...userMatchWhere(userId), completed: true, noContest: false },
+        orderBy: { completedAt: 'asc' }
+    });
+}
+
+/**
+ * Fold a newly completed match into both players' cached statistics
+ * Players without a cache yet get it built from their full history instead
+ * @param {Object} match - The completed match
+ */
+async function refreshPlayerStats(match) {
+    try {
+        await Promise.all([match.player1Id, match.player2Id].map(async userId => {
+            if (await hasUserStats(userId)) {
+                await addMatchToStats(userId, match);
+            } else {
+                await rebuildUserStats(userId, await getUserMatchHistory(userId));
+            }
+        }));
+    } catch (error) {
+        log(`Error updating stats for match ${match.id}: ${error.message}`, 'error', 'GAME_EVENTS');
+    }
+}
+
+/**
+ * Get a user's match statistics from the cached aggregate
+ * The cache is built from match history the first time it is requested
+ * @param {number} userId - The user ID
+ * @returns {Promise<Object>} Overall stats plus a per-mode breakdown under `modes`
+ */
+async function getUserStats(userId) {
+    if (!(await hasUserStats(userId))) {
+        await rebuildUserStats(userId, await getUserMatchHistory(userId));
+    }
+    return readUserStats(userId);
+}
+
+/**
+ * Delete every match a user played, before deleting the user
+ * Opponents' cached statistics are dropped so they are rebuilt from the
+ * remaining history the next time they are read
+ * @param {number} userId - The user ID
+ * @returns {Promise<number>} Number of deleted matches
+ */
+async function deleteUserMatches(userId) {
+    const matches = await prisma.match.findMany({
+        where: userMatchWhere(userId),
+        select: { player1Id: true, player2Id: true }
+    });
+    const opponentIds = [...new Set(matches.map(m => (m.player1Id === userId ? m.player2Id : m.player1Id)))];
+
+    await prisma.$transaction([
+        prisma.match.deleteMany({ where: userMatchWhere(userId) }),
+        prisma.userStats.deleteMany({ where: { userId: { in: opponentIds } } })
+    ]);
+
+    log(`Deleted ${matches.length} matches of user ${userId}`, 'info', 'GAME_EVENTS');
+    return matches.length;
+}
+
+module.exports = {
+    createMatch,
+    getMatchById,
+    getMatchByRoomId,
+    completeMatch,
+    abandonMatch,
+    voidMatch,
+    getUserMatches,
+    getUserStats,
+    deleteUserMatches
+};
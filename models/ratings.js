@@ -0,0 +1,506 @@
+/**
+ * User rating module
+ * Keeps each user's rating state per game mode in the UserRating table,
+ * rates finished matches with the active rating system, builds the
+ * leaderboards and recomputes every rating from match history on an admin's
+ * request
+ */
+const { log } = require('../config/logging');
+const prisma = require('../prisma/client');
+const { getSetting } = require('./settings');
+const { ALL_MODES } = require('./user-stats');
+const { getRatingSystemName, initialRatingState, isProvisional, rateMatch, getLeaderboardWhere } = require('../utils/rating');
+
+// Leaderboard periods: all-time ranks current ratings, the others rank the
+// rating gained in the current calendar month or week (UTC, weeks start on Monday)
+const LEADERBOARD_PERIODS = ['all-time', 'monthly', 'weekly'];
+
+// Public user fields shown on leaderboards
+const leaderboardUserSelect = { id: true, username: true, elo: true, createdAt: true };
+
+// Status of the last rating recompute, null until one was started
+let recomputeJob = null;
+
+/**
+ * Copy the rating state columns of a UserRating row
+ * @param {Object} row - UserRating row
+ * @returns {Object} Rating state
+ */
+function toRatingState(row) {
+    return {
+        rating: row.rating,
+        deviation: row.deviation,
+        volatility: row.volatility,
+        gamesPlayed: row.gamesPlayed,
+        lastPlayedAt: row.lastPlayedAt
+    };
+}
+
+/**
+ * Build the upsert that stores a rating state
+ * @param {number} userId - The user
+ * @param {string} gameMode - Game mode ID or ALL_MODES
+ * @param {Object} state - Rating state
+ * @returns {Object} Prisma operation for use in a transaction
+ */
+function saveRatingState(userId, gameMode, state) {
+    const fields = toRatingState(state);
+    return prisma.userRating.upsert({
+        where: { userId_gameMode: { userId, gameMode } },
+        create: { userId, gameMode, ...fields },
+        update: fields
+    });
+}
+
+/**
+ * Get a user's overall and game mode rating states
+ * Missing states start from the user's current Elo, so players keep their
+ * level in a mode they haven't played yet
+ * @param {Object} user - The user (id, elo)
+ * @param {string} gameMode - The game mode
+ * @returns {Promise<Object>} { overall, mode } rating states
+ */
+async function getRatingStates(user, gameMode) {
+    const rows = await prisma.userRating.findMany({
+        where: { userId: user.id, gameMode: { in: [ALL_MODES, gameMode] } }
+    });
+    const overallRow = rows.find(row => row.gameMode === ALL_MODES);
+    const modeRow = rows.find(row => row.gameMode === gameMode);
+
+    return {
+        overall: overallRow ? toRatingState(overallRow) : initialRatingState(user.elo),
+        mode: modeRow ? toRatingState(modeRow) : initialRatingState(user.elo)
+    };
+}
+
+/**
+ * Get the rating matchmaking uses for a player queued in a game mode
+ * @param {Object} user - The user (id, elo)
+ * @param {string} gameMode - The queued game mode
+ * @returns {Promise<number>} The rounded game mode rating
+ */
+async function getMatchmakingRating(user, gameMode) {
+    const { mode } = await getRatingStates(user, gameMode);
+    return Math.round(mode.rating);
+}
+
+/**
+ * Rate a decisive match for both players, overall and in the match's game mode
+ * Nothing is written; the returned operations go into the caller's transaction
+ * @param {Object} winner - The winning user (id, elo)
+ * @param {Object} loser - The losing user (id, elo)
+ * @param {string} gameMode - The match's game mode
+ * @returns {Promise<Object>} { winner, loser } with new overall and mode states and
+ * the states before the match under `previous`, plus operations
+ */
+async function rateMatchPlayers(winner, loser, gameMode) {
+    const [winnerStates, loserStates] = await Promise.all([
+        getRatingStates(winner, gameMode),
+        getRatingStates(loser, gameMode)
+    ]);
+
+    const now = new Date();
+    const overall = rateMatch(winnerStates.overall, loserStates.overall, now);
+    const mode = rateMatch(winnerStates.mode, loserStates.mode, now);
+
+    return {
+        winner: { overall: overall.winner, mode: mode.winner, previous: winnerStates },
+        loser: { overall: overall.loser, mode: mode.loser, previous: loserStates },
+        operations: [
+            saveRatingState(winner.id, ALL_MODES, overall.winner),
+            saveRatingState(winner.id, gameMode, mode.winner),
+            saveRatingState(loser.id, ALL_MODES, overall.loser),
+            saveRatingState(loser.id, gameMode, mode.loser)
+        ]
+    };
+}
+
+/**
+ * Build the nested create for a new user's overall rating, so they are ranked
+ * from the moment their account exists
+ * @param {number} elo - The new user's Elo
+ * @returns {Object} Value for the `ratings` field of prisma.user.create
+ */
+function initialUserRatings(elo) {
+    return { create: { gameMode: ALL_MODES, ...initialRatingState(elo) } };
+}
+
+/**
+ * Set a user's ratings after an admin edited their Elo
+ * The overall rating is created if the user has none yet, and the game mode
+ * ratings they already have move to the new value as well
+ * @param {number} userId - The user
+ * @param {number} rating - The new rating
+ * @returns {Promise<void>}
+ */
+async function setUserRating(userId, rating) {
+    await prisma.$transaction([
+        prisma.userRating.upsert({
+            where: { userId_gameMode: { userId, gameMode: ALL_MODES } },
+            create: { userId, gameMode: ALL_MODES, ...initialRatingState(rating) },
+            update: { rating }
+        }),
+        prisma.userRating.updateMany({
+            where: { userId, gameMode: { not: ALL_MODES } },
+            data: { rating }
+        })
+    ]);
+}
+
+/**
+ * Shape a rating state for API responses
+ * @param {Object} state - Rating state
+ * @returns {Object} Rounded rating with its certainty
+ */
+function formatRating(state) {
+    return {
+        rating: Math.round(state.rating),
+        deviation: Math.round(state.deviation),
+        volatility: state.volatility,
+        gamesPlayed: state.gamesPlayed,
+        provisional: isProvisional(state)
+    };
+}
+
+/**
+ * Get a user's ratings for API responses
+ * @param {number} userId - The user ID
+ * @returns {Promise<Object>} Ratings keyed by game mode, with the overall one under ALL_MODES
+ */
+async function getUserRatings(userId) {
+    const rows = await prisma.userRating.findMany({ where: { userId } });
+    return Object.fromEntries(rows.map(row => [row.gameMode, formatRating(row)]));
+}
+
+/**
+ * Get the start of a leaderboard period
+ * @param {string} period - 'monthly' or 'weekly'
+ * @param {Date} now - The current time
+ * @returns {Date} Midnight UTC on the first day of the current month or week
+ */
+function getPeriodStart(period, now = new Date()) {
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+    if (period === 'monthly') {
+        return new Date(Date.UTC(year, month, 1));
+    }
+    const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+    return new Date(Date.UTC(year, month, now.getUTCDate() - daysSinceMonday));
+}
+
+/**
+ * Shape a leaderboard entry
+ * @param {Object} row - UserRating row with its user
+ * @param {number} rank - The player's rank
+ * @param {number} wins - Wins counted for this leaderboard
+ * @param {number} losses - Losses counted for this leaderboard
+ * @returns {Object} Public leaderboard entry
+ */
+function formatLeaderboardEntry(row, rank, wins, losses) {
+    return {
+        rank,
+        ...row.user,
+        eloRating: Math.round(row.rating),
+        deviation: Math.round(row.deviation),
+        wins,
+        losses,
+        matches: wins + losses,
+        winRate: wins + losses > 0
+            ? Math.round((wins / (wins + losses)) * 100)
+            : 0
+    };
+}
+
+/**
+ * Build the filter for decisive rated matches in a game mode
+ * @param {string} gameMode - Game mode ID or ALL_MODES
+ * @returns {Object} Prisma where clause for Match
+ */
+function ratedMatchWhere(gameMode) {
+    const where = { completed: true, ranked: true, noContest: false, winnerId: { not: null } };
+    if (gameMode === 'classic') {
+        // Matches from before game modes were stored count as classic
+        return { ...where, OR: [{ gameMode }, { gameMode: null }] };
+    }
+    return gameMode === ALL_MODES ? where : { ...where, gameMode };
+}
+
+/**
+ * Count the rated wins and losses of several players in one go
+ * @param {number[]} userIds - The players
+ * @param {string} gameMode - Game mode ID or ALL_MODES
+ * @returns {Promise<Map>} Map user IDs to { wins, losses }
+ */
+async function getRatedRecords(userIds, gameMode) {
+    const where = ratedMatchWhere(gameMode);
+    const [asPlayer1, asPlayer2, wins] = await Promise.all([
+        prisma.match.groupBy({ by: ['player1Id'], where: { ...where, player1Id: { in: userIds } }, _count: { _all: true } }),
+        prisma.match.groupBy({ by: ['player2Id'], where: { ...where, player2Id: { in: userIds } }, _count: { _all: true } }),
+        prisma.match.groupBy({ by: ['winnerId'], where: { ...where, winnerId: { in: userIds } }, _count: { _all: true } })
+    ]);
+
+    const records = new Map(userIds.map(userId => [userId, { wins: 0, losses: 0 }]));
+    asPlayer1.forEach(row => { records.get(row.player1Id).losses += row._count._all; });
+    asPlayer2.forEach(row => { records.get(row.player2Id).losses += row._count._all; });
+    wins.forEach(row => {
+        const record = records.get(row.winnerId);
+        record.wins = row._count._all;
+        record.losses -= row._count._all;
+    });
+    return records;
+}
+
+/**
+ * Rank players by their current rating in a game mode
+ * @param {Object} where - UserRating filter for the players on the leaderboard
+ * @param {string} gameMode - Game mode ID or ALL_MODES
+ * @param {Object} options - { viewerId, limit }
+ * @returns {Promise<Object>} { rankings, me }
+ */
+async function getAllTimeLeaderboard(where, gameMode, { viewerId, limit }) {
+    const rows = await prisma.userRating.findMany({
+        where,
+        orderBy: { rating: 'desc' },
+        take: limit,
+        include: { user: { select: leaderboardUserSelect } }
+    });
+
+    // The viewer's own row, looked up when they are outside the top rows
+    let own = null;
+    let ownRank = null;
+    if (viewerId && !rows.some(row => row.userId === viewerId)) {
+        own = await prisma.userRating.findFirst({
+            where: { ...where, userId: viewerId },
+            include: { user: { select: leaderboardUserSelect } }
+        });
+        if (own) {
+            ownRank = await prisma.userRating.count({ where: { ...where, rating: { gt: own.rating } } }) + 1;
+        }
+    }
+
+    const records = await getRatedRecords([...rows, ...(own ? [own] : [])].map(row => row.userId), gameMode);
+    const toEntry = (row, rank) => {
+        const { wins, losses } = records.get(row.userId);
+        return formatLeaderboardEntry(row, rank, wins, losses);
+    };
+
+    // Players with the same rating share a rank
+    const rankings = [];
+    rows.forEach((row, index) => {
+        const previous = rankings[index - 1];
+        rankings.push(toEntry(row, previous && row.rating === rows[index - 1].rating ? previous.rank : index + 1));
+    });
+
+    const me = own
+        ? toEntry(own, ownRank)
+        : (viewerId && rankings.find(entry => entry.id === viewerId)) || null;
+
+    return { rankings, me };
+}
+
+/**
+ * Rank players by the rating they gained in rated matches since a date
+ * @param {Object} where - UserRating filter for the players on the leaderboard
+ * @param {string} gameMode - Game mode ID or ALL_MODES
+ * @param {Date} since - Start of the period
+ * @param {Object} options - { viewerId, limit }
+ * @returns {Promise<Object>} { rankings, me }
+ */
+async function getPeriodLeaderboard(where, gameMode, since, { viewerId, limit }) {
+    const matches = await prisma.match.findMany({
+        where: { ...ratedMatchWhere(gameMode), completedAt: { gte: since } },
+        select: { player1Id: true, player2Id: true, winnerId: true, winnerEloChange: true, loserEloChange: true }
+    });
+
+    const totals = new Map(); // Map user IDs to { ratingChange, wins, losses }
+    const addResult = (userId, won, change) => {
+        const total = totals.get(userId) || { ratingChange: 0, wins: 0, losses: 0 };
+        total.ratingChange += change || 0;
+        total[won ? 'wins' : 'losses'] += 1;
+        totals.set(userId, total);
+    };
+    matches.forEach(match => {
+        addResult(match.winnerId, true, match.winnerEloChange);
+        addResult(match.winnerId === match.player1Id ? match.player2Id : match.player1Id, false, match.loserEloChange);
+    });
+
+    const rows = await prisma.userRating.findMany({
+        where: { AND: [where, { userId: { in: [...totals.keys()] } }] },
+        include: { user: { select: leaderboardUserSelect } }
+    });
+    rows.sort((a, b) =>
+        totals.get(b.userId).ratingChange - totals.get(a.userId).ratingChange ||
+        totals.get(b.userId).wins - totals.get(a.userId).wins ||
+        b.rating - a.rating);
+
+    // Players who gained the same rating share a rank
+    const entries = [];
+    rows.forEach((row, index) => {
+        const { ratingChange, wins, losses } = totals.get(row.userId);
+        const previous = entries[index - 1];
+        const rank = previous && previous.ratingChange === ratingChange ? previous.rank : index + 1;
+        entries.push({ ...formatLeaderboardEntry(row, rank, wins, losses), ratingChange });
+    });
+
+    return {
+        rankings: entries.slice(0, limit),
+        me: (viewerId && entries.find(entry => entry.id === viewerId)) || null
+    };
+}
+
+/**
+ * Get a leaderboard
+ * Win and loss counts cover rated matches; the active rating system decides
+ * whether uncertain ratings are left out
+ * @param {Object} options - Leaderboard options
+ * @param {string} options.gameMode - Game mode ID, or ALL_MODES for overall ratings
+ * @param {string} options.period - One of LEADERBOARD_PERIODS
+ * @param {number[]} [options.userIds] - Only rank these users, e.g. the viewer and their friends
+ * @param {number} [options.viewerId] - The signed-in user, whose own entry is returned as `me`
+ * @param {number} options.limit - Number of top entries to return
+ * @returns {Promise<Object>} { rankings, me }; `me` is null when the viewer isn't ranked
+ */
+async function getLeaderboard({ gameMode = ALL_MODES, period = 'all-time', userIds, viewerId, limit = 10 }) {
+    const where = {
+        gameMode,
+        ...getLeaderboardWhere(),
+        ...(userIds && { userId: { in: userIds } })
+    };
+
+    if (period === 'all-time') {
+        return getAllTimeLeaderboard(where, gameMode, { viewerId, limit });
+    }
+    return getPeriodLeaderboard(where, gameMode, getPeriodStart(period), { viewerId, limit });
+}
+
+/**
+ * Recompute every rating by replaying all rated matches, oldest first, through
+ * the active rating system
+ * Users without rated matches keep their ratings, and get an overall rating
+ * from their Elo if they have none. The game mode rating changes stored on
+ * matches are rewritten and cached statistics are dropped so they are rebuilt
+ * with the new changes
+ * @returns {Promise<Object>} { matches, users } counts
+ */
+async function recomputeRatings() {
+    const [matches, users, overallRows] = await Promise.all([
+        prisma.match.findMany({
+            where: { completed: true, ranked: true, noContest: false, winnerId: { not: null } },
+            orderBy: { completedAt: 'asc' },
+            select: { id: true, player1Id: true, player2Id: true, winnerId: true, gameMode: true, completedAt: true }
+        }),
+        prisma.user.findMany({ select: { id: true, elo: true } }),
+        prisma.userRating.findMany({ where: { gameMode: ALL_MODES }, select: { userId: true } })
+    ]);
+
+    const defaultRating = getSetting('defaultElo');
+    const states = new Map(); // Map "userId:gameMode" to rating states
+    const getState = (userId, gameMode) =>
+        states.get(`${userId}:${gameMode}`) || initialRatingState(
+            gameMode === ALL_MODES ? defaultRating : getState(userId, ALL_MODES).rating
+        );
+    const matchUpdates = [];
+
+    for (const match of matches) {
+        const loserId = match.winnerId === match.player1Id ? match.player2Id : match.player1Id;
+        const gameMode = match.gameMode || 'classic';
+        const playedAt = match.completedAt || new Date();
+
+        const modeBefore = { winner: getState(match.winnerId, gameMode), loser: getState(loserId, gameMode) };
+        const modeResult = rateMatch(modeBefore.winner, modeBefore.loser, playedAt);
+        const overall = rateMatch(getState(match.winnerId, ALL_MODES), getState(loserId, ALL_MODES), playedAt);
+
+        states.set(`${match.winnerId}:${gameMode}`, modeResult.winner);
+        states.set(`${loserId}:${gameMode}`, modeResult.loser);
+        states.set(`${match.winnerId}:${ALL_MODES}`, overall.winner);
+        states.set(`${loserId}:${ALL_MODES}`, overall.loser);
+
+        matchUpdates.push(prisma.match.update({
+            where: { id: match.id },
+            data: {
+                winnerEloChange: Math.round(modeResult.winner.rating) - Math.round(modeBefore.winner.rating),
+                loserEloChange: Math.round(modeResult.loser.rating) - Math.round(modeBefore.loser.rating)
+            }
+        }));
+    }
+
+    const ratingRows = [...states.entries()].map(([key, state]) => {
+        const [userId, gameMode] = key.split(':');
+        return { userId: Number(userId), gameMode, ...toRatingState(state) };
+    });
+    const ratedUserIds = new Set(ratingRows.map(row => row.userId));
+    const withOverall = new Set(overallRows.map(row => row.userId));
+    const seedRows = users
+        .filter(user => !ratedUserIds.has(user.id) && !withOverall.has(user.id))
+        .map(user => ({ userId: user.id, gameMode: ALL_MODES, ...initialRatingState(user.elo) }));
+
+    await prisma.$transaction([
+        prisma.userRating.deleteMany({ where: { userId: { in: [...ratedUserIds] } } }),
+        prisma.userRating.createMany({ data: [...ratingRows, ...seedRows] }),
+        ...[...ratedUserIds].map(userId => prisma.user.update({
+            where: { id: userId },
+            data: { elo: Math.round(states.get(`${userId}:${ALL_MODES}`).rating) }
+        })),
+        ...matchUpdates,
+        prisma.userStats.deleteMany({})
+    ]);
+
+    return { matches: matches.length, users: users.length };
+}
+
+/**
+ * Start recomputing all ratings in the background
+ * @param {number} adminId - The admin who started it
+ * @returns {Object|null} The new job, or null if one is already running
+ */
+function startRatingRecompute(adminId) {
+    if (recomputeJob && recomputeJob.status === 'running') {
+        return null;
+    }
+
+    const job = {
+        status: 'running',
+        ratingSystem: getRatingSystemName(),
+        startedBy: adminId,
+        startedAt: new Date(),
+        finishedAt: null,
+        matches: null,
+        users: null,
+        error: null
+    };
+    recomputeJob = job;
+    log(`Rating recompute (${job.ratingSystem}) started by admin ${adminId}`, 'info');
+
+    recomputeRatings()
+        .then(({ matches, users }) => {
+            Object.assign(job, { status: 'completed', finishedAt: new Date(), matches, users });
+            log(`Rating recompute finished: ${matches} matches replayed for ${users} users`, 'info');
+        })
+        .catch(error => {
+            Object.assign(job, { status: 'failed', finishedAt: new Date(), error: error.message });
+            log(`Rating recompute failed: ${error.message}`, 'error');
+        });
+
+    return job;
+}
+
+/**
+ * Get the status of the last rating recompute
+ * @returns {Object|null} The job, or null if none was started
+ */
+function getRatingRecomputeStatus() {
+    return recomputeJob;
+}
+
+module.exports = {
+    LEADERBOARD_PERIODS,
+    getMatchmakingRating,
+    rateMatchPlayers,
+    initialUserRatings,
+    setUserRating,
+    formatRating,
+    getUserRatings,
+    getLeaderboard,
+    startRatingRecompute,
+    getRatingRecomputeStatus
+};
@@ -0,0 +1,190 @@
+/**
+ * Match replay module
+ * Records a running game as a compact event log and stores it with its match
+ *
+ * Every event is an array starting with the simulation tick and the event type:
+ *   [tick, 'start', { players, minerals }]
+ *   [tick, 'spawn', unit]
+ *   [tick, 'death', unitId]
+ *   [tick, 'gold', playerId, gold]
+ *   [tick, 'rps', result]
+ *   [tick, 'frame', [[unitId, x, y, health], ...], [towerHealth, ...]]
+ *   [tick, 'end', { winnerId, endReason }]
+ * Frames are recorded every few ticks so the viewer can place units without
+ * running the simulation; tower health follows the order of the start players
+ */
+const { log } = require('../config/logging');
+const config = require('../config/config');
+const prisma = require('../prisma/client');
+const { getSnapshot, serializeUnit } = require('./simulation');
+
+/**
+ * Start recording the game that was just initialized in a room
+ * @param {Object} room - The room object
+ */
+function startReplay(room) {
+    const snapshot = getSnapshot(room);
+    room.replay = {
+        playerIds: snapshot.players.map(p => p.id),
+        gold: { ...room.gameState.gold },
+        events: []
+    };
+
+    recordReplayEvent(room, 'start', { players: snapshot.players, minerals: snapshot.minerals });
+}
+
+/**
+ * Append an event at the room's current tick
+ * @param {Object} room - The room object
+ * @param {string} type - Event type
+ * @param {...*} data - Event data
+ */
+function recordReplayEvent(room, type, ...data) {
+    if (!room.replay) return;
+    room.replay.events.push([room.gameState.tick, type, ...data]);
+}
+
+/**
+ * Record a unit that just entered the field
+ * @param {Object} room - The room object
+ * @param {Object} unit - Simulation unit
+ */
+function recordSpawn(room, unit) {
+    recordReplayEvent(room, 'spawn', serializeUnit(unit));
+}
+
+/**
+ * Record every player whose gold changed since the last call
+ * @param {Object} room - The room object
+ */
+function recordGoldChanges(room) {
+    if (!room.replay) return;
+
+    const { gold } = room.replay;
+    room.replay.playerIds.forEach(playerId => {
+        const current = room.gameState.gold[playerId];
+        if (current !== gold[playerId]) {
+            gold[playerId] = current;
+            recordReplayEvent(room, 'gold', playerId, current);
+        }
+    });
+}
+
+/**
+ * Record the position and health of every unit and both towers
+ * @param {Object} room - The room object
+ */
+function recordFrame(room) {
+    if (!room.replay) return;
+
+    const { gameState } = room;
+    recordReplayEvent(
+        room,
+        'frame',
+        gameState.units.map(u => [u.id, Math.round(u.x), Math.round(u.y), u.health]),
+        room.replay.playerIds.map(id => gameState.towers[id]?.health ?? 0)
+    );
+}
+
+/**
+ * Record a simulation tick: units that died, gold changes and, every
+ * replayFrameInterval ticks, a frame
+ * @param {Object} room - The room object
+ * @param {Array<Object>} deaths - Units that died this tick
+ */
+function recordTick(room, deaths) {
+    if (!room.replay) return;
+
+    deaths.forEach(unit => recordReplayEvent(room, 'death', unit.id));
+    recordGoldChanges(room);
+    if (room.gameState.tick % config.game.replayFrameInterval === 0) {
+        recordFrame(room);
+    }
+}
+
+/**
+ * Close the recording with a last frame and the result
+ * @param {Object} room - The room object
+ * @param {number|null} winnerId - The winning player
+ * @param {string} endReason - Why the game ended
+ */
+function finishReplay(room, winnerId, endReason) {
+    if (!room.replay || room.replay.finished) return;
+
+    recordGoldChanges(room);
+    recordFrame(room);
+    recordReplayEvent(room, 'end', { winnerId, endReason });
+    room.replay.finished = true;
+}
+
+/**
+ * Store a room's finished recording against its match
+ * A failed save is logged and otherwise ignored; the match result stands
+ * @param {number} matchId - The match ID
+ * @param {Object} room - The room object
+ * @returns {Promise<boolean>} Whether a replay was stored
+ */
+async function saveReplay(matchId, room) {
+    const replay = room.replay;
+    if (!replay || replay.saved) return false;
+
+    try {
+        await prisma.matchReplay.create({
+            data: {
+                matchId,
+                tickRate: config.game.tickRate,
+                durationTicks: room.gameState.tick,
+                events: JSON.stringify(replay.events)
+            }
+        });
+        replay.saved = true;
+        log(`Saved replay of match ${matchId} (${replay.events.length} events)`, 'debug', 'GAME_EVENTS', { roomId: room.id });
+        return true;
+    } catch (error) {
+        log(`Error saving replay of match ${matchId}: ${error.message}`, 'error', 'GAME_EVENTS', { roomId: room.id });
+        return false;
+    }
+}
+
+/**
+ * Get the replay of a match
+ * @param {number} matchId - The match ID
+ * @returns {Promise<Object|null>} The match summary with its events, or null if none was recorded
+ */
+async function getReplay(matchId) {
+    const replay = await prisma.matchReplay.findUnique({
+        where: { matchId },
+        include: {
+            match: {
+                select: {
+                    id: true,
+                    gameMode: true,
+                    winnerId: true,
+                    noContest: true,
+                    completedAt: true,
+                    player1: { select: { id: true, username: true } },
+                    player2: { select: { id: true, username: true } }
+                }
+            }
+        }
+    });
+    if (!replay) return null;
+
+    return {
+        match: replay.match,
+        tickRate: replay.tickRate,
+        durationTicks: replay.durationTicks,
+        events: JSON.parse(replay.events)
+    };
+}
+
+module.exports = {
+    startReplay,
+    recordReplayEvent,
+    recordSpawn,
+    recordGoldChanges,
+    recordTick,
+    finishReplay,
+    saveReplay,
+    getReplay
+};
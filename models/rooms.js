@@ -2,20 +2,42 @@
  * Room management module
  * Handles room creation, management, and game state
  */
+const { EventEmitter } = require('events');
 const { v4: uuidv4 } = require('uuid');
 const { log } = require('../config/logging');
 const { gameModes, getGameMode } = require('./game-modes');
+const { getSetting } = require('./settings');
 const config = require('../config/config');
 
 // Room storage
 const rooms = new Map(); // Store game rooms
 const userRooms = new Map(); // Map user IDs to room IDs
-const abandonTimers = new Map(); // Map room+player to abandon timers
+const abandonTimers = new Map(); // Map room+player to abandon and lobby seat timers
+
+// Room lifecycle events for the socket layer (e.g. 'gameAbandoned', 'playerRemoved')
+const roomEvents = new EventEmitter();
+
+/**
+ * Check whether new rooms may be opened right now
+ * Rooms that have ended but not been cleaned up yet don't count towards the cap
+ * @returns {string|null} 'maintenance', 'too_many_games' or null when allowed
+ */
+function getRoomCreationBlock() {
+    if (getSetting('maintenanceMode')) {
+        return 'maintenance';
+    }
+
+    let activeRooms = 0;
+    for (const room of rooms.values()) {
+        if (room.status !== 'ended') activeRooms++;
+    }
+    return activeRooms >= getSetting('maxActiveGames') ? 'too_many_games' : null;
+}
 
 /**
  * Create a new game room
  * @param {Object} options - Room creation options
- * @returns {Object} The created room object
+ * @returns {Object|null} The created room object, or null while room creation is blocked
  */
 function createRoom(options = {}) {
     const {
@@ -23,9 +45,18 @@ function createRoom(options = {}) {
         isPrivate = false,
         gameMode = 'classic',
         maxPlayers = config.game.maxPlayers,
-        roomName = ''
+        roomName = '',
+        ranked = true,
+        allowedPlayerIds = null,
+        allowSpectators = true
     } = options;
 
+    const block = getRoomCreationBlock();
+    if (block) {
+        log(`Room creation by ${creatorId} refused: ${block}`, 'warn', 'ROOM_EVENTS', { userId: creatorId });
+        return null;
+    }
+
     const roomId = uuidv4().substring(0, 8);
     const mode = getGameMode(gameMode);
     
@@ -37,15 +68,19 @@ function createRoom(options = {}) {
         isPrivate,
         gameMode,
         maxPlayers,
+        ranked, // Whether the result affects ratings
+        allowedPlayerIds, // Only these users may join, or null for anyone
+        allowSpectators, // Whether users may watch; only public rooms can be watched
         players: [],
         status: 'waiting', // waiting, playing, ended
         gameState: {
-            turn: 0,
-            currentPlayer: 0,
-            gold: [],
+            tick: 0,
+            sides: {},
+            gold: {},
+            towers: {},
             units: [],
-            map: null,
-            lastAction: null,
+            minerals: [],
+            rps: null,
             startedAt: null,
             endedAt: null,
             winner: null
@@ -55,7 +90,7 @@ function createRoom(options = {}) {
     };
 
     rooms.set(roomId, room);
-    log(`Room ${roomId} created by user ${creatorId}`, 'info', 'ROOM_EVENTS');
+    log(`Room ${roomId} created by user ${creatorId}`, 'info', 'ROOM_EVENTS', { userId: creatorId, roomId });
     return room;
 }
 
@@ -93,16 +128,130 @@ function addPlayerToRoom(roomId, player) {
 
     room.players.push({
         ...player,
+        side: player.side || getFreeSide(room),
         isReady: false,
+        mutedUserIds: [], // Players whose chat this player hides
         joinedAt: new Date(),
         disconnectedAt: null
     });
     
     userRooms.set(player.id, roomId);
-    log(`Player ${player.id} joined room ${roomId}`, 'info', 'ROOM_EVENTS');
+    log(`Player ${player.id} joined room ${roomId}`, 'info', 'ROOM_EVENTS', { userId: player.id, roomId });
+    return true;
+}
+
+/**
+ * Add a spectator to a room, or update the socket of one already watching
+ * @param {string} roomId - The room ID
+ * @param {Object} spectator - The spectator (id, username, socketId)
+ * @returns {boolean} Success status
+ */
+function addSpectatorToRoom(roomId, spectator) {
+    const room = rooms.get(roomId);
+    if (!room) return false;
+
+    const existing = room.spectators.find(s => s.id === spectator.id);
+    if (existing) {
+        existing.socketId = spectator.socketId;
+        return true;
+    }
+
+    room.spectators.push({ ...spectator, joinedAt: new Date() });
+    log(`Spectator ${spectator.id} joined room ${roomId}`, 'info', 'ROOM_EVENTS', { userId: spectator.id, roomId });
+    return true;
+}
+
+/**
+ * Remove a spectator from a room, deleting the room if nobody is left in it
+ * @param {string} roomId - The room ID
+ * @param {number} userId - The spectating user's ID
+ * @returns {boolean} Success status
+ */
+function removeSpectatorFromRoom(roomId, userId) {
+    const room = rooms.get(roomId);
+    if (!room) return false;
+
+    const index = room.spectators.findIndex(s => s.id === userId);
+    if (index === -1) return false;
+
+    room.spectators.splice(index, 1);
+    log(`Spectator ${userId} left room ${roomId}`, 'info', 'ROOM_EVENTS', { userId, roomId });
+
+    if (room.players.length === 0 && room.spectators.length === 0) {
+        deleteRoom(roomId);
+    }
+    return true;
+}
+
+/**
+ * Get the first battlefield side not taken by a player in the room
+ * @param {Object} room - The room object
+ * @returns {string|null} 'left', 'right' or null if both are taken
+ */
+function getFreeSide(room) {
+    const taken = room.players.map(p => p.side);
+    return ['left', 'right'].find(side => !taken.includes(side)) || null;
+}
+
+/**
+ * Get the host of a room: its creator, or the earliest joined player for system rooms
+ * @param {Object} room - The room object
+ * @returns {string|null} Host player ID
+ */
+function getRoomHostId(room) {
+    if (room.players.some(p => p.id === room.creatorId)) {
+        return room.creatorId;
+    }
+    return room.players.length > 0 ? room.players[0].id : null;
+}
+
+/**
+ * Set a player's ready flag
+ * @param {string} roomId - The room ID
+ * @param {string} playerId - The player ID
+ * @param {boolean} isReady - New ready state
+ * @returns {boolean} Success status
+ */
+function setPlayerReady(roomId, playerId, isReady) {
+    const room = rooms.get(roomId);
+    if (!room || room.status !== 'waiting') return false;
+
+    const player = room.players.find(p => p.id === playerId);
+    if (!player) return false;
+
+    player.isReady = isReady;
+    log(`Player ${playerId} is ${isReady ? 'ready' : 'not ready'} in room ${roomId}`, 'info', 'PLAYER_READY');
     return true;
 }
 
+/**
+ * Check whether a waiting room has a full, ready line-up
+ * @param {Object} room - The room object
+ * @returns {boolean} Whether the game can start
+ */
+function canStartGame(room) {
+    return room.status === 'waiting' &&
+        room.players.length === room.maxPlayers &&
+        room.players.every(p => p.isReady && !p.disconnectedAt);
+}
+
+/**
+ * Build the public player list of a room
+ * @param {Object} room - The room object
+ * @returns {Array<Object>} Players with lobby state
+ */
+function getPlayerList(room) {
+    const hostId = getRoomHostId(room);
+    return room.players.map(p => ({
+        id: p.id,
+        username: p.username,
+        side: p.side,
+        isReady: p.isReady,
+        isHost: p.id === hostId,
+        connected: !p.disconnectedAt
+    }));
+}
+
 /**
  * Remove a player from a room
  * @param {string} roomId - The room ID
@@ -126,13 +275,9 @@ function removePlayerFromRoom(roomId, playerId) {
     userRooms.delete(playerId);
     
     // Clean up abandon timer if it exists
-    const timerKey = `${roomId}:${playerId}`;
-    if (abandonTimers.has(timerKey)) {
-        clearTimeout(abandonTimers.get(timerKey));
-        abandonTimers.delete(timerKey);
-    }
+    cancelAbandonTimer(roomId, playerId);
     
-    log(`Player ${playerId} removed from room ${roomId}`, 'info', 'ROOM_EVENTS');
+    log(`Player ${playerId} removed from room ${roomId}`, 'info', 'ROOM_EVENTS', { userId: playerId, roomId });
     
     // If room is empty, remove it
     if (room.players.length === 0 && room.spectators.length === 0) {
@@ -142,6 +287,24 @@ function removePlayerFromRoom(roomId, playerId) {
     return true;
 }
 
+/**
+ * Remove a player outside any socket handler, e.g. when their seat timed out
+ * Emits 'playerRemoved' on roomEvents so the socket layer can update the room
+ * @param {string} roomId - The room ID
+ * @param {string} playerId - The player ID to remove
+ * @returns {boolean} Success status
+ */
+function kickPlayer(roomId, playerId) {
+    const room = rooms.get(roomId);
+    const player = room && room.players.find(p => p.id === playerId);
+    if (!player) return false;
+
+    const wasHost = getRoomHostId(room) === playerId;
+    removePlayerFromRoom(roomId, playerId);
+    roomEvents.emit('playerRemoved', { room, player, wasHost });
+    return true;
+}
+
 /**
  * Delete a room
  * @param {string} roomId - The room ID to delete
@@ -167,7 +330,7 @@ function deleteRoom(roomId) {
     }
     
     rooms.delete(roomId);
-    log(`Room ${roomId} deleted`, 'info', 'ROOM_EVENTS');
+    log(`Room ${roomId} deleted`, 'info', 'ROOM_EVENTS', { roomId });
     return true;
 }
 
@@ -199,12 +362,53 @@ function markPlayerDisconnected(roomId, playerId) {
     
     player.disconnectedAt = new Date();
     
-    // Start abandon timer if game is in progress
+    // Give the player the reconnect window before the game counts as abandoned,
+    // or a shorter one before they lose their seat in a waiting room
     if (room.status === 'playing') {
-        startAbandonTimer(roomId, playerId, config.game.abandonTimeout);
+        startAbandonTimer(roomId, playerId, config.game.reconnectWindow);
+    } else if (room.status === 'waiting') {
+        startLobbyTimer(roomId, playerId, config.game.lobbyReconnectWindow);
     }
     
-    log(`Player ${playerId} disconnected from room ${roomId}`, 'info', 'CONNECTIONS');
+    log(`Player ${playerId} disconnected from room ${roomId}`, 'info', 'CONNECTIONS', { userId: playerId, roomId });
+    return true;
+}
+
+/**
+ * Mark a player as reconnected and cancel their abandon timer
+ * @param {string} roomId - The room ID
+ * @param {string} playerId - The player ID
+ * @param {string} socketId - The player's new socket ID
+ * @returns {boolean} Success status
+ */
+function markPlayerReconnected(roomId, playerId, socketId) {
+    const room = getRoomById(roomId);
+    if (!room) return false;
+    
+    const player = room.players.find(p => p.id === playerId);
+    if (!player) return false;
+    
+    player.disconnectedAt = null;
+    player.socketId = socketId;
+    cancelAbandonTimer(roomId, playerId);
+    
+    log(`Player ${playerId} reconnected to room ${roomId}`, 'info', 'CONNECTIONS', { userId: playerId, roomId });
+    return true;
+}
+
+/**
+ * Cancel a pending abandon timer
+ * @param {string} roomId - The room ID
+ * @param {string} playerId - The player ID
+ * @returns {boolean} Whether a timer was cancelled
+ */
+function cancelAbandonTimer(roomId, playerId) {
+    const timerKey = `${roomId}:${playerId}`;
+    if (!abandonTimers.has(timerKey)) return false;
+    
+    clearTimeout(abandonTimers.get(timerKey));
+    abandonTimers.delete(timerKey);
+    log(`Cancelled abandon timer for player ${playerId} in room ${roomId}`, 'debug', 'ROOM_EVENTS');
     return true;
 }
 
@@ -214,7 +418,7 @@ function markPlayerDisconnected(roomId, playerId) {
  * @param {string} playerId - The player ID
  * @param {number} delay - Timer delay in ms
  */
-function startAbandonTimer(roomId, playerId, delay = 60000) {
+function startAbandonTimer(roomId, playerId, delay = config.game.abandonTimeout) {
     const timerKey = `${roomId}:${playerId}`;
     
     // Clear existing timer if any
@@ -232,8 +436,39 @@ function startAbandonTimer(roomId, playerId, delay = 60000) {
     log(`Started abandon timer for player ${playerId} in room ${roomId}`, 'debug', 'ROOM_EVENTS');
 }
 
+/**
+ * Start the timer that frees a disconnected player's seat in a waiting room
+ * Shares the abandon timer slot, so reconnecting or leaving cancels it
+ * @param {string} roomId - The room ID
+ * @param {string} playerId - The player ID
+ * @param {number} delay - Timer delay in ms
+ */
+function startLobbyTimer(roomId, playerId, delay = config.game.lobbyReconnectWindow) {
+    const timerKey = `${roomId}:${playerId}`;
+    
+    if (abandonTimers.has(timerKey)) {
+        clearTimeout(abandonTimers.get(timerKey));
+    }
+    
+    const timer = setTimeout(() => {
+        abandonTimers.delete(timerKey);
+        
+        const room = getRoomById(roomId);
+        const player = room && room.players.find(p => p.id === playerId);
+        if (!player || !player.disconnectedAt || room.status !== 'waiting') return;
+        
+        log(`Player ${playerId} did not return to waiting room ${roomId}`, 'info', 'ROOM_EVENTS', { userId: playerId, roomId });
+        kickPlayer(roomId, playerId);
+    }, delay);
+    
+    abandonTimers.set(timerKey, timer);
+    log(`Started lobby seat timer for player ${playerId} in room ${roomId}`, 'debug', 'ROOM_EVENTS');
+}
+
 /**
  * Handle player abandoning a game
+ * Emits 'gameAbandoned' on roomEvents so the socket layer can notify the
+ * remaining player and persist the result
  * @param {string} roomId - The room ID
  * @param {string} abandoningPlayerId - The player ID abandoning
  */
@@ -252,21 +487,36 @@ async function abandonGame(roomId, abandoningPlayerId) {
     room.gameState.endedAt = new Date();
     room.gameState.endReason = 'abandoned';
     
-    log(`Game in room ${roomId} ended due to player ${abandoningPlayerId} abandoning`, 'info', 'ROOM_EVENTS');
+    cancelAbandonTimer(roomId, abandoningPlayerId);
+    cancelAbandonTimer(roomId, winner.id);
+    
+    log(`Game in room ${roomId} ended due to player ${abandoningPlayerId} abandoning`, 'info', 'ROOM_EVENTS', { userId: abandoningPlayerId, roomId });
     
-    // We'll trigger the game end event in the socket handler
+    roomEvents.emit('gameAbandoned', { room, abandoningPlayerId, winnerId: winner.id });
 }
 
 module.exports = {
     rooms,
     userRooms,
+    roomEvents,
+    getRoomCreationBlock,
     createRoom,
     getRoomById,
     addPlayerToRoom,
     removePlayerFromRoom,
+    kickPlayer,
+    addSpectatorToRoom,
+    removeSpectatorFromRoom,
     deleteRoom,
     getPlayerRoom,
+    getRoomHostId,
+    setPlayerReady,
+    canStartGame,
+    getPlayerList,
     markPlayerDisconnected,
+    markPlayerReconnected,
+    cancelAbandonTimer,
     startAbandonTimer,
+    startLobbyTimer,
     abandonGame
 }; 
\ No newline at end of file
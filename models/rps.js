@@ -0,0 +1,51 @@
+/**
+ * Rock-paper-scissors module
+ * Decides in-game rock-paper-scissors rounds and pays out the game mode's reward
+ */
+const { getGameMode } = require('./game-modes');
+
+// Valid moves, each beating the next one in the cycle
+const RPS_MOVES = ['rock', 'scissors', 'paper'];
+
+/**
+ * Decide a round from both moves; a missing move forfeits
+ * @param {string|null} move1 - First player's move, or null if they didn't play
+ * @param {string|null} move2 - Second player's move, or null if they didn't play
+ * @returns {number} 1 or 2 for the winning player, 0 for a draw
+ */
+function getRpsOutcome(move1, move2) {
+    if (!move1 && !move2) return 0;
+    if (!move2) return 1;
+    if (!move1) return 2;
+    if (move1 === move2) return 0;
+
+    const beaten = RPS_MOVES[(RPS_MOVES.indexOf(move1) + 1) % RPS_MOVES.length];
+    return beaten === move2 ? 1 : 2;
+}
+
+/**
+ * Give a round's winner the reward of the room's game mode
+ * @param {Object} room - The room object
+ * @param {number} playerId - The winning player
+ * @returns {Object|null} The reward applied, or null if the mode has none
+ */
+function applyRpsReward(room, playerId) {
+    const reward = getGameMode(room.gameMode).rpsReward;
+    if (!reward) return null;
+
+    const { gameState } = room;
+    if (reward.type === 'gold') {
+        gameState.gold[playerId] += reward.amount;
+    } else if (reward.type === 'damage_buff') {
+        // A new win restarts the buff rather than stacking it
+        gameState.buffs[playerId] = { multiplier: reward.multiplier, remaining: reward.duration };
+    }
+
+    return { ...reward };
+}
+
+module.exports = {
+    RPS_MOVES,
+    getRpsOutcome,
+    applyRpsReward
+};
@@ -0,0 +1,154 @@
+/**
+ * System settings module
+ * Admin-editable settings persisted in the database; a stored value overrides
+ * the default taken from config until it is changed again
+ */
+const { log } = require('../config/logging');
+const config = require('../config/config');
+const { DEFAULT_RATING } = require('../utils/elo');
+const prisma = require('../prisma/client');
+
+// Setting definitions: the default value and a validator returning the cleaned
+// value, or undefined when the input is not acceptable
+const SETTINGS = {
+    siteName: {
+        default: '天下太平',
+        public: true,
+        validate: (value) => {
+            if (typeof value !== 'string') return undefined;
+            const name = value.trim();
+            return name.length > 0 && name.length <= 50 ? name : undefined;
+        }
+    },
+    maintenanceMode: {
+        default: false,
+        public: true,
+        validate: (value) => (typeof value === 'boolean' ? value : undefined)
+    },
+    maxActiveGames: {
+        default: config.game.maxActiveGames,
+        validate: (value) => (Number.isInteger(value) && value >= 10 && value <= 10000 ? value : undefined)
+    },
+    defaultElo: {
+        default: DEFAULT_RATING,
+        validate: (value) => (Number.isInteger(value) && value >= 1000 && value <= 2000 ? value : undefined)
+    },
+    // Rating system applied to new results; past ratings change only when
+    // an admin recomputes them from match history
+    ratingSystem: {
+        default: config.rating.system,
+        validate: (value) => (['elo', 'glicko2'].includes(value) ? value : undefined)
+    }
+};
+
+// Current values, seeded with the defaults until loadSettings() has run
+const settings = new Map(Object.entries(SETTINGS).map(([key, def]) => [key, def.default]));
+
+/**
+ * Load stored settings from the database into memory
+ * Rows for unknown keys or with values that no longer validate are ignored
+ * @returns {Promise<void>}
+ */
+async function loadSettings() {
+    try {
+        const rows = await prisma.setting.findMany();
+
+        for (const row of rows) {
+            const def = SETTINGS[row.key];
+            if (!def) continue;
+
+            let value;
+            try {
+                value = def.validate(JSON.parse(row.value));
+            } catch (error) {
+                value = undefined;
+            }
+
+            if (value === undefined) {
+                log(`Ignoring invalid stored setting ${row.key}`, 'warn');
+                continue;
+            }
+            settings.set(row.key, value);
+        }
+
+        log(`Loaded ${rows.length} stored settings`, 'info');
+    } catch (error) {
+        log(`Error loading settings: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Get the current value of a setting
+ * @param {string} key - The setting key
+ * @returns {*} The setting value
+ */
+function getSetting(key) {
+    return settings.get(key);
+}
+
+/**
+ * Get all current settings
+ * @returns {Object} Settings keyed by name
+ */
+function getSettings() {
+    return Object.fromEntries(settings);
+}
+
+/**
+ * Get the settings every visitor may see
+ * @returns {Object} Public settings keyed by name
+ */
+function getPublicSettings() {
+    return Object.fromEntries(
+        Object.keys(SETTINGS)
+            .filter(key => SETTINGS[key].public)
+            .map(key => [key, settings.get(key)])
+    );
+}
+
+/**
+ * Validate and store a set of setting changes
+ * Nothing is stored unless every change is valid
+ * @param {Object} changes - New values keyed by setting name
+ * @param {number} updatedById - The admin making the change
+ * @returns {Promise<Object>} { settings, changed } on success or { error } describing the first invalid key
+ */
+async function updateSettings(changes, updatedById) {
+    const cleaned = {};
+
+    for (const [key, value] of Object.entries(changes || {})) {
+        const def = SETTINGS[key];
+        if (!def) {
+            return { error: `Unknown setting: ${key}` };
+        }
+
+        const valid = def.validate(value);
+        if (valid === undefined) {
+            return { error: `Invalid value for ${key}` };
+        }
+        cleaned[key] = valid;
+    }
+
+    await prisma.$transaction(Object.entries(cleaned).map(([key, value]) =>
+        prisma.setting.upsert({
+            where: { key },
+            create: { key, value: JSON.stringify(value), updatedById },
+            update: { value: JSON.stringify(value), updatedById }
+        })
+    ));
+
+    for (const [key, value] of Object.entries(cleaned)) {
+        settings.set(key, value);
+    }
+
+    log(`Settings updated by user ${updatedById}: ${Object.keys(cleaned).join(', ') || 'none'}`, 'info');
+    return { settings: getSettings(), changed: cleaned };
+}
+
+module.exports = {
+    loadSettings,
+    getSetting,
+    getSettings,
+    getPublicSettings,
+    updateSettings
+};
@@ -0,0 +1,407 @@
+/**
+ * Battle simulation module
+ * Server-authoritative fixed-tick engine for unit movement, mining, combat and victory
+ */
+const { v4: uuidv4 } = require('uuid');
+const { log } = require('../config/logging');
+const { TOWER_HEALTH, getUnitStats } = require('../js/shared/units');
+const { getGameMode } = require('./game-modes');
+
+/**
+ * Battlefield geometry shared with the client renderer (in pixels)
+ */
+const FIELD = {
+    width: 1080,
+    height: 600,
+    towerY: 300,
+    towerX: { left: 100, right: 980 },
+    spawnMinY: 250,
+    spawnMaxY: 550
+};
+
+// Mineral deposits, mirrored so both sides have the same distance to travel
+const MINERALS = [
+    { id: 'mineral-left-top', x: 300, y: 150 },
+    { id: 'mineral-left-bottom', x: 300, y: 450 },
+    { id: 'mineral-right-top', x: 780, y: 150 },
+    { id: 'mineral-right-bottom', x: 780, y: 450 }
+];
+
+// Simulation constants
+const SPEED_SCALE = 60; // Unit speed is expressed in pixels per 60fps frame
+const CONTACT_RANGE = 24; // Distance at which a unit reaches its target
+const DEFAULT_ATTACK_INTERVAL = 1000; // Milliseconds between attacks when a unit does not define one
+const FIGHTER_ROLES = ['melee', 'raider']; // Roles that move out and attack
+const MINING_INTERVAL = 5000; // Milliseconds a miner needs to extract one load (worth the mode's miningRate)
+
+/**
+ * Initialize the game state of a room for a new match
+ * @param {Object} room - The room object
+ * @returns {Object} The initialized game state
+ */
+function initGameState(room) {
+    const mode = getGameMode(room.gameMode);
+    const gameState = {
+        tick: 0,
+        sides: {},
+        gold: {},
+        towers: {},
+        units: [],
+        minerals: MINERALS.map(m => ({ ...m })),
+        rps: { round: 0, startedAt: null, endsAt: null, lastResult: null },
+        buffs: {}, // Temporary damage buffs by player ID, from rock-paper-scissors wins
+        startedAt: new Date(),
+        endedAt: null,
+        winner: null
+    };
+
+    room.players.forEach((player, index) => {
+        gameState.sides[player.id] = player.side || (index === 0 ? 'left' : 'right');
+        gameState.gold[player.id] = mode.initialGold;
+        gameState.towers[player.id] = { health: TOWER_HEALTH, maxHealth: TOWER_HEALTH };
+    });
+
+    room.gameState = gameState;
+    return gameState;
+}
+
+/**
+ * Spawn a unit for a player
+ * @param {Object} room - The room object
+ * @param {string} playerId - The player spawning the unit
+ * @param {string} unitType - Type of unit to spawn
+ * @returns {{success: boolean, unit?: Object, error?: string}} Spawn result
+ */
+function spawnUnit(room, playerId, unitType) {
+    const { gameState } = room;
+    const side = gameState.sides[playerId];
+    if (!side) {
+        return { success: false, error: 'not_in_game' };
+    }
+
+    const stats = getUnitStats(room.gameMode, unitType);
+    if (!stats) {
+        return { success: false, error: 'unit_not_available_in_mode' };
+    }
+
+    if (gameState.gold[playerId] < stats.cost) {
+        return { success: false, error: 'not_enough_gold' };
+    }
+
+    gameState.gold[playerId] -= stats.cost;
+
+    const isBarrier = stats.role === 'barrier';
+    const unit = {
+        id: uuidv4().substring(0, 8),
+        type: unitType,
+        ownerId: playerId,
+        side,
+        x: FIELD.towerX[side],
+        y: isBarrier
+            ? FIELD.towerY
+            : FIELD.spawnMinY + Math.floor(Math.random() * (FIELD.spawnMaxY - FIELD.spawnMinY)),
+        role: stats.role,
+        health: stats.health,
+        maxHealth: stats.health,
+        damage: stats.damage,
+        speed: stats.speed,
+        attackInterval: stats.attackInterval || DEFAULT_ATTACK_INTERVAL,
+        enrageThreshold: stats.enrageThreshold || 0,
+        enrageMultiplier: stats.enrageMultiplier || 1,
+        state: 'idle',
+        cooldown: 0,
+        progress: 0
+    };
+
+    gameState.units.push(unit);
+    log(`Player ${playerId} spawned ${unitType} ${unit.id} in room ${room.id}`, 'debug', 'GAME_EVENTS');
+    return { success: true, unit };
+}
+
+/**
+ * Distance between two points
+ * @param {Object} a - Point with x/y
+ * @param {Object} b - Point with x/y
+ * @returns {number} Euclidean distance
+ */
+function distance(a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    return Math.sqrt(dx * dx + dy * dy);
+}
+
+/**
+ * Find the closest item to a unit
+ * @param {Object} unit - Reference unit
+ * @param {Array<Object>} candidates - Items with x/y
+ * @returns {Object|null} Closest item or null
+ */
+function findClosest(unit, candidates) {
+    let closest = null;
+    let minDist = Infinity;
+    candidates.forEach(candidate => {
+        const dist = distance(unit, candidate);
+        if (dist < minDist) {
+            minDist = dist;
+            closest = candidate;
+        }
+    });
+    return closest;
+}
+
+/**
+ * Move a unit toward a point, stopping at contact range
+ * @param {Object} unit - Unit to move
+ * @param {Object} target - Point with x/y
+ * @param {number} dt - Tick duration in ms
+ * @returns {boolean} Whether the unit is in contact with the target
+ */
+function moveToward(unit, target, dt) {
+    const dist = distance(unit, target);
+    if (dist <= CONTACT_RANGE) {
+        return true;
+    }
+
+    const travel = unit.speed * SPEED_SCALE * (dt / 1000);
+    const step = Math.min(travel, dist - CONTACT_RANGE);
+    unit.x += (target.x - unit.x) / dist * step;
+    unit.y += (target.y - unit.y) / dist * step;
+    return travel >= dist - CONTACT_RANGE;
+}
+
+/**
+ * Build the target descriptor for the enemy tower
+ * @param {Object} room - The room object
+ * @param {Object} unit - The attacking unit
+ * @returns {{kind: string, target: Object}} Target descriptor
+ */
+function enemyTowerTarget(room, unit) {
+    const enemySide = unit.side === 'left' ? 'right' : 'left';
+    const enemy = room.players.find(p => room.gameState.sides[p.id] === enemySide);
+    return {
+        kind: 'tower',
+        target: { x: FIELD.towerX[enemySide], y: FIELD.towerY, ownerId: enemy ? enemy.id : null }
+    };
+}
+
+/**
+ * Pick the target for an attacking unit
+ * Melee units fight enemy fighters, then barriers, then the tower.
+ * Raiders go for enemy miners first and only then march on the tower.
+ * @param {Object} room - The room object
+ * @param {Object} unit - The attacking unit
+ * @returns {{kind: string, target: Object}} Target descriptor
+ */
+function findAttackTarget(room, unit) {
+    const enemies = room.gameState.units.filter(u => u.side !== unit.side && u.health > 0);
+
+    if (unit.role === 'raider') {
+        const miner = findClosest(unit, enemies.filter(u => u.role === 'miner'));
+        return miner ? { kind: 'unit', target: miner } : enemyTowerTarget(room, unit);
+    }
+
+    const fighter = findClosest(unit, enemies.filter(u => FIGHTER_ROLES.includes(u.role)));
+    if (fighter) {
+        return { kind: 'unit', target: fighter };
+    }
+
+    const barrier = findClosest(unit, enemies.filter(u => u.role === 'barrier'));
+    if (barrier) {
+        return { kind: 'unit', target: barrier };
+    }
+
+    return enemyTowerTarget(room, unit);
+}
+
+/**
+ * Damage a unit deals per attack, including the berserker enrage bonus and
+ * any damage buff its owner holds
+ * @param {Object} unit - The attacking unit
+ * @param {Object} buff - The owner's active damage buff, if any
+ * @returns {number} Damage per attack
+ */
+function getAttackDamage(unit, buff) {
+    let damage = unit.damage;
+    if (unit.enrageThreshold && unit.health <= unit.maxHealth * unit.enrageThreshold) {
+        damage *= unit.enrageMultiplier;
+    }
+    if (buff) {
+        damage *= buff.multiplier;
+    }
+    return Math.round(damage);
+}
+
+/**
+ * Advance a miner: walk to the nearest mineral and extract gold there
+ * @param {Object} room - The room object
+ * @param {Object} unit - The miner
+ * @param {number} dt - Tick duration in ms
+ * @param {Array<Object>} income - Income accumulator
+ */
+function stepMiner(room, unit, dt, income) {
+    const { gameState } = room;
+    const mineral = findClosest(unit, gameState.minerals);
+    if (!mineral || !moveToward(unit, mineral, dt)) {
+        unit.state = 'moving';
+        unit.progress = 0;
+        return;
+    }
+
+    unit.state = 'mining';
+    unit.progress += dt;
+    if (unit.progress >= MINING_INTERVAL) {
+        const amount = getGameMode(room.gameMode).miningRate;
+        unit.progress -= MINING_INTERVAL;
+        gameState.gold[unit.ownerId] += amount;
+        income.push({ playerId: unit.ownerId, amount });
+    }
+}
+
+/**
+ * Advance an attacking unit and collect the damage it deals this tick
+ * @param {Object} room - The room object
+ * @param {Object} unit - The attacking unit
+ * @param {number} dt - Tick duration in ms
+ * @param {Array<Object>} hits - Damage accumulator
+ */
+function stepAttacker(room, unit, dt, hits) {
+    unit.cooldown = Math.max(0, unit.cooldown - dt);
+
+    const { kind, target } = findAttackTarget(room, unit);
+    if (!moveToward(unit, target, dt)) {
+        unit.state = 'moving';
+        return;
+    }
+
+    unit.state = 'attacking';
+    if (unit.cooldown > 0) return;
+
+    unit.cooldown = unit.attackInterval;
+    hits.push({ kind, target, damage: getAttackDamage(unit, room.gameState.buffs[unit.ownerId]) });
+}
+
+/**
+ * Advance the simulation by one tick
+ * Damage is collected first and applied afterwards so simultaneous blows land on both sides.
+ * @param {Object} room - The room object
+ * @param {number} dt - Tick duration in ms
+ * @returns {{deaths: Array<Object>, income: Array<Object>, winner: string|null}} What happened during the tick
+ */
+function stepSimulation(room, dt) {
+    const { gameState } = room;
+    if (gameState.winner) {
+        return { deaths: [], income: [], winner: gameState.winner };
+    }
+
+    gameState.tick++;
+    const hits = [];
+    const income = [];
+
+    // Count down damage buffs
+    Object.entries(gameState.buffs).forEach(([playerId, buff]) => {
+        buff.remaining -= dt;
+        if (buff.remaining <= 0) delete gameState.buffs[playerId];
+    });
+
+    gameState.units.forEach(unit => {
+        if (unit.role === 'miner') {
+            stepMiner(room, unit, dt, income);
+        } else if (FIGHTER_ROLES.includes(unit.role)) {
+            stepAttacker(room, unit, dt, hits);
+        }
+    });
+
+    hits.forEach(({ kind, target, damage }) => {
+        if (kind === 'tower') {
+            const tower = gameState.towers[target.ownerId];
+            if (tower) tower.health = Math.max(0, tower.health - damage);
+        } else {
+            target.health -= damage;
+            // A miner under attack loses its partially extracted load
+            if (target.role === 'miner') target.progress = 0;
+        }
+    });
+
+    const deaths = gameState.units.filter(u => u.health <= 0);
+    if (deaths.length > 0) {
+        gameState.units = gameState.units.filter(u => u.health > 0);
+    }
+
+    const defeated = room.players.find(p => gameState.towers[p.id] && gameState.towers[p.id].health <= 0);
+    if (defeated) {
+        const winner = room.players.find(p => p.id !== defeated.id);
+        gameState.winner = winner ? winner.id : null;
+        gameState.endedAt = new Date();
+    }
+
+    return { deaths, income, winner: gameState.winner };
+}
+
+/**
+ * Build the authoritative gold view of every player
+ * @param {Object} room - The room object
+ * @returns {Array<{playerId: string, gold: number}>} Gold per player
+ */
+function getGoldSnapshot(room) {
+    return room.players.map(p => ({
+        playerId: p.id,
+        gold: room.gameState.gold[p.id]
+    }));
+}
+
+/**
+ * Build the client view of a unit
+ * @param {Object} unit - Simulation unit
+ * @returns {Object} Serializable unit
+ */
+function serializeUnit(unit) {
+    return {
+        id: unit.id,
+        type: unit.type,
+        ownerId: unit.ownerId,
+        isLeftPlayer: unit.side === 'left',
+        x: Math.round(unit.x),
+        y: Math.round(unit.y),
+        health: unit.health,
+        maxHealth: unit.maxHealth,
+        state: unit.state
+    };
+}
+
+/**
+ * Build a serializable snapshot of the game state for clients
+ * @param {Object} room - The room object
+ * @returns {Object} Snapshot
+ */
+function getSnapshot(room) {
+    const { gameState } = room;
+    // Left player first, the client relies on this order
+    const players = [...room.players].sort((a, b) =>
+        (gameState.sides[a.id] === 'left' ? 0 : 1) - (gameState.sides[b.id] === 'left' ? 0 : 1));
+
+    return {
+        tick: gameState.tick,
+        players: players.map(p => ({
+            id: p.id,
+            username: p.username,
+            side: gameState.sides[p.id],
+            gold: gameState.gold[p.id],
+            towerHealth: gameState.towers[p.id]?.health,
+            towerMaxHealth: gameState.towers[p.id]?.maxHealth,
+            damageBuff: gameState.buffs[p.id] ? { ...gameState.buffs[p.id] } : null
+        })),
+        units: gameState.units.map(serializeUnit),
+        minerals: gameState.minerals,
+        winner: gameState.winner
+    };
+}
+
+module.exports = {
+    FIELD,
+    initGameState,
+    spawnUnit,
+    stepSimulation,
+    serializeUnit,
+    getGoldSnapshot,
+    getSnapshot
+};
@@ -0,0 +1,184 @@
+/**
+ * User statistics module
+ * Maintains the cached per-user, per-mode aggregate of match results in the
+ * UserStats table so profiles don't have to scan match history
+ */
+const prisma = require('../prisma/client');
+
+// gameMode key of the aggregate across every mode
+const ALL_MODES = 'all';
+
+// Counter columns of a UserStats row
+const STAT_FIELDS = ['wins', 'losses', 'draws', 'abandons', 'currentStreak', 'bestStreak', 'eloChangeTotal'];
+
+/**
+ * Create an empty aggregate
+ * @returns {Object} Zeroed counters
+ */
+function emptyStats() {
+    return Object.fromEntries(STAT_FIELDS.map(field => [field, 0]));
+}
+
+/**
+ * Copy only the counter columns of a UserStats row
+ * @param {Object} row - UserStats row
+ * @returns {Object} Counters
+ */
+function pickStats(row) {
+    return Object.fromEntries(STAT_FIELDS.map(field => [field, row[field]]));
+}
+
+/**
+ * Get how a completed match went for one of its players
+ * @param {Object} match - Completed match record
+ * @param {number} userId - The player
+ * @returns {Object} { outcome: 'win'|'loss'|'draw', eloChange, abandoned }
+ */
+function getMatchOutcome(match, userId) {
+    if (match.winnerId === null || match.winnerId === undefined) {
+        return { outcome: 'draw', eloChange: 0, abandoned: false };
+    }
+
+    const won = match.winnerId === userId;
+    return {
+        outcome: won ? 'win' : 'loss',
+        eloChange: (won ? match.winnerEloChange : match.loserEloChange) || 0,
+        abandoned: match.abandonedBy === userId
+    };
+}
+
+/**
+ * Fold one match result into an aggregate
+ * The streak counts consecutive wins and resets on a loss or draw
+ * @param {Object} stats - Current aggregate
+ * @param {Object} result - Result from getMatchOutcome
+ * @returns {Object} The updated aggregate
+ */
+function applyOutcome(stats, { outcome, eloChange, abandoned }) {
+    const next = { ...stats, eloChangeTotal: stats.eloChangeTotal + eloChange };
+
+    if (outcome === 'win') {
+        next.wins += 1;
+        next.currentStreak += 1;
+        next.bestStreak = Math.max(next.bestStreak, next.currentStreak);
+    } else {
+        next[outcome === 'draw' ? 'draws' : 'losses'] += 1;
+        next.currentStreak = 0;
+    }
+
+    if (abandoned) {
+        next.abandons += 1;
+    }
+
+    return next;
+}
+
+/**
+ * Check whether a user's aggregate has been built
+ * @param {number} userId - The user ID
+ * @returns {Promise<boolean>} Whether the cache exists
+ */
+async function hasUserStats(userId) {
+    const row = await prisma.userStats.findUnique({
+        where: { userId_gameMode: { userId, gameMode: ALL_MODES } },
+        select: { id: true }
+    });
+    return Boolean(row);
+}
+
+/**
+ * Add one completed match to a player's cached aggregate
+ * @param {number} userId - The player
+ * @param {Object} match - Completed match record
+ */
+async function addMatchToStats(userId, match) {
+    const result = getMatchOutcome(match, userId);
+    const gameModes = [ALL_MODES, match.gameMode || 'classic'];
+
+    const rows = await prisma.userStats.findMany({
+        where: { userId, gameMode: { in: gameModes } }
+    });
+
+    await prisma.$transaction(gameModes.map(gameMode => {
+        const row = rows.find(r => r.gameMode === gameMode);
+        const fields = applyOutcome(row ? pickStats(row) : emptyStats(), result);
+
+        return prisma.userStats.upsert({
+            where: { userId_gameMode: { userId, gameMode } },
+            create: { userId, gameMode, ...fields },
+            update: fields
+        });
+    }));
+}
+
+/**
+ * Rebuild a player's cached aggregate from their full match history
+ * Rows are upserted so concurrent rebuilds for the same player, e.g. two first
+ * profile reads at once, write the same values instead of colliding
+ * @param {number} userId - The player
+ * @param {Array<Object>} matches - Every completed match of the player, oldest first
+ */
+async function rebuildUserStats(userId, matches) {
+    const byMode = new Map([[ALL_MODES, emptyStats()]]);
+
+    for (const match of matches) {
+        const result = getMatchOutcome(match, userId);
+        const gameMode = match.gameMode || 'classic';
+        byMode.set(ALL_MODES, applyOutcome(byMode.get(ALL_MODES), result));
+        byMode.set(gameMode, applyOutcome(byMode.get(gameMode) || emptyStats(), result));
+    }
+
+    await prisma.$transaction([
+        prisma.userStats.deleteMany({ where: { userId, gameMode: { notIn: [...byMode.keys()] } } }),
+        ...[...byMode.entries()].map(([gameMode, stats]) => prisma.userStats.upsert({
+            where: { userId_gameMode: { userId, gameMode } },
+            create: { userId, gameMode, ...stats },
+            update: stats
+        }))
+    ]);
+}
+
+/**
+ * Shape an aggregate row for API responses
+ * @param {Object} stats - UserStats row
+ * @returns {Object} Stats with derived totals and rates
+ */
+function formatStats(stats) {
+    const totalGames = stats.wins + stats.losses + stats.draws;
+    return {
+        wins: stats.wins,
+        losses: stats.losses,
+        draws: stats.draws,
+        abandons: stats.abandons,
+        totalGames,
+        winRate: totalGames > 0 ? Math.round((stats.wins / totalGames) * 100) : 0,
+        currentStreak: stats.currentStreak,
+        bestStreak: stats.bestStreak,
+        averageEloChange: totalGames > 0 ? Math.round((stats.eloChangeTotal / totalGames) * 10) / 10 : 0
+    };
+}
+
+/**
+ * Read a user's cached aggregate
+ * @param {number} userId - The user ID
+ * @returns {Promise<Object>} Overall stats plus a per-mode breakdown under `modes`
+ */
+async function readUserStats(userId) {
+    const rows = await prisma.userStats.findMany({ where: { userId } });
+    const overall = rows.find(row => row.gameMode === ALL_MODES) || emptyStats();
+
+    const modes = {};
+    rows.filter(row => row.gameMode !== ALL_MODES).forEach(row => {
+        modes[row.gameMode] = formatStats(row);
+    });
+
+    return { ...formatStats(overall), modes };
+}
+
+module.exports = {
+    ALL_MODES,
+    hasUserStats,
+    addMatchToStats,
+    rebuildUserStats,
+    readUserStats
+};
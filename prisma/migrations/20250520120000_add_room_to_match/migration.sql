@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Match" ADD COLUMN "roomId" TEXT;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Match" ADD COLUMN "ranked" BOOLEAN NOT NULL DEFAULT true;
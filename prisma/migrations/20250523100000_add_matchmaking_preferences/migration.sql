@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "PairingQueue" ADD COLUMN "gameMode" TEXT NOT NULL DEFAULT 'classic';
+ALTER TABLE "PairingQueue" ADD COLUMN "skill" TEXT NOT NULL DEFAULT 'any';
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "PairingQueue" ADD COLUMN "ranked" BOOLEAN NOT NULL DEFAULT true;
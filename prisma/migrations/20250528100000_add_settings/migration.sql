@@ -0,0 +1,7 @@
+-- CreateTable
+CREATE TABLE "Setting" (
+    "key" TEXT NOT NULL PRIMARY KEY,
+    "value" TEXT NOT NULL,
+    "updatedById" INTEGER,
+    "updatedAt" DATETIME NOT NULL
+);
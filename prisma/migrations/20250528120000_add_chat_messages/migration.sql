@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "ChatMessage" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "roomId" TEXT NOT NULL,
+    "matchId" INTEGER,
+    "userId" INTEGER NOT NULL,
+    "username" TEXT NOT NULL,
+    "text" TEXT,
+    "preset" TEXT,
+    "originalText" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "ChatMessage_roomId_createdAt_idx" ON "ChatMessage"("roomId", "createdAt");
@@ -0,0 +1,9 @@
+-- CreateTable
+CREATE TABLE "MatchReplay" (
+    "matchId" INTEGER NOT NULL PRIMARY KEY,
+    "tickRate" INTEGER NOT NULL,
+    "durationTicks" INTEGER NOT NULL,
+    "events" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "MatchReplay_matchId_fkey" FOREIGN KEY ("matchId") REFERENCES "Match" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
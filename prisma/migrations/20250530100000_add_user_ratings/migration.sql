@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "UserRating" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "gameMode" TEXT NOT NULL,
+    "rating" REAL NOT NULL,
+    "deviation" REAL NOT NULL,
+    "volatility" REAL NOT NULL,
+    "gamesPlayed" INTEGER NOT NULL DEFAULT 0,
+    "lastPlayedAt" DATETIME,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "UserRating_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UserRating_userId_gameMode_key" ON "UserRating"("userId", "gameMode");
+
+-- CreateIndex
+CREATE INDEX "UserRating_gameMode_rating_idx" ON "UserRating"("gameMode", "rating");
+
+-- Seed the overall rating of existing players from their Elo and rated match count
+INSERT INTO "UserRating" ("userId", "gameMode", "rating", "deviation", "volatility", "gamesPlayed", "updatedAt")
+SELECT "id", 'all', "elo", 350, 0.06,
+    (SELECT COUNT(*) FROM "Match"
+        WHERE "Match"."completed" = 1 AND "Match"."ranked" = 1 AND "Match"."noContest" = 0
+        AND "Match"."winnerId" IS NOT NULL
+        AND ("Match"."player1Id" = "User"."id" OR "Match"."player2Id" = "User"."id")),
+    CURRENT_TIMESTAMP
+FROM "User";
@@ -0,0 +1,752 @@
+/**
+ * Admin Routes
+ * User, live game and log management for administrators; every change is
+ * written to the audit log
+ */
+const express = require('express');
+const bcrypt = require('bcrypt');
+const {
+    log,
+    serverStats,
+    logCategories,
+    LOG_LEVELS,
+    queryLogs,
+    clearLogs,
+    setLogCategory
+} = require('../config/logging');
+const config = require('../config/config');
+const { rooms, getRoomById } = require('../models/rooms');
+const { connectedUsers, isUserConnected } = require('../models/users');
+const { matchmakingQueue, removeFromMatchmaking } = require('../socket/matchmaking');
+const { forceEndGame, closeRoom, evictUser } = require('../socket/game');
+const { getUserStats, deleteUserMatches } = require('../models/matches');
+const { banUser, unbanUser, getBanHistory, revokeUserSessions } = require('../models/bans');
+const { recordAdminAction, getAuditLog } = require('../models/audit-log');
+const { getSettings, getSetting, getPublicSettings, updateSettings } = require('../models/settings');
+const { initialUserRatings, setUserRating, startRatingRecompute, getRatingRecomputeStatus } = require('../models/ratings');
+const { getRoomChatLog } = require('../models/chat');
+const prisma = require('../prisma/client');
+
+const router = express.Router();
+
+// Roles a user can have
+const ROLES = ['PLAYER', 'ADMIN'];
+
+// Loose shape check for email addresses entered in the admin console
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// User fields shown in the admin console
+const adminUserSelect = {
+    id: true,
+    username: true,
+    email: true,
+    googleId: true,
+    role: true,
+    elo: true,
+    banStatus: true,
+    banExpiration: true,
+    banReason: true,
+    disconnectCount: true,
+    lastLoginAt: true,
+    createdAt: true
+};
+
+// Admin check middleware
+const isAdmin = async (req, res, next) => {
+    try {
+        if (!req.session || !req.session.userId) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+
+        const userId = parseInt(req.session.userId, 10);
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            select: { role: true }
+        });
+
+        if (!user || user.role !== 'ADMIN') {
+            return res.status(403).json({ error: 'Not authorized' });
+        }
+
+        req.adminId = userId;
+        next();
+    } catch (error) {
+        log(`Admin check error: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+router.use(isAdmin);
+
+/**
+ * Shape a user row for the admin console
+ * @param {Object} user - User selected with adminUserSelect
+ * @returns {Object} User without the Google ID but with link and online flags
+ */
+function formatAdminUser({ googleId, ...user }) {
+    return {
+        ...user,
+        googleLinked: Boolean(googleId),
+        online: isUserConnected(user.id)
+    };
+}
+
+/**
+ * Load the user an admin route targets, answering 400/404 when it can't
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} The user, or null if a response was sent
+ */
+async function findTargetUser(req, res) {
+    const userId = parseInt(req.params.userId, 10);
+    if (isNaN(userId)) {
+        res.status(400).json({ error: 'Invalid user ID' });
+        return null;
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: adminUserSelect });
+    if (!user) {
+        res.status(404).json({ error: 'User not found' });
+        return null;
+    }
+    return user;
+}
+
+// Server overview
+router.get('/stats', (req, res) => {
+    res.json({
+        serverStats,
+        rooms: rooms.size,
+        users: connectedUsers.size,
+        matchmakingQueue: matchmakingQueue.size
+    });
+});
+
+// Search and paginate users
+router.get('/users', async (req, res) => {
+    try {
+        const { search = '', page = 1, limit = 20 } = req.query;
+        const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+        const limitNum = Math.min(parseInt(limit, 10) || 20, 100); // Cap at 100
+
+        const term = search.trim();
+        const where = term
+            ? {
+                OR: [
+                    { username: { contains: term } },
+                    { email: { contains: term } },
+                    ...(/^\d+$/.test(term) ? [{ id: parseInt(term, 10) }] : [])
+                ]
+            }
+            : {};
+
+        const [total, users] = await Promise.all([
+            prisma.user.count({ where }),
+            prisma.user.findMany({
+                where,
+                select: adminUserSelect,
+                orderBy: { id: 'asc' },
+                skip: (pageNum - 1) * limitNum,
+                take: limitNum
+            })
+        ]);
+
+        res.json({
+            users: users.map(formatAdminUser),
+            total,
+            page: pageNum,
+            limit: limitNum,
+            totalPages: Math.max(Math.ceil(total / limitNum), 1)
+        });
+    } catch (error) {
+        log(`Error listing users: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not list users' });
+    }
+});
+
+// Create a user
+router.post('/users', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        const email = req.body.email ? String(req.body.email).trim() || null : null;
+        const role = req.body.role || 'PLAYER';
+        const elo = req.body.elo === undefined ? getSetting('defaultElo') : parseInt(req.body.elo, 10);
+
+        if (!username || !password) {
+            return res.status(400).json({ error: 'Username and password are required' });
+        }
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ error: 'Invalid role' });
+        }
+        if (isNaN(elo) || elo < 0) {
+            return res.status(400).json({ error: 'Invalid Elo rating' });
+        }
+        if (email && !EMAIL_PATTERN.test(email)) {
+            return res.status(400).json({ error: 'Invalid email address' });
+        }
+
+        const existing = await prisma.user.findUnique({ where: { username } });
+        if (existing) {
+            return res.status(400).json({ error: 'Username already exists' });
+        }
+        if (email && await prisma.user.findUnique({ where: { email } })) {
+            return res.status(400).json({ error: 'Email already exists' });
+        }
+
+        const user = await prisma.user.create({
+            data: {
+                username,
+                email,
+                role,
+                elo,
+                password: await bcrypt.hash(password, config.auth.bcrypt.saltRounds),
+                ratings: initialUserRatings(elo)
+            },
+            select: adminUserSelect
+        });
+
+        await recordAdminAction({
+            adminId: req.adminId,
+            action: 'USER_CREATE',
+            targetUserId: user.id,
+            details: { username, role, elo }
+        });
+        res.status(201).json(formatAdminUser(user));
+    } catch (error) {
+        log(`Error creating user: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not create user' });
+    }
+});
+
+// View a user with their statistics and ban history
+router.get('/users/:userId', async (req, res) => {
+    try {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        const [stats, bans] = await Promise.all([
+            getUserStats(user.id),
+            getBanHistory(user.id)
+        ]);
+
+        res.json({ ...formatAdminUser(user), stats, bans });
+    } catch (error) {
+        log(`Error getting user: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not get user' });
+    }
+});
+
+// Edit a user's username, email or Elo rating
+router.patch('/users/:userId', async (req, res) => {
+    try {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        const data = {};
+        if (req.body.username !== undefined && req.body.username !== user.username) {
+            const username = String(req.body.username).trim();
+            if (!username) {
+                return res.status(400).json({ error: 'Username cannot be empty' });
+            }
+            const existing = await prisma.user.findUnique({ where: { username } });
+            if (existing) {
+                return res.status(400).json({ error: 'Username already exists' });
+            }
+            data.username = username;
+        }
+        const email = req.body.email ? String(req.body.email).trim() || null : null;
+        if (req.body.email !== undefined && email !== user.email) {
+            if (email && !EMAIL_PATTERN.test(email)) {
+                return res.status(400).json({ error: 'Invalid email address' });
+            }
+            if (email) {
+                const existing = await prisma.user.findUnique({ where: { email } });
+                if (existing) {
+                    return res.status(400).json({ error: 'Email already exists' });
+                }
+            }
+            data.email = email;
+        }
+        if (req.body.elo !== undefined) {
+            const elo = parseInt(req.body.elo, 10);
+            if (isNaN(elo) || elo < 0) {
+                return res.status(400).json({ error: 'Invalid Elo rating' });
+            }
+            data.elo = elo;
+        }
+
+        if (Object.keys(data).length === 0) {
+            return res.json(formatAdminUser(user));
+        }
+
+        const updated = await prisma.user.update({
+            where: { id: user.id },
+            data,
+            select: adminUserSelect
+        });
+        if (data.elo !== undefined) {
+            await setUserRating(user.id, data.elo);
+        }
+
+        // Record old and new values of every changed field
+        const changes = Object.fromEntries(Object.keys(data).map(field => [field, { from: user[field], to: updated[field] }]));
+        await recordAdminAction({
+            adminId: req.adminId,
+            action: 'USER_UPDATE',
+            targetUserId: user.id,
+            details: changes
+        });
+        res.json(formatAdminUser(updated));
+    } catch (error) {
+        log(`Error updating user: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not update user' });
+    }
+});
+
+// Reset a user's password and log them out everywhere
+router.post('/users/:userId/password', async (req, res) => {
+    try {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        const { password } = req.body;
+        if (!password) {
+            return res.status(400).json({ error: 'Password is required' });
+        }
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: { password: await bcrypt.hash(password, config.auth.bcrypt.saltRounds) }
+        });
+
+        // The admin's own session survives resetting their own password
+        if (user.id !== req.adminId) {
+            await revokeUserSessions(user.id, { sessionStore: req.sessionStore, io: req.app.get('io') });
+        }
+
+        await recordAdminAction({
+            adminId: req.adminId,
+            action: 'USER_PASSWORD_RESET',
+            targetUserId: user.id
+        });
+        res.json({ success: true, userId: user.id });
+    } catch (error) {
+        log(`Error resetting password: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not reset password' });
+    }
+});
+
+// Change a user's role
+router.put('/users/:userId/role', async (req, res) => {
+    try {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        const { role } = req.body;
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ error: 'Invalid role' });
+        }
+        if (user.id === req.adminId && role !== 'ADMIN') {
+            return res.status(400).json({ error: 'You cannot remove your own admin role' });
+        }
+
+        const updated = await prisma.user.update({
+            where: { id: user.id },
+            data: { role },
+            select: adminUserSelect
+        });
+
+        await recordAdminAction({
+            adminId: req.adminId,
+            action: 'USER_ROLE_CHANGE',
+            targetUserId: user.id,
+            details: { from: user.role, to: role }
+        });
+        res.json(formatAdminUser(updated));
+    } catch (error) {
+        log(`Error changing role: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not change role' });
+    }
+});
+
+// Ban a user, permanently or until `expiresAt`, and log them out everywhere
+router.post('/users/:userId/ban', async (req, res) => {
+    try {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        const { reason } = req.body;
+        const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+
+        if (user.id === req.adminId) {
+            return res.status(400).json({ error: 'You cannot ban yourself' });
+        }
+        if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+            return res.status(400).json({ error: 'Ban expiration must be a future date' });
+        }
+
+        const ban = await banUser(user.id, {
+            reason: reason || null,
+            expiresAt,
+            bannedById: req.adminId,
+            sessionStore: req.sessionStore,
+            io: req.app.get('io')
+        });
+
+        await recordAdminAction({
+            adminId: req.adminId,
+            action: 'USER_BAN',
+            targetUserId: user.id,
+            details: { reason: reason || null, expiresAt }
+        });
+        res.json({ userId: user.id, ...ban });
+    } catch (error) {
+        log(`Error banning user: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not ban user' });
+    }
+});
+
+// Lift a user's ban
+router.post('/users/:userId/unban', async (req, res) => {
+    try {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        const reason = req.body.reason || null;
+        await unbanUser(user.id, { reason, bannedById: req.adminId });
+
+        await recordAdminAction({
+            adminId: req.adminId,
+            action: 'USER_UNBAN',
+            targetUserId: user.id,
+            details: { reason }
+        });
+        res.json({ success: true, userId: user.id });
+    } catch (error) {
+        log(`Error unbanning user: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not unban user' });
+    }
+});
+
+// Who banned a user, why and when
+router.get('/users/:userId/bans', async (req, res) => {
+    try {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        res.json({ bans: await getBanHistory(user.id) });
+    } catch (error) {
+        log(`Error getting ban history: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not get ban history' });
+    }
+});
+
+// Delete a user together with their matches, friendships and queue entry
+router.delete('/users/:userId', async (req, res) => {
+    try {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        if (user.id === req.adminId) {
+            return res.status(400).json({ error: 'You cannot delete yourself' });
+        }
+
+        // Log them out and take them out of the queue and any live room first
+        const io = req.app.get('io');
+        await revokeUserSessions(user.id, { sessionStore: req.sessionStore, io });
+        removeFromMatchmaking(user.id);
+        await evictUser(io, user.id);
+
+        const deletedMatches = await deleteUserMatches(user.id);
+        await prisma.$transaction([
+            prisma.friendship.deleteMany({
+                where: { OR: [{ senderId: user.id }, { receiverId: user.id }] }
+            }),
+            prisma.pairingQueue.deleteMany({ where: { userId: user.id } }),
+            prisma.user.delete({ where: { id: user.id } })
+        ]);
+
+        await recordAdminAction({
+            adminId: req.adminId,
+            action: 'USER_DELETE',
+            targetUserId: user.id,
+            details: { username: user.username, deletedMatches }
+        });
+        res.json({ success: true, userId: user.id });
+    } catch (error) {
+        log(`Error deleting user: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not delete user' });
+    }
+});
+
+/**
+ * Summarize a live room for the games table
+ * @param {Object} room - The room object
+ * @returns {Object} Room status, mode, players, duration and connection state
+ */
+function formatRoomSummary(room) {
+    const { startedAt, endedAt } = room.gameState;
+    return {
+        id: room.id,
+        name: room.name,
+        status: room.status,
+        gameMode: room.gameMode,
+        ranked: room.ranked,
+        isPrivate: room.isPrivate,
+        matchId: room.matchId || null,
+        createdAt: room.createdAt,
+        startedAt,
+        endedAt,
+        // Milliseconds played so far, or in total once the game ended
+        duration: startedAt ? (endedAt ? new Date(endedAt) : new Date()) - new Date(startedAt) : null,
+        players: room.players.map(p => ({
+            id: p.id,
+            username: p.username,
+            side: p.side,
+            isReady: p.isReady,
+            connected: !p.disconnectedAt,
+            disconnectedAt: p.disconnectedAt
+        })),
+        spectators: room.spectators.length
+    };
+}
+
+/**
+ * Find the live room an admin route targets, answering 404 when it is gone
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} The room, or null if a response was sent
+ */
+function findTargetRoom(req, res) {
+    const room = getRoomById(req.params.roomId);
+    if (!room) {
+        res.status(404).json({ error: 'Room not found' });
+        return null;
+    }
+    return room;
+}
+
+// List live rooms, optionally only those with a given status
+router.get('/games', (req, res) => {
+    const { status = 'all' } = req.query;
+    const games = [...rooms.values()]
+        .filter(room => status === 'all' || room.status === status)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map(formatRoomSummary);
+
+    res.json({ games, total: games.length });
+});
+
+// Inspect a room together with its full game state
+router.get('/games/:roomId', (req, res) => {
+    const room = findTargetRoom(req, res);
+    if (!room) return;
+
+    res.json({
+        ...formatRoomSummary(room),
+        creatorId: room.creatorId,
+        allowedPlayerIds: room.allowedPlayerIds,
+        gameState: room.gameState
+    });
+});
+
+// Read a room's saved chat, including the unmasked text of filtered messages;
+// closed rooms can still be reviewed
+router.get('/games/:roomId/chat', async (req, res) => {
+    try {
+        const messages = await getRoomChatLog(req.params.roomId);
+        res.json({ roomId: req.params.roomId, messages });
+    } catch (error) {
+        log(`Error fetching chat log: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not fetch chat log' });
+    }
+});
+
+// End a running game with a chosen winner, or as a no-contest without rating changes
+router.post('/games/:roomId/end', async (req, res) => {
+    try {
+        const room = findTargetRoom(req, res);
+        if (!room) return;
+
+        if (room.status !== 'playing') {
+            return res.status(400).json({ error: 'Game is not in progress' });
+        }
+
+        const winnerId = req.body.noContest ? null : parseInt(req.body.winnerId, 10);
+        if (winnerId !== null && !room.players.some(p => p.id === winnerId)) {
+            return res.status(400).json({ error: 'Winner must be a player in the game' });
+        }
+
+        await forceEndGame(req.app.get('io'), room, winnerId);
+
+        await recordAdminAction({
+            adminId: req.adminId,
+            action: winnerId ? 'GAME_FORCE_END' : 'GAME_NO_CONTEST',
+            targetUserId: winnerId,
+            details: { roomId: room.id, matchId: room.matchId || null, winnerId }
+        });
+        res.json(formatRoomSummary(room));
+    } catch (error) {
+        log(`Error ending game: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not end game' });
+    }
+});
+
+// Close an empty or stuck room; a running game in it ends as a no-contest
+router.delete('/games/:roomId', async (req, res) => {
+    try {
+        const room = findTargetRoom(req, res);
+        if (!room) return;
+
+        const summary = formatRoomSummary(room);
+        await closeRoom(req.app.get('io'), room);
+
+        await recordAdminAction({
+            adminId: req.adminId,
+            action: 'GAME_CLOSE',
+            details: {
+                roomId: room.id,
+                status: summary.status,
+                matchId: summary.matchId,
+                players: summary.players.map(p => p.id)
+            }
+        });
+        res.json({ success: true, roomId: room.id });
+    } catch (error) {
+        log(`Error closing room: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not close room' });
+    }
+});
+
+// Query the in-memory log buffer by minimum level, category, text, user or room
+router.get('/logs', (req, res) => {
+    const { level, category, search, roomId } = req.query;
+    if (level && !LOG_LEVELS.includes(level)) {
+        return res.status(400).json({ error: 'Invalid log level' });
+    }
+
+    const entries = queryLogs({
+        level,
+        category,
+        search,
+        roomId,
+        userId: req.query.userId ? parseInt(req.query.userId, 10) : undefined,
+        limit: Math.min(parseInt(req.query.limit, 10) || 200, 1000) // Cap at 1000
+    });
+
+    res.json({ entries, levels: LOG_LEVELS, categories: logCategories });
+});
+
+// Empty the in-memory log buffer
+router.delete('/logs', async (req, res) => {
+    const removed = clearLogs();
+    await recordAdminAction({
+        adminId: req.adminId,
+        action: 'LOGS_CLEAR',
+        details: { removed }
+    });
+    res.json({ success: true, removed });
+});
+
+// Turn log categories on or off at runtime, e.g. { "GAME_EVENTS": true }
+router.put('/logs/categories', async (req, res) => {
+    const changes = Object.entries(req.body || {});
+    const unknown = changes.filter(([category]) => !Object.prototype.hasOwnProperty.call(logCategories, category));
+    if (changes.length === 0 || unknown.length > 0) {
+        return res.status(400).json({ error: 'Unknown log category' });
+    }
+
+    const applied = Object.fromEntries(changes.filter(([category, enabled]) => setLogCategory(category, enabled)));
+    await recordAdminAction({
+        adminId: req.adminId,
+        action: 'LOG_CATEGORIES_UPDATE',
+        details: applied
+    });
+    res.json({ categories: logCategories });
+});
+
+// Current system settings
+router.get('/settings', (req, res) => {
+    res.json({ settings: getSettings() });
+});
+
+// Change system settings; only the keys sent are updated
+router.put('/settings', async (req, res) => {
+    try {
+        const result = await updateSettings(req.body, req.adminId);
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        await recordAdminAction({
+            adminId: req.adminId,
+            action: 'SETTINGS_UPDATE',
+            details: result.changed
+        });
+
+        // Let open pages update the site name and maintenance banner
+        req.app.get('io').emit('settingsUpdated', getPublicSettings());
+        res.json({ settings: result.settings });
+    } catch (error) {
+        log(`Error updating settings: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not update settings' });
+    }
+});
+
+// Recompute every rating from match history with the active rating system
+router.post('/ratings/recompute', async (req, res) => {
+    try {
+        const job = startRatingRecompute(req.adminId);
+        if (!job) {
+            return res.status(409).json({ error: 'A rating recompute is already running' });
+        }
+
+        await recordAdminAction({
+            adminId: req.adminId,
+            action: 'RATINGS_RECOMPUTE',
+            details: { ratingSystem: job.ratingSystem }
+        });
+        res.status(202).json({ job });
+    } catch (error) {
+        log(`Error starting rating recompute: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not start rating recompute' });
+    }
+});
+
+// Get the status of the last rating recompute
+router.get('/ratings/recompute', (req, res) => {
+    res.json({ job: getRatingRecomputeStatus() });
+});
+
+// Page through the audit log
+router.get('/audit-log', async (req, res) => {
+    try {
+        const { page = 1, limit = 50, adminId, targetUserId, action } = req.query;
+        const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+        const limitNum = Math.min(parseInt(limit, 10) || 50, 200); // Cap at 200
+
+        const { entries, total } = await getAuditLog({
+            page: pageNum,
+            limit: limitNum,
+            adminId: adminId ? parseInt(adminId, 10) : undefined,
+            targetUserId: targetUserId ? parseInt(targetUserId, 10) : undefined,
+            action
+        });
+
+        res.json({
+            entries,
+            total,
+            page: pageNum,
+            limit: limitNum,
+            totalPages: Math.max(Math.ceil(total / limitNum), 1)
+        });
+    } catch (error) {
+        log(`Error getting audit log: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not get audit log' });
+    }
+});
+
+module.exports = {
+    router,
+    isAdmin
+};
@@ -8,7 +8,9 @@ const passport = require('passport');
 const { log } = require('../config/logging');
 const config = require('../config/config');
 const prisma = require('../prisma/client');
-const { DEFAULT_RATING } = require('../utils/elo');
+const { getSetting } = require('../models/settings');
+const { getActiveBan } = require('../models/bans');
+const { initialUserRatings } = require('../models/ratings');
 
 const router = express.Router();
 
@@ -58,7 +60,8 @@ router.post('/register', async (req, res) => {
                 username,
                 password: hashedPassword,
                 email,
-                elo: DEFAULT_RATING
+                elo: getSetting('defaultElo'),
+                ratings: initialUserRatings(getSetting('defaultElo'))
             }
         });
         
@@ -107,8 +110,18 @@ router.post('/login', async (req, res) => {
             return res.status(401).json({ error: 'Invalid username or password' });
         }
         
+        const ban = await getActiveBan(user);
+        if (ban) {
+            log(`Rejected login of banned user ${username} (${user.id})`, 'info', 'AUTH_EVENTS');
+            return res.status(403).json({ error: 'Account banned', ...ban });
+        }
+        
         // Set user as logged in
         req.session.userId = user.id;
+        await prisma.user.update({
+            where: { id: user.id },
+            data: { lastLoginAt: new Date() }
+        });
         
         log(`User logged in: ${username} (${user.id})`, 'info', 'AUTH_EVENTS');
         res.json({
@@ -188,29 +201,60 @@ router.get('/google', (req, res) => {
     })(req, res);
 });
 
-router.get('/google/callback', passport.authenticate('google', {
-    failureRedirect: '/login.html?error=google-auth-failed',
-    scope: ['profile', 'email']
-}), (req, res) => {
-    // Successful authentication
-    if (req.user) {
-        // Set session userId explicitly
-        req.session.userId = req.user.id;
+/**
+ * Handle Google's OAuth callback
+ * The strategy rejects banned accounts; they are sent back to the login page
+ * with the ban details
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function googleCallback(req, res, next) {
+    passport.authenticate('google', (err, user, info) => {
+        if (err) {
+            log(`Google auth error: ${err.message}`, 'error', 'AUTH_EVENTS');
+            return res.redirect('/login.html?error=google-login-error');
+        }
         
-        // Save session before redirecting
-        req.session.save(err => {
-            if (err) {
-                log(`Session save error: ${err.message}`, 'error');
+        if (!user) {
+            if (info && info.ban) {
+                const params = new URLSearchParams({ error: 'banned', status: info.ban.banStatus });
+                if (info.ban.reason) params.set('reason', info.ban.reason);
+                if (info.ban.expiresAt) params.set('expires', new Date(info.ban.expiresAt).toISOString());
+                return res.redirect(`/login.html?${params}`);
+            }
+            const errorMsg = (info && info.message) || 'google-auth-failed';
+            log(`Google auth failed: ${errorMsg}`, 'warn', 'AUTH_EVENTS');
+            return res.redirect(`/login.html?error=${encodeURIComponent(errorMsg)}`);
+        }
+        
+        req.login(user, (loginErr) => {
+            if (loginErr) {
+                log(`Login error after Google auth: ${loginErr.message}`, 'error', 'AUTH_EVENTS');
                 return res.redirect('/login.html?error=session-error');
             }
-            log(`User logged in via Google: ${req.user.id}`, 'info', 'AUTH_EVENTS');
-            res.redirect('/dashboard.html');
+            
+            // Set session userId explicitly
+            req.session.userId = user.id;
+            prisma.user.update({
+                where: { id: user.id },
+                data: { lastLoginAt: new Date() }
+            }).catch(error => log(`Error updating last login: ${error.message}`, 'error', 'AUTH_EVENTS'));
+            
+            // Save session before redirecting
+            req.session.save(saveErr => {
+                if (saveErr) {
+                    log(`Session save error: ${saveErr.message}`, 'error');
+                    return res.redirect('/login.html?error=session-error');
+                }
+                log(`User logged in via Google: ${user.id}`, 'info', 'AUTH_EVENTS');
+                res.redirect('/dashboard.html');
+            });
         });
-    } else {
-        log('Google auth failed - no user object', 'error');
-        res.redirect('/login.html?error=google-auth-failed');
-    }
-});
+    })(req, res, next);
+}
+
+router.get('/google/callback', googleCallback);
 
 // Check Google authentication status
 router.get('/google/status', isAuthenticated, async (req, res) => {
@@ -262,5 +306,6 @@ router.post('/google/unlink', isAuthenticated, async (req, res) => {
 
 module.exports = {
     router,
-    isAuthenticated
+    isAuthenticated,
+    googleCallback
 }; 
\ No newline at end of file
@@ -0,0 +1,530 @@
+/**
+ * Friend Routes
+ * Handles friend requests, friend lists, blocking and duel challenges
+ */
+const express = require('express');
+const { log } = require('../config/logging');
+const { isAuthenticated } = require('./auth');
+const { isUserConnected } = require('../models/users');
+const { gameModes } = require('../models/game-modes');
+const { createRoom, getPlayerRoom, getRoomCreationBlock } = require('../models/rooms');
+const { createDuel, getDuel, findPendingDuel, removeDuel, serializeDuel } = require('../models/duels');
+const { emitToUser } = require('../socket/notifications');
+const prisma = require('../prisma/client');
+
+const router = express.Router();
+
+// Public user fields exposed through the friends API
+const userSelect = { id: true, username: true, elo: true };
+
+/**
+ * Get the signed-in user's ID
+ * @param {Object} req - Express request
+ * @returns {number} User ID
+ */
+function getSessionUserId(req) {
+    return parseInt(req.session.userId, 10);
+}
+
+/**
+ * Find the friendship row between two users in either direction
+ * @param {number} userId - First user ID
+ * @param {number} otherId - Second user ID
+ * @returns {Promise<Object|null>} The friendship, or null
+ */
+function findRelationship(userId, otherId) {
+    return prisma.friendship.findFirst({
+        where: {
+            OR: [
+                { senderId: userId, receiverId: otherId },
+                { senderId: otherId, receiverId: userId }
+            ]
+        }
+    });
+}
+
+/**
+ * Shape a user for friend API responses
+ * @param {Object} user - User with id, username and elo
+ * @returns {Object} Public user info with online status
+ */
+function formatUser(user) {
+    return {
+        userId: user.id,
+        username: user.username,
+        elo: user.elo,
+        online: isUserConnected(user.id)
+    };
+}
+
+// Get the current user's friends with online status
+router.get('/', isAuthenticated, async (req, res) => {
+    try {
+        const userId = getSessionUserId(req);
+
+        const friendships = await prisma.friendship.findMany({
+            where: {
+                status: 'accepted',
+                OR: [{ senderId: userId }, { receiverId: userId }]
+            },
+            include: {
+                sender: { select: userSelect },
+                receiver: { select: userSelect }
+            }
+        });
+
+        const friends = friendships.map(friendship => ({
+            friendshipId: friendship.id,
+            since: friendship.updatedAt,
+            ...formatUser(friendship.senderId === userId ? friendship.receiver : friendship.sender)
+        }));
+
+        // Online friends first, then alphabetical
+        friends.sort((a, b) => (b.online - a.online) || a.username.localeCompare(b.username));
+
+        res.json({ friends });
+    } catch (error) {
+        log(`Error fetching friends: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not fetch friends' });
+    }
+});
+
+// Get pending friend requests sent to and by the current user
+router.get('/requests', isAuthenticated, async (req, res) => {
+    try {
+        const userId = getSessionUserId(req);
+
+        const [incoming, outgoing] = await Promise.all([
+            prisma.friendship.findMany({
+                where: { receiverId: userId, status: 'pending' },
+                include: { sender: { select: userSelect } },
+                orderBy: { createdAt: 'desc' }
+            }),
+            prisma.friendship.findMany({
+                where: { senderId: userId, status: 'pending' },
+                include: { receiver: { select: userSelect } },
+                orderBy: { createdAt: 'desc' }
+            })
+        ]);
+
+        res.json({
+            incoming: incoming.map(request => ({
+                requestId: request.id,
+                from: formatUser(request.sender),
+                createdAt: request.createdAt
+            })),
+            outgoing: outgoing.map(request => ({
+                requestId: request.id,
+                to: formatUser(request.receiver),
+                createdAt: request.createdAt
+            }))
+        });
+    } catch (error) {
+        log(`Error fetching friend requests: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not fetch friend requests' });
+    }
+});
+
+// Send a friend request by username
+router.post('/request', isAuthenticated, async (req, res) => {
+    try {
+        const userId = getSessionUserId(req);
+        const username = (req.body.username || req.body.targetUsername || '').trim();
+
+        if (!username) {
+            return res.status(400).json({ error: 'Username is required' });
+        }
+
+        const target = await prisma.user.findUnique({
+            where: { username },
+            select: userSelect
+        });
+
+        if (!target) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (target.id === userId) {
+            return res.status(400).json({ error: 'You cannot send a friend request to yourself' });
+        }
+
+        const existing = await findRelationship(userId, target.id);
+        if (existing) {
+            if (existing.status === 'blocked') {
+                return res.status(403).json({ error: 'You cannot send a friend request to this user' });
+            }
+            if (existing.status === 'accepted') {
+                return res.status(400).json({ error: 'You are already friends' });
+            }
+            if (existing.status === 'pending') {
+                return res.status(400).json({ error: 'Friend request already exists' });
+            }
+
+            // A rejected request may be sent again
+            await prisma.friendship.delete({ where: { id: existing.id } });
+        }
+
+        const request = await prisma.friendship.create({
+            data: {
+                senderId: userId,
+                receiverId: target.id,
+                status: 'pending'
+            },
+            include: { sender: { select: userSelect } }
+        });
+
+        emitToUser(req.app.get('io'), target.id, 'friendRequestReceived', {
+            requestId: request.id,
+            from: formatUser(request.sender),
+            createdAt: request.createdAt
+        });
+
+        log(`User ${userId} sent a friend request to ${target.id}`, 'info', 'SOCIAL');
+
+        res.status(201).json({
+            requestId: request.id,
+            to: formatUser(target),
+            createdAt: request.createdAt
+        });
+    } catch (error) {
+        log(`Error sending friend request: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not send friend request' });
+    }
+});
+
+/**
+ * Answer a pending friend request addressed to the current user
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} status - New status: accepted or rejected
+ */
+async function respondToRequest(req, res, status) {
+    try {
+        const userId = getSessionUserId(req);
+        const requestId = parseInt(req.params.requestId, 10);
+
+        if (isNaN(requestId)) {
+            return res.status(400).json({ error: 'Invalid request ID' });
+        }
+
+        const request = await prisma.friendship.findUnique({
+            where: { id: requestId }
+        });
+
+        if (!request || request.status !== 'pending') {
+            return res.status(404).json({ error: 'Friend request not found' });
+        }
+
+        if (request.receiverId !== userId) {
+            return res.status(403).json({ error: 'Not authorized to respond to this request' });
+        }
+
+        const updated = await prisma.friendship.update({
+            where: { id: requestId },
+            data: { status },
+            include: {
+                sender: { select: userSelect },
+                receiver: { select: userSelect }
+            }
+        });
+
+        emitToUser(req.app.get('io'), updated.senderId, 'friendRequestUpdated', {
+            requestId,
+            status,
+            user: formatUser(updated.receiver)
+        });
+
+        log(`User ${userId} ${status} friend request ${requestId}`, 'info', 'SOCIAL');
+
+        res.json({
+            requestId,
+            status,
+            friend: status === 'accepted' ? formatUser(updated.sender) : null
+        });
+    } catch (error) {
+        log(`Error responding to friend request: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not respond to friend request' });
+    }
+}
+
+// Accept a friend request
+router.post('/requests/:requestId/accept', isAuthenticated, (req, res) => respondToRequest(req, res, 'accepted'));
+
+// Reject a friend request
+router.post('/requests/:requestId/reject', isAuthenticated, (req, res) => respondToRequest(req, res, 'rejected'));
+
+// Get users blocked by the current user
+router.get('/blocked', isAuthenticated, async (req, res) => {
+    try {
+        const userId = getSessionUserId(req);
+
+        const blocks = await prisma.friendship.findMany({
+            where: { senderId: userId, status: 'blocked' },
+            include: { receiver: { select: userSelect } }
+        });
+
+        res.json({
+            blocked: blocks.map(block => ({
+                userId: block.receiver.id,
+                username: block.receiver.username,
+                blockedAt: block.updatedAt
+            }))
+        });
+    } catch (error) {
+        log(`Error fetching blocked users: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not fetch blocked users' });
+    }
+});
+
+// Block a user by username, ending any friendship or pending request
+router.post('/block', isAuthenticated, async (req, res) => {
+    try {
+        const userId = getSessionUserId(req);
+        const username = (req.body.username || '').trim();
+
+        const target = username
+            ? await prisma.user.findUnique({ where: { username }, select: userSelect })
+            : null;
+
+        if (!target) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (target.id === userId) {
+            return res.status(400).json({ error: 'You cannot block yourself' });
+        }
+
+        const existing = await findRelationship(userId, target.id);
+        if (existing && existing.status === 'blocked' && existing.senderId === userId) {
+            return res.status(400).json({ error: 'User is already blocked' });
+        }
+
+        // The blocker always becomes the sender of the blocked row
+        await prisma.$transaction([
+            prisma.friendship.deleteMany({
+                where: {
+                    OR: [
+                        { senderId: userId, receiverId: target.id },
+                        { senderId: target.id, receiverId: userId }
+                    ]
+                }
+            }),
+            prisma.friendship.create({
+                data: {
+                    senderId: userId,
+                    receiverId: target.id,
+                    status: 'blocked'
+                }
+            })
+        ]);
+
+        // Tell the blocked user what changed without revealing the block
+        const io = req.app.get('io');
+        if (existing && existing.status === 'accepted') {
+            emitToUser(io, target.id, 'friendRemoved', { friendshipId: existing.id, userId });
+        } else if (existing && existing.status === 'pending' && existing.senderId === target.id) {
+            emitToUser(io, target.id, 'friendRequestUpdated', { requestId: existing.id, status: 'rejected' });
+        }
+
+        log(`User ${userId} blocked user ${target.id}`, 'info', 'SOCIAL');
+        res.json({ success: true, userId: target.id });
+    } catch (error) {
+        log(`Error blocking user: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not block user' });
+    }
+});
+
+// Unblock a user
+router.delete('/block/:userId', isAuthenticated, async (req, res) => {
+    try {
+        const userId = getSessionUserId(req);
+        const targetId = parseInt(req.params.userId, 10);
+
+        if (isNaN(targetId)) {
+            return res.status(400).json({ error: 'Invalid user ID' });
+        }
+
+        const { count } = await prisma.friendship.deleteMany({
+            where: { senderId: userId, receiverId: targetId, status: 'blocked' }
+        });
+
+        if (count === 0) {
+            return res.status(404).json({ error: 'User is not blocked' });
+        }
+
+        log(`User ${userId} unblocked user ${targetId}`, 'info', 'SOCIAL');
+        res.json({ success: true });
+    } catch (error) {
+        log(`Error unblocking user: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not unblock user' });
+    }
+});
+
+/**
+ * Find an accepted friendship between two users
+ * @param {number} userId - First user ID
+ * @param {number} otherId - Second user ID
+ * @returns {Promise<Object|null>} The friendship with both users, or null
+ */
+function findFriendship(userId, otherId) {
+    return prisma.friendship.findFirst({
+        where: {
+            status: 'accepted',
+            OR: [
+                { senderId: userId, receiverId: otherId },
+                { senderId: otherId, receiverId: userId }
+            ]
+        },
+        include: {
+            sender: { select: userSelect },
+            receiver: { select: userSelect }
+        }
+    });
+}
+
+// Challenge a friend to a duel
+router.post('/duel', isAuthenticated, async (req, res) => {
+    try {
+        const userId = getSessionUserId(req);
+        const friendId = parseInt(req.body.friendId, 10);
+        const gameMode = req.body.gameMode || 'classic';
+        const ranked = req.body.ranked !== false;
+
+        if (isNaN(friendId)) {
+            return res.status(400).json({ error: 'Invalid friend ID' });
+        }
+
+        if (!gameModes[gameMode]) {
+            return res.status(400).json({ error: 'Invalid game mode' });
+        }
+
+        const friendship = await findFriendship(userId, friendId);
+        if (!friendship) {
+            return res.status(404).json({ error: 'This person is not your friend' });
+        }
+
+        if (!isUserConnected(friendId)) {
+            return res.status(409).json({ error: 'Your friend is offline' });
+        }
+
+        const busyRoom = getPlayerRoom(userId) || getPlayerRoom(friendId);
+        if (busyRoom && busyRoom.status === 'playing') {
+            return res.status(409).json({ error: 'A player is already in a game' });
+        }
+
+        if (findPendingDuel(userId, friendId)) {
+            return res.status(400).json({ error: 'A duel challenge is already pending' });
+        }
+
+        const challenger = friendship.senderId === userId ? friendship.sender : friendship.receiver;
+        const io = req.app.get('io');
+
+        const duel = createDuel({ challengerId: userId, challengedId: friendId, gameMode, ranked }, (expired) => {
+            const payload = { duelId: expired.id };
+            emitToUser(io, expired.challengerId, 'duelExpired', payload);
+            emitToUser(io, expired.challengedId, 'duelExpired', payload);
+        });
+
+        emitToUser(io, friendId, 'duelInvite', {
+            ...serializeDuel(duel),
+            from: formatUser(challenger)
+        });
+
+        res.status(201).json(serializeDuel(duel));
+    } catch (error) {
+        log(`Error creating duel: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not send duel challenge' });
+    }
+});
+
+// Accept a duel challenge and open a private room for both players
+router.post('/duel/:duelId/accept', isAuthenticated, (req, res) => {
+    const userId = getSessionUserId(req);
+    const duel = getDuel(req.params.duelId);
+
+    if (!duel || duel.challengedId !== userId) {
+        return res.status(404).json({ error: 'Duel challenge not found' });
+    }
+
+    // Leave the challenge pending so it can still be accepted once rooms open up
+    const block = getRoomCreationBlock();
+    if (block) {
+        return res.status(503).json({
+            error: block === 'maintenance' ? 'Server is under maintenance' : 'Too many active games, try again later',
+            reason: block
+        });
+    }
+
+    removeDuel(duel.id);
+
+    const room = createRoom({
+        creatorId: duel.challengerId,
+        isPrivate: true,
+        gameMode: duel.gameMode,
+        maxPlayers: 2,
+        roomName: `Duel ${duel.id}`,
+        ranked: duel.ranked,
+        allowedPlayerIds: [duel.challengerId, duel.challengedId]
+    });
+
+    emitToUser(req.app.get('io'), duel.challengerId, 'duelAccepted', {
+        duelId: duel.id,
+        roomId: room.id
+    });
+
+    log(`User ${userId} accepted duel ${duel.id}, room ${room.id}`, 'info', 'SOCIAL');
+    res.json({ duelId: duel.id, roomId: room.id });
+});
+
+// Decline a duel challenge
+router.post('/duel/:duelId/decline', isAuthenticated, (req, res) => {
+    const userId = getSessionUserId(req);
+    const duel = getDuel(req.params.duelId);
+
+    if (!duel || duel.challengedId !== userId) {
+        return res.status(404).json({ error: 'Duel challenge not found' });
+    }
+
+    removeDuel(duel.id);
+    emitToUser(req.app.get('io'), duel.challengerId, 'duelDeclined', { duelId: duel.id });
+
+    log(`User ${userId} declined duel ${duel.id}`, 'info', 'SOCIAL');
+    res.json({ success: true });
+});
+
+// Remove a friend
+router.delete('/:friendshipId', isAuthenticated, async (req, res) => {
+    try {
+        const userId = getSessionUserId(req);
+        const friendshipId = parseInt(req.params.friendshipId, 10);
+
+        if (isNaN(friendshipId)) {
+            return res.status(400).json({ error: 'Invalid friendship ID' });
+        }
+
+        const friendship = await prisma.friendship.findUnique({
+            where: { id: friendshipId }
+        });
+
+        if (!friendship || friendship.status !== 'accepted') {
+            return res.status(404).json({ error: 'Friendship not found' });
+        }
+
+        if (friendship.senderId !== userId && friendship.receiverId !== userId) {
+            return res.status(403).json({ error: 'Not authorized to remove this friendship' });
+        }
+
+        await prisma.friendship.delete({ where: { id: friendshipId } });
+
+        const otherId = friendship.senderId === userId ? friendship.receiverId : friendship.senderId;
+        emitToUser(req.app.get('io'), otherId, 'friendRemoved', { friendshipId, userId });
+
+        log(`User ${userId} removed friend ${otherId}`, 'info', 'SOCIAL');
+        res.json({ success: true });
+    } catch (error) {
+        log(`Error removing friend: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not remove friend' });
+    }
+});
+
+module.exports = { router };
@@ -4,7 +4,8 @@
  */
 const express = require('express');
 const { log } = require('../config/logging');
-const { createRoom, getRoomById, rooms } = require('../models/rooms');
+const { createRoom, getRoomById, getRoomCreationBlock, rooms } = require('../models/rooms');
+const { gameModes } = require('../models/game-modes');
 const { isAuthenticated } = require('./auth');
 const prisma = require('../prisma/client');
 
@@ -13,25 +14,38 @@ const router = express.Router();
 // Create a new room
 router.post('/room', isAuthenticated, async (req, res) => {
     try {
-        const { gameMode, isPrivate, roomName } = req.body;
+        const { isPrivate, roomName, allowSpectators } = req.body;
+        const gameMode = req.body.gameMode || 'classic';
         const userId = req.session.userId;
         
+        if (!gameModes[gameMode]) {
+            return res.status(400).json({ error: 'Invalid game mode' });
+        }
+        
+        // No new rooms during maintenance or once the active game cap is reached
+        const block = getRoomCreationBlock();
+        if (block) {
+            return res.status(503).json({
+                error: block === 'maintenance' ? 'Server is under maintenance' : 'Too many active games, try again later',
+                reason: block
+            });
+        }
+        
         // Create room
         const room = createRoom({
             creatorId: userId,
             isPrivate: isPrivate || false,
-            gameMode: gameMode || 'classic',
-            roomName: roomName || ''
+            gameMode,
+            roomName: roomName || '',
+            allowSpectators: allowSpectators !== false
         });
         
         // Update user's last room
         await prisma.user.update({
             where: { id: userId },
-            data: { lastRoomId: room.id }
+            data: { lastRoom: room.id }
         });
         
-        log(`Room ${room.id} created by user ${userId}`, 'info', 'ROOM_EVENTS');
-        
         res.status(201).json({
             roomId: room.id,
             name: room.name,
@@ -63,6 +77,8 @@ router.get('/room/:roomId', async (req, res) => {
             status: room.status,
             playerCount: room.players.length,
             maxPlayers: room.maxPlayers,
+            allowSpectators: room.allowSpectators,
+            spectatorCount: room.spectators.length,
             players: room.players.map(p => ({
                 id: p.id,
                 username: p.username,
@@ -109,6 +125,8 @@ router.get('/rooms', async (req, res) => {
             status: room.status,
             playerCount: room.players.length,
             maxPlayers: room.maxPlayers,
+            allowSpectators: room.allowSpectators,
+            spectatorCount: room.spectators.length,
             createdAt: room.createdAt
         }));
         
@@ -6,7 +6,12 @@ const express = require('express');
 const { log } = require('../config/logging');
 const { isAuthenticated } = require('./auth');
 const { rooms } = require('../models/rooms');
-const { getPlayerRankings } = require('../utils/elo');
+const { getUserMatches, getUserStats } = require('../models/matches');
+const { getReplay } = require('../models/replays');
+const { gameModes } = require('../models/game-modes');
+const { ALL_MODES } = require('../models/user-stats');
+const { LEADERBOARD_PERIODS, getUserRatings, getLeaderboard } = require('../models/ratings');
+const { getRatingSystemName } = require('../utils/rating');
 const prisma = require('../prisma/client');
 
 const router = express.Router();
@@ -53,19 +58,13 @@ router.get('/user/:userId', async (req, res) => {
             eloRating: user.elo
         };
         
-        // Calculate additional stats
-        // Match counts need to be fetched from relationships in a real implementation
-        const wins = 0; // Placeholder
-        const losses = 0; // Placeholder
-        const totalGames = wins + losses;
-        const winRate = totalGames > 0 ? Math.round((wins / totalGames) * 100) : 0;
+        const [stats, ratings] = await Promise.all([getUserStats(userId), getUserRatings(userId)]);
         
         res.json({
             ...userProfile,
-            wins,
-            losses,
-            totalGames,
-            winRate
+            ...stats,
+            ratingSystem: getRatingSystemName(),
+            ratings
         });
     } catch (error) {
         log(`Error fetching user profile: ${error.message}`, 'error');
@@ -122,58 +121,31 @@ router.get('/user/:userId/matches', async (req, res) => {
             }
         }
         
-        // Get total count
-        const totalMatches = await prisma.match.count({
-            where: {
-                playerIds: {
-                    has: userId
-                },
-                status: 'completed'
-            }
-        });
-        
-        // Get paginated matches
-        const matches = await prisma.match.findMany({
-            where: {
-                playerIds: {
-                    has: userId
-                },
-                status: 'completed'
-            },
-            orderBy: {
-                endedAt: 'desc'
-            },
-            skip: (pageNum - 1) * limitNum,
-            take: limitNum,
-            include: {
-                winner: {
-                    select: {
-                        id: true,
-                        username: true
-                    }
-                }
-            }
+        const { matches, total: totalMatches } = await getUserMatches(userId, {
+            page: pageNum,
+            limit: limitNum
         });
         
         // Format matches for response
-        const formattedMatches = await Promise.all(matches.map(async match => {
-            // Get opponent info
-            const opponentId = match.playerIds.find(id => id !== userId);
-            const opponent = await prisma.user.findUnique({
-                where: { id: opponentId },
-                select: { id: true, username: true, eloRating: true }
-            });
+        const formattedMatches = matches.map(match => {
+            const won = match.winnerId === userId;
+            const opponent = match.player1Id === userId ? match.player2 : match.player1;
             
             return {
                 id: match.id,
                 gameMode: match.gameMode,
                 createdAt: match.createdAt,
-                endedAt: match.endedAt,
-                won: match.winnerId === userId,
-                opponent: opponent || { id: 'unknown', username: 'Unknown Player' },
-                eloChange: match.eloChanges?.[userId] || 0
+                endedAt: match.completedAt,
+                won,
+                winnerByDefault: match.winnerByDefault,
+                abandoned: match.abandonedBy === userId,
+                opponent: opponent
+                    ? { id: opponent.id, username: opponent.username, eloRating: opponent.elo }
+                    : { id: 'unknown', username: 'Unknown Player' },
+                eloChange: (won ? match.winnerEloChange : match.loserEloChange) || 0,
+                replayUrl: match.replay ? `/replay.html?match=${match.id}` : null
             };
-        }));
+        });
         
         res.json({
             matches: formattedMatches,
@@ -188,16 +160,77 @@ router.get('/user/:userId/matches', async (req, res) => {
     }
 });
 
+// Get the recorded replay of a match
+router.get('/match/:matchId/replay', async (req, res) => {
+    try {
+        const matchId = parseInt(req.params.matchId, 10);
+        if (isNaN(matchId)) {
+            return res.status(400).json({ error: 'Invalid match ID' });
+        }
+
+        const replay = await getReplay(matchId);
+        if (!replay) {
+            return res.status(404).json({ error: 'Replay not found' });
+        }
+
+        res.json(replay);
+    } catch (error) {
+        log(`Error fetching replay: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Could not fetch replay' });
+    }
+});
+
+/**
+ * Get the IDs of a user's accepted friends
+ * @param {number} userId - The user ID
+ * @returns {Promise<number[]>} Friend user IDs
+ */
+async function getFriendIds(userId) {
+    const friendships = await prisma.friendship.findMany({
+        where: {
+            status: 'accepted',
+            OR: [{ senderId: userId }, { receiverId: userId }]
+        },
+        select: { senderId: true, receiverId: true }
+    });
+    return friendships.map(f => (f.senderId === userId ? f.receiverId : f.senderId));
+}
+
 // Get user leaderboard
+// Query: gameMode ('all' or a game mode ID), period (all-time, monthly or
+// weekly), friends=true to rank only the caller and their friends, limit
 router.get('/users/leaderboard', async (req, res) => {
     try {
-        const { limit = 10 } = req.query;
-        const limitNum = Math.min(parseInt(limit, 10), 100); // Cap at 100
+        const { limit = 10, gameMode = ALL_MODES, period = 'all-time' } = req.query;
+        const limitNum = Math.min(parseInt(limit, 10) || 10, 100); // Cap at 100
+        const friendsOnly = req.query.friends === 'true';
         
-        const rankings = await getPlayerRankings(limitNum);
+        if (gameMode !== ALL_MODES && !gameModes[gameMode]) {
+            return res.status(400).json({ error: 'Invalid game mode' });
+        }
+        if (!LEADERBOARD_PERIODS.includes(period)) {
+            return res.status(400).json({ error: 'Invalid period' });
+        }
+        
+        const viewerId = req.session && req.session.userId ? parseInt(req.session.userId, 10) : null;
+        if (friendsOnly && !viewerId) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+        
+        const { rankings, me } = await getLeaderboard({
+            gameMode,
+            period,
+            userIds: friendsOnly ? [viewerId, ...(await getFriendIds(viewerId))] : undefined,
+            viewerId,
+            limit: limitNum
+        });
         
         res.json({
             rankings,
+            me,
+            gameMode,
+            period,
+            friendsOnly,
             limit: limitNum
         });
     } catch (error) {
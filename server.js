@@ -18,14 +18,18 @@ require('dotenv').config();
 
 // Import modules
 const config = require('./config/config');
-const { log, serverStats } = require('./config/logging');
+const { log } = require('./config/logging');
 const { rooms, userRooms } = require('./models/rooms');
 const { connectedUsers, addConnectedUser, removeConnectedUser } = require('./models/users');
-const { matchmakingQueue, setupMatchmakingInterval } = require('./socket/matchmaking');
-const { DEFAULT_RATING } = require('./utils/elo');
-const { router: authRouter, isAuthenticated } = require('./routes/auth');
+const { setupMatchmakingInterval, restoreMatchmakingQueue } = require('./socket/matchmaking');
+const { loadSettings, getSetting, getPublicSettings } = require('./models/settings');
+const { getActiveBan } = require('./models/bans');
+const { initialUserRatings } = require('./models/ratings');
+const { router: authRouter, isAuthenticated, googleCallback } = require('./routes/auth');
 const { router: userRouter } = require('./routes/user');
 const { router: roomRouter } = require('./routes/room');
+const { router: friendsRouter } = require('./routes/friends');
+const { router: adminRouter } = require('./routes/admin');
 const { initSocketHandlers } = require('./socket/connection');
 const prisma = require('./prisma/client');
 
@@ -34,15 +38,14 @@ const app = express();
 const httpServer = createServer(app);
 const io = new Server(httpServer);
 
+// Let routes push socket notifications
+app.set('io', io);
+
 // Express middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 
-// Serve static files
-app.use(express.static(path.join(__dirname)));
-app.use('/images', express.static(path.join(__dirname, 'images')));
-
 // Ensure db directory exists
 const dbDir = path.join(__dirname, config.paths.dbDir);
 if (!fs.existsSync(dbDir)) {
@@ -50,8 +53,17 @@ if (!fs.existsSync(dbDir)) {
     log('Created db directory for sessions', 'info');
 }
 
-// Session configuration
-app.use(session({
+// Serve the client only: the pages and stylesheet at the top level plus the
+// js and images folders. Server code, config and the db directory (database,
+// sessions, log files) stay unreachable whatever the case or encoding of the URL
+const topLevelAssets = /^\/([\w-]+\.(html|css))?$/i;
+const serveTopLevel = express.static(path.join(__dirname));
+app.use((req, res, next) => (topLevelAssets.test(req.path) ? serveTopLevel(req, res, next) : next()));
+app.use('/js', express.static(path.join(__dirname, 'js')));
+app.use('/images', express.static(path.join(__dirname, 'images')));
+
+// Session configuration, shared with socket.io so sockets know their user
+const sessionMiddleware = session({
     store: new SQLiteStore({ 
         db: path.join(config.paths.dbDir, 'sessions.sqlite')
     }),
@@ -59,7 +71,9 @@ app.use(session({
     resave: false,
     saveUninitialized: false,
     cookie: config.session.cookie
-}));
+});
+app.use(sessionMiddleware);
+io.engine.use(sessionMiddleware);
 
 // Configure Passport
 app.use(passport.initialize());
@@ -81,6 +95,21 @@ passport.deserializeUser(async (id, done) => {
     }
 });
 
+/**
+ * Finish a Google login, turning away banned accounts
+ * Runs in the strategy so every Google callback route enforces bans
+ * @param {Object} user - The signed-in user
+ * @param {Function} done - Passport verify callback
+ */
+async function completeGoogleLogin(user, done) {
+    const ban = await getActiveBan(user);
+    if (ban) {
+        log(`Rejected Google login of banned user ${user.id}`, 'info', 'AUTH_EVENTS');
+        return done(null, false, { message: 'Account banned', ban });
+    }
+    return done(null, user);
+}
+
 // Google OAuth strategy
 passport.use(new GoogleStrategy({
     clientID: config.auth.google.clientID,
@@ -117,13 +146,13 @@ passport.use(new GoogleStrategy({
             });
             
             delete req.session.linkGoogleToUserId;
-            return done(null, user);
+            return completeGoogleLogin(user, done);
         }
         
         // Handle normal login/registration
         if (user) {
             // User found, log them in
-            return done(null, user);
+            return completeGoogleLogin(user, done);
         } else {
             // Check if a user with this email already exists
             let existingUserByEmail = null;
@@ -149,7 +178,8 @@ passport.use(new GoogleStrategy({
                         googleId: profile.id,
                         username,
                         email: profile.emails ? profile.emails[0].value : null,
-                        elo: DEFAULT_RATING,
+                        elo: getSetting('defaultElo'),
+                        ratings: initialUserRatings(getSetting('defaultElo')),
                         // Ensure we have a password field, even if it's a placeholder
                         password: Math.random().toString(36).slice(-10)
                     }
@@ -158,7 +188,7 @@ passport.use(new GoogleStrategy({
                 log(`New user created via Google: ${username}`, 'info', 'AUTH_EVENTS');
             }
             
-            return done(null, user);
+            return completeGoogleLogin(user, done);
         }
     } catch (error) {
         log(`Google auth error: ${error.message}`, 'error', 'AUTH_EVENTS');
@@ -179,39 +209,8 @@ app.get('/auth/google', (req, res, next) => {
     })(req, res, next);
 });
 
-// Add explicit redirect for /auth/google/callback to /api/auth/google/callback
-app.get('/auth/google/callback', (req, res, next) => {
-    passport.authenticate('google', {
-        failureRedirect: '/login.html?error=google-auth-failed',
-        scope: ['profile', 'email']
-    }, (err, user, info) => {
-        if (err) {
-            log(`Google auth error: ${err.message}`, 'error');
-            return res.redirect('/login.html?error=google-login-error');
-        }
-        
-        if (!user) {
-            const errorMsg = info?.message || 'Unknown authentication failure';
-            log(`Google auth failed: ${errorMsg}`, 'warn');
-            return res.redirect(`/login.html?error=${encodeURIComponent(errorMsg)}`);
-        }
-        
-        // Log in the user by setting the session
-        req.login(user, (loginErr) => {
-            if (loginErr) {
-                log(`Login error after Google auth: ${loginErr.message}`, 'error');
-                return res.redirect('/login.html?error=session-error');
-            }
-            
-            // Set session userId
-            req.session.userId = user.id;
-            log(`Google auth successful for user ID: ${user.id}`, 'info');
-            
-            // Redirect to dashboard
-            res.redirect('/dashboard.html');
-        });
-    })(req, res, next);
-});
+// Google redirects here with the default callback URL
+app.get('/auth/google/callback', googleCallback);
 
 // Add explicit redirect for /api/signup to /api/register for compatibility
 app.post('/api/signup', (req, res) => {
@@ -226,6 +225,9 @@ app.use('/api', userRouter); // For /api/users/count
 // Room routes
 app.use('/api/room', roomRouter);
 
+// Friend routes
+app.use('/api/friends', friendsRouter);
+
 // Additional endpoints for backward compatibility
 app.post('/api/user/clear-last-room', isAuthenticated, async (req, res) => {
     try {
@@ -241,45 +243,23 @@ app.post('/api/user/clear-last-room', isAuthenticated, async (req, res) => {
     }
 });
 
-// Admin check middleware
-const isAdmin = async (req, res, next) => {
-    try {
-        if (!req.session || !req.session.userId) {
-            return res.status(401).json({ error: 'Not authenticated' });
-        }
-        
-        const userId = parseInt(req.session.userId, 10);
-        const user = await prisma.user.findUnique({
-            where: { id: userId },
-            select: { role: true }
-        });
-        
-        if (!user || user.role !== 'ADMIN') {
-            return res.status(403).json({ error: 'Not authorized' });
-        }
-        
-        next();
-    } catch (error) {
-        log(`Admin check error: ${error.message}`, 'error');
-        res.status(500).json({ error: 'Server error' });
-    }
-};
+// Site settings every page may read (name, maintenance banner)
+app.get('/api/settings', (req, res) => {
+    res.json(getPublicSettings());
+});
 
 // Admin routes
-app.get('/api/admin/stats', isAdmin, (req, res) => {
-    res.json({
-        serverStats,
-        rooms: rooms.size,
-        users: connectedUsers.size,
-        matchmakingQueue: matchmakingQueue.size
-    });
-});
+app.use('/api/admin', adminRouter);
 
 // Initialize socket handlers
 initSocketHandlers(io);
 
-// Start matchmaking system
+// Apply the settings saved from the admin console
+loadSettings();
+
+// Start matchmaking system with any players queued before the last restart
 setupMatchmakingInterval();
+restoreMatchmakingQueue();
 
 // Start server
 const PORT = config.server.port;
@@ -0,0 +1,118 @@
+/**
+ * Admin Socket Handler
+ * Lets admins watch live games without appearing in the room and tail the
+ * server log
+ */
+const { log, logEvents, matchesLogFilter, LOG_LEVELS } = require('../config/logging');
+const { getRoomById } = require('../models/rooms');
+const { getSnapshot } = require('../models/simulation');
+const prisma = require('../prisma/client');
+
+// Sockets tailing the log, mapped to their filters
+const logSubscribers = new Map();
+
+// Forward every new log entry to the tails whose filter it matches
+logEvents.on('entry', (entry) => {
+    for (const [socket, filter] of logSubscribers) {
+        if (matchesLogFilter(entry, filter)) {
+            socket.emit('logEntry', entry);
+        }
+    }
+});
+
+/**
+ * Check the socket's user is an admin, reading the role fresh so a demoted
+ * admin loses access right away
+ * @param {Object} socket - Socket.io socket instance
+ * @returns {Promise<boolean>} Whether the user is an admin
+ */
+async function isAdminSocket(socket) {
+    if (!socket.data.userId) return false;
+
+    const user = await prisma.user.findUnique({
+        where: { id: socket.data.userId },
+        select: { role: true }
+    });
+    return Boolean(user && user.role === 'ADMIN');
+}
+
+/**
+ * Set up admin socket events
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} io - Socket.io server instance
+ */
+function setupAdminEvents(socket, io) {
+    // Join a room's broadcasts as a hidden spectator: the admin receives every
+    // game update but is not added to the room's players or spectators
+    socket.on('adminSpectate', async (data = {}) => {
+        try {
+            if (!(await isAdminSocket(socket))) {
+                socket.emit('error', { message: 'not_authorized' });
+                return;
+            }
+
+            const room = data.roomId ? getRoomById(data.roomId) : null;
+            if (!room) {
+                socket.emit('error', { message: 'room_not_found' });
+                return;
+            }
+
+            if (socket.data.spectatingRoomId && socket.data.spectatingRoomId !== room.id) {
+                socket.leave(socket.data.spectatingRoomId);
+            }
+            socket.join(room.id);
+            socket.data.spectatingRoomId = room.id;
+
+            socket.emit('adminSpectating', {
+                roomId: room.id,
+                status: room.status,
+                gameMode: room.gameMode,
+                gameState: room.status === 'waiting' ? null : getSnapshot(room)
+            });
+
+            log(`Admin ${socket.data.userId} spectating room ${room.id}`, 'info', 'GAME_EVENTS');
+        } catch (error) {
+            log(`Admin spectate error: ${error.message}`, 'error', 'GAME_EVENTS');
+            socket.emit('error', { message: 'spectate_failed' });
+        }
+    });
+
+    socket.on('adminStopSpectating', () => {
+        const roomId = socket.data.spectatingRoomId;
+        if (!roomId) return;
+
+        socket.leave(roomId);
+        socket.data.spectatingRoomId = null;
+        log(`Admin ${socket.data.userId} stopped spectating room ${roomId}`, 'info', 'GAME_EVENTS');
+    });
+
+    // Stream new log entries matching a filter; subscribing again replaces the filter
+    socket.on('adminLogSubscribe', async (data = {}) => {
+        try {
+            if (!(await isAdminSocket(socket))) {
+                socket.emit('error', { message: 'not_authorized' });
+                return;
+            }
+
+            logSubscribers.set(socket, {
+                level: LOG_LEVELS.includes(data.level) ? data.level : undefined,
+                category: data.category || undefined,
+                search: data.search || undefined
+            });
+        } catch (error) {
+            log(`Admin log subscribe error: ${error.message}`, 'error', 'AUTH_EVENTS');
+        }
+    });
+
+    socket.on('adminLogUnsubscribe', () => {
+        logSubscribers.delete(socket);
+    });
+
+    socket.on('disconnect', () => {
+        logSubscribers.delete(socket);
+    });
+}
+
+module.exports = {
+    setupAdminEvents
+};
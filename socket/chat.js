@@ -0,0 +1,101 @@
+/**
+ * Chat Socket Handler
+ * Room chat between players, with quick-chat presets and muting
+ */
+const { log } = require('../config/logging');
+const { getPlayerRoom } = require('../models/rooms');
+const { QUICK_CHAT_PRESETS, addChatMessage, getChatHistory } = require('../models/chat');
+const { emitToRoom } = require('./spectators');
+
+/**
+ * Send a player the room's chat history, leaving out anyone they muted
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} room - The room object
+ */
+function sendChatHistory(socket, room) {
+    const player = room.players.find(p => p.id === socket.data.userId);
+    const mutedUserIds = player ? player.mutedUserIds : [];
+
+    socket.emit('chatHistory', {
+        roomId: room.id,
+        messages: getChatHistory(room, { mutedUserIds }),
+        presets: QUICK_CHAT_PRESETS,
+        mutedUserIds
+    });
+}
+
+/**
+ * Validate and broadcast a chat message from a player
+ * Players who muted the sender don't receive it
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} content - { text } or { preset }
+ */
+function handleChatMessage(socket, io, content) {
+    const userId = socket.data.userId;
+    const room = userId ? getPlayerRoom(userId) : null;
+    if (!room) {
+        socket.emit('error', { message: 'not_in_room' });
+        return;
+    }
+
+    const sender = room.players.find(p => p.id === userId);
+    const { message, error } = addChatMessage(room, sender, content);
+    if (error) {
+        socket.emit('chatError', { error });
+        return;
+    }
+
+    const mutedBy = room.players
+        .filter(p => p.mutedUserIds.includes(userId) && p.socketId)
+        .map(p => p.socketId);
+    emitToRoom(io, room, 'chatMessage', message, mutedBy);
+}
+
+/**
+ * Set up chat socket events
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} io - Socket.io server instance
+ */
+function setupChatEvents(socket, io) {
+    socket.on('sendChat', (data = {}) => {
+        handleChatMessage(socket, io, { text: data.text });
+    });
+
+    socket.on('sendQuickChat', (data = {}) => {
+        handleChatMessage(socket, io, { preset: data.preset });
+    });
+
+    // Mute or unmute another player in the room; without a user ID the
+    // opponent is meant
+    socket.on('setMuted', (data = {}) => {
+        const userId = socket.data.userId;
+        const room = userId ? getPlayerRoom(userId) : null;
+        if (!room) {
+            socket.emit('error', { message: 'not_in_room' });
+            return;
+        }
+
+        const player = room.players.find(p => p.id === userId);
+        const target = data.userId
+            ? room.players.find(p => p.id === data.userId && p.id !== userId)
+            : room.players.find(p => p.id !== userId);
+        if (!target) {
+            socket.emit('chatError', { error: 'player_not_found' });
+            return;
+        }
+
+        player.mutedUserIds = player.mutedUserIds.filter(id => id !== target.id);
+        if (data.muted !== false) {
+            player.mutedUserIds.push(target.id);
+        }
+
+        socket.emit('muteList', { mutedUserIds: player.mutedUserIds });
+        log(`Player ${userId} ${data.muted !== false ? 'muted' : 'unmuted'} ${target.id} in room ${room.id}`, 'info', 'ROOM_EVENTS', { userId, roomId: room.id });
+    });
+}
+
+module.exports = {
+    setupChatEvents,
+    sendChatHistory
+};
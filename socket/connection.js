@@ -4,67 +4,136 @@
  */
 const { log } = require('../config/logging');
 const { addConnectedUser, removeConnectedUser, isUserConnected } = require('../models/users');
-const { getPlayerRoom, markPlayerDisconnected } = require('../models/rooms');
-const { addToMatchmaking, removeFromMatchmaking } = require('./matchmaking');
+const {
+    roomEvents,
+    getRoomById,
+    getPlayerRoom,
+    addPlayerToRoom,
+    removePlayerFromRoom,
+    getRoomHostId,
+    setPlayerReady,
+    canStartGame,
+    getPlayerList,
+    markPlayerDisconnected,
+    markPlayerReconnected,
+    abandonGame
+} = require('../models/rooms');
+const { initMatchmaking, addToMatchmaking, removeFromMatchmaking, scheduleQueueRemoval, respondToMatch } = require('./matchmaking');
+const { setupGameEvents, setupRoomLifecycleEvents, startGame, resumeGame } = require('./game');
+const { setupAdminEvents } = require('./admin');
+const { setupSpectatorEvents, emitToRoom, stopSpectating } = require('./spectators');
+const { setupChatEvents, sendChatHistory } = require('./chat');
+const { getActiveBan, checkUserBan } = require('../models/bans');
+const { getSetting } = require('../models/settings');
 const prisma = require('../prisma/client');
 
+// Events anonymous sockets may send; everything else needs a logged-in session
+const PUBLIC_EVENTS = new Set(['ping', 'checkRoom']);
+const MATCHMAKING_EVENTS = new Set(['joinMatchmaking', 'leaveMatchmaking', 'acceptMatch', 'declineMatch']);
+
+/**
+ * Handshake middleware that identifies the socket's user from the
+ * express-session cookie shared through io.engine
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Function} next - Middleware callback
+ */
+async function authenticateSocket(socket, next) {
+    const session = socket.request.session;
+    const userId = session ? parseInt(session.userId, 10) : NaN;
+    if (isNaN(userId)) {
+        return next();
+    }
+    
+    try {
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            select: { id: true, username: true, banStatus: true, banExpiration: true, banReason: true }
+        });
+        
+        // Banned users can't open a socket at all
+        const ban = await getActiveBan(user);
+        if (ban) {
+            const error = new Error('banned');
+            error.data = ban;
+            return next(error);
+        }
+        
+        if (user) {
+            socket.data.userId = user.id;
+            socket.data.username = user.username;
+            socket.data.authenticated = true;
+        }
+        next();
+    } catch (error) {
+        log(`Socket authentication error: ${error.message}`, 'error', 'AUTH_EVENTS');
+        next(new Error('Authentication failed'));
+    }
+}
+
+/**
+ * Reject game and matchmaking events from sockets without a session user
+ * @param {Object} socket - Socket.io socket instance
+ */
+function requireAuthentication(socket) {
+    socket.use(([event], next) => {
+        if (socket.data.authenticated || PUBLIC_EVENTS.has(event)) {
+            return next();
+        }
+        
+        log(`Rejected '${event}' from unauthenticated socket ${socket.id}`, 'debug', 'AUTH_EVENTS');
+        if (MATCHMAKING_EVENTS.has(event)) {
+            socket.emit('matchmakingError', { error: 'Not authenticated' });
+        } else {
+            socket.emit('error', { message: 'not_authenticated' });
+        }
+    });
+}
+
+/**
+ * Drop events whose payload is not an object, e.g. a client emitting null
+ * Handlers can then read fields without guarding against non-objects;
+ * events sent without a payload or with only an acknowledgement still pass
+ * @param {Object} socket - Socket.io socket instance
+ */
+function rejectMalformedPayloads(socket) {
+    socket.use(([event, data], next) => {
+        if (event === 'ping' || data === undefined || typeof data === 'function' ||
+            (data !== null && typeof data === 'object' && !Array.isArray(data))) {
+            return next();
+        }
+        
+        log(`Rejected '${event}' with a malformed payload from socket ${socket.id}`, 'debug', 'CONNECTIONS');
+        socket.emit('error', { message: 'invalid_payload' });
+    });
+}
+
 /**
  * Initialize socket connection handlers
  * @param {Object} io - Socket.io server instance
  */
 function initSocketHandlers(io) {
+    setupRoomLifecycleEvents(io);
+    setupLobbyEvents(io);
+    initMatchmaking(io);
+    io.use(authenticateSocket);
+    
     // Track online user count for broadcasting
     let onlineUserCount = 0;
     
     io.on('connection', (socket) => {
+        const userId = socket.data.userId || null;
+        
         // Add to connected users
-        addConnectedUser(socket.id);
+        addConnectedUser(socket.id, userId);
         onlineUserCount++;
         
         // Broadcast updated user count
         io.emit('userCountUpdate', { count: onlineUserCount });
         
-        log(`Socket connected: ${socket.id}`, 'debug', 'CONNECTIONS');
+        log(`Socket connected: ${socket.id}${userId ? ` as ${socket.data.username} (${userId})` : ' (anonymous)'}`, 'debug', 'CONNECTIONS', { userId });
         
-        // Handle authentication
-        socket.on('authenticate', async (data, callback) => {
-            try {
-                // Validate session token
-                if (!data || !data.token) {
-                    if (callback) callback({ success: false, error: 'No authentication token provided' });
-                    return;
-                }
-                
-                // Find session
-                const session = await prisma.session.findUnique({
-                    where: { id: data.token },
-                    include: { user: true }
-                });
-                
-                if (!session || !session.user) {
-                    if (callback) callback({ success: false, error: 'Invalid session' });
-                    return;
-                }
-                
-                // Store user data on socket
-                socket.data.userId = session.user.id;
-                socket.data.username = session.user.username;
-                socket.data.authenticated = true;
-                
-                log(`Socket ${socket.id} authenticated as ${session.user.username} (${session.user.id})`, 'info', 'CONNECTIONS');
-                
-                if (callback) callback({ 
-                    success: true, 
-                    user: {
-                        id: session.user.id,
-                        username: session.user.username
-                    }
-                });
-            } catch (error) {
-                log(`Authentication error: ${error.message}`, 'error', 'AUTH_EVENTS');
-                if (callback) callback({ success: false, error: 'Authentication failed' });
-            }
-        });
+        requireAuthentication(socket);
+        rejectMalformedPayloads(socket);
         
         // Room-related events
         setupRoomEvents(socket, io);
@@ -75,6 +144,15 @@ function initSocketHandlers(io) {
         // Game-related events
         setupGameEvents(socket, io);
         
+        // Spectator events
+        setupSpectatorEvents(socket, io);
+        
+        // Room chat events
+        setupChatEvents(socket, io);
+        
+        // Admin console events
+        setupAdminEvents(socket, io);
+        
         // Handle disconnection
         socket.on('disconnect', () => {
             const userId = socket.data.userId;
@@ -82,23 +160,28 @@ function initSocketHandlers(io) {
             // Handle room-related disconnection if user was in a room
             if (userId) {
                 const room = getPlayerRoom(userId);
-                if (room) {
+                const player = room && room.players.find(p => p.id === userId);
+                // Ignore stale sockets when the player already reconnected elsewhere
+                if (room && (!player.socketId || player.socketId === socket.id)) {
                     markPlayerDisconnected(room.id, userId);
                     socket.to(room.id).emit('player:disconnected', { userId });
+                    emitPlayerList(io, room);
                 }
-                
-                // Remove from matchmaking if in queue
-                removeFromMatchmaking(userId);
             }
             
             // Remove from connected users
             removeConnectedUser(socket.id, userId);
             
+            // Queued players keep their place for a while after their last socket closes
+            if (userId && !isUserConnected(userId)) {
+                scheduleQueueRemoval(userId);
+            }
+            
             // Update counter and broadcast
             if (onlineUserCount > 0) onlineUserCount--;
             io.emit('userCountUpdate', { count: onlineUserCount });
             
-            log(`Socket disconnected: ${socket.id}${userId ? ` (${userId})` : ''}`, 'debug', 'CONNECTIONS');
+            log(`Socket disconnected: ${socket.id}${userId ? ` (${userId})` : ''}`, 'debug', 'CONNECTIONS', { userId });
         });
         
         // Handle ping/heartbeat
@@ -108,6 +191,72 @@ function initSocketHandlers(io) {
     });
 }
 
+/**
+ * Tell rooms when a player was removed outside a socket handler, e.g. a
+ * disconnected player losing their seat
+ * @param {Object} io - Socket.io server instance
+ */
+function setupLobbyEvents(io) {
+    roomEvents.on('playerRemoved', ({ room, player, wasHost }) => {
+        io.to(room.id).emit('playerLeft', {
+            userId: player.id,
+            username: player.username,
+            isHost: wasHost
+        });
+        
+        if (getRoomById(room.id)) {
+            emitPlayerList(io, room);
+        }
+    });
+}
+
+/**
+ * Broadcast the lobby player list of a room
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} room - The room object
+ */
+function emitPlayerList(io, room) {
+    emitToRoom(io, room, 'playerList', {
+        players: getPlayerList(room),
+        gameMode: room.gameMode,
+        status: room.status,
+        allowSpectators: room.allowSpectators,
+        spectatorCount: room.spectators.length
+    });
+}
+
+/**
+ * Remove a socket's player from their room, forfeiting a running game
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} room - The room object
+ */
+function leaveCurrentRoom(socket, io, room) {
+    const userId = socket.data.userId;
+    const player = room.players.find(p => p.id === userId);
+    if (!player) return;
+
+    const isHost = getRoomHostId(room) === userId;
+
+    // Leaving a running game abandons it and hands the win to the opponent
+    if (room.status === 'playing') {
+        abandonGame(room.id, userId);
+    }
+
+    socket.leave(room.id);
+    removePlayerFromRoom(room.id, userId);
+
+    socket.to(room.id).emit('playerLeft', {
+        userId,
+        username: player.username,
+        isHost
+    });
+
+    if (getRoomById(room.id)) {
+        emitPlayerList(io, room);
+    }
+}
+
 /**
  * Set up room-related socket events
  * @param {Object} socket - Socket.io socket instance
@@ -115,26 +264,141 @@ function initSocketHandlers(io) {
  */
 function setupRoomEvents(socket, io) {
     // Check if room exists
-    socket.on('checkRoom', (data) => {
-        // Implementation handled by client-side
-        socket.emit('roomCheckResult', { 
-            exists: true, 
-            roomId: data.roomId 
+    socket.on('checkRoom', (data = {}) => {
+        const room = data.roomId ? getRoomById(data.roomId) : null;
+        socket.emit('roomCheckResult', {
+            exists: !!room,
+            roomId: data.roomId,
+            status: room ? room.status : null
         });
     });
     
     // Join room
-    socket.on('joinRoom', (data) => {
-        // Implementation handled by client-side
-        socket.emit('roomJoined', { 
-            success: true, 
-            roomId: data.roomId 
+    socket.on('joinRoom', (data = {}) => {
+        const userId = socket.data.userId;
+        if (!userId) {
+            socket.emit('error', { message: 'not_authenticated' });
+            return;
+        }
+        
+        const room = data.roomId ? getRoomById(data.roomId) : null;
+        if (!room) {
+            socket.emit('error', { message: 'room_not_found' });
+            return;
+        }
+        
+        // Duel rooms are reserved for the two invited friends
+        if (room.allowedPlayerIds && !room.allowedPlayerIds.includes(userId)) {
+            socket.emit('error', { message: 'not_invited' });
+            return;
+        }
+        
+        // Stop watching and leave any other room first
+        stopSpectating(socket, io);
+        const previousRoom = getPlayerRoom(userId);
+        if (previousRoom && previousRoom.id !== room.id) {
+            leaveCurrentRoom(socket, io, previousRoom);
+        }
+        
+        const existingPlayer = room.players.find(p => p.id === userId);
+        if (!existingPlayer) {
+            if (room.status !== 'waiting') {
+                socket.emit('error', { message: 'game_already_started' });
+                return;
+            }
+            
+            const added = addPlayerToRoom(room.id, {
+                id: userId,
+                username: socket.data.username || data.username,
+                socketId: socket.id
+            });
+            if (!added) {
+                socket.emit('error', { message: 'room_full' });
+                return;
+            }
+        } else if (room.status === 'playing') {
+            resumeGame(socket, io, room);
+            sendChatHistory(socket, room);
+            emitPlayerList(io, room);
+            return;
+        } else {
+            markPlayerReconnected(room.id, userId, socket.id);
+        }
+        
+        socket.join(room.id);
+        
+        const player = room.players.find(p => p.id === userId);
+        socket.emit('roomJoined', {
+            success: true,
+            roomId: room.id,
+            gameMode: room.gameMode,
+            ranked: room.ranked,
+            side: player.side,
+            isHost: getRoomHostId(room) === userId
         });
+        sendChatHistory(socket, room);
+        
+        emitPlayerList(io, room);
+    });
+    
+    // Toggle ready state while waiting in the lobby
+    socket.on('toggleReady', () => {
+        const userId = socket.data.userId;
+        const room = userId ? getPlayerRoom(userId) : null;
+        if (!room) {
+            socket.emit('error', { message: 'not_in_room' });
+            return;
+        }
+        
+        const player = room.players.find(p => p.id === userId);
+        if (!setPlayerReady(room.id, userId, !player.isReady)) {
+            socket.emit('error', { message: 'game_already_started' });
+            return;
+        }
+        
+        emitPlayerList(io, room);
+    });
+    
+    // Start the game (host only, once everyone is ready)
+    socket.on('startGame', () => {
+        const userId = socket.data.userId;
+        const room = userId ? getPlayerRoom(userId) : null;
+        if (!room) {
+            socket.emit('error', { message: 'not_in_room' });
+            return;
+        }
+        
+        if (getRoomHostId(room) !== userId) {
+            socket.emit('error', { message: 'only_host_can_start_game' });
+            return;
+        }
+        
+        if (room.status !== 'waiting') {
+            socket.emit('error', { message: 'game_already_started' });
+            return;
+        }
+        
+        if (room.players.length < room.maxPlayers) {
+            socket.emit('error', { message: 'need_two_players' });
+            return;
+        }
+        
+        if (!canStartGame(room)) {
+            socket.emit('error', { message: 'not_all_players_ready' });
+            return;
+        }
+        
+        startGame(io, room);
+        emitPlayerList(io, room);
     });
     
     // Leave room
     socket.on('leaveRoom', () => {
-        // Implementation handled by client-side
+        const userId = socket.data.userId;
+        const room = userId ? getPlayerRoom(userId) : null;
+        if (!room) return;
+        
+        leaveCurrentRoom(socket, io, room);
     });
 }
 
@@ -145,18 +409,35 @@ function setupRoomEvents(socket, io) {
  */
 function setupMatchmakingEvents(socket, io) {
     // Join matchmaking queue
-    socket.on('joinMatchmaking', (data) => {
+    socket.on('joinMatchmaking', async (data = {}) => {
         const userId = socket.data.userId;
         if (!userId) {
             socket.emit('matchmakingError', { error: 'Not authenticated' });
             return;
         }
         
-        const success = addToMatchmaking(userId, data.preferences || {});
+        if (getSetting('maintenanceMode')) {
+            socket.emit('matchmakingError', { error: 'Server is under maintenance', maintenance: true });
+            return;
+        }
+        
+        try {
+            const ban = await checkUserBan(userId);
+            if (ban) {
+                socket.emit('matchmakingError', { error: 'Account banned', ...ban });
+                return;
+            }
+        } catch (error) {
+            log(`Ban check error for user ${userId}: ${error.message}`, 'error', 'MATCHMAKING');
+            socket.emit('matchmakingError', { error: 'Could not join matchmaking queue' });
+            return;
+        }
+        
+        const success = await addToMatchmaking(userId, data.preferences || {});
         socket.emit('matchmakingStatus', { 
             success, 
-            status: 'queued',
-            message: 'Added to matchmaking queue' 
+            status: success ? 'queued' : 'error',
+            message: success ? 'Added to matchmaking queue' : 'Could not join matchmaking queue'
         });
     });
     
@@ -172,30 +453,18 @@ function setupMatchmakingEvents(socket, io) {
             message: 'Removed from matchmaking queue' 
         });
     });
-}
-
-/**
- * Set up game-related socket events
- * @param {Object} socket - Socket.io socket instance
- * @param {Object} io - Socket.io server instance
- */
-function setupGameEvents(socket, io) {
-    // Handle unit spawning
-    socket.on('spawnUnit', (data) => {
-        // Implementation handled by client-side
-        socket.to(data.roomId).emit('unitSpawned', data);
-    });
     
-    // Handle rock-paper-scissors game
-    socket.on('rpsPlay', (data) => {
-        // Implementation handled by client-side
-        socket.to(data.roomId).emit('rpsOpponentPlay', { move: data.move });
+    // Answer a found match
+    socket.on('acceptMatch', (data = {}) => {
+        const userId = socket.data.userId;
+        if (!userId) return;
+        respondToMatch(userId, data.matchId, true);
     });
     
-    // Handle game over
-    socket.on('gameOver', (data) => {
-        // Implementation handled by client-side
-        socket.to(data.roomId).emit('gameOver', { winner: data.winner });
+    socket.on('declineMatch', (data = {}) => {
+        const userId = socket.data.userId;
+        if (!userId) return;
+        respondToMatch(userId, data.matchId, false);
     });
 }
 
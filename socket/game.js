@@ -0,0 +1,463 @@
+/**
+ * Game Socket Handler
+ * Runs the server-authoritative game loop and handles in-game socket events
+ */
+const { log } = require('../config/logging');
+const config = require('../config/config');
+const {
+    rooms,
+    roomEvents,
+    getRoomById,
+    getPlayerRoom,
+    markPlayerReconnected,
+    kickPlayer,
+    removeSpectatorFromRoom,
+    deleteRoom
+} = require('../models/rooms');
+const { createMatch, completeMatch, abandonMatch, voidMatch } = require('../models/matches');
+const {
+    initGameState,
+    spawnUnit,
+    stepSimulation,
+    serializeUnit,
+    getGoldSnapshot,
+    getSnapshot
+} = require('../models/simulation');
+const { RPS_MOVES, getRpsOutcome, applyRpsReward } = require('../models/rps');
+const {
+    startReplay,
+    recordReplayEvent,
+    recordSpawn,
+    recordGoldChanges,
+    recordTick,
+    finishReplay,
+    saveReplay
+} = require('../models/replays');
+const { emitToRoom, emitToSpectators } = require('./spectators');
+
+// Game loop storage
+const gameLoops = new Map(); // Map room IDs to simulation intervals
+const rpsRounds = new Map(); // Map room IDs to the open round's secret moves and timer
+
+// Extra time after the round ends for moves sent at the last second
+const RPS_LATENCY_GRACE = 1000;
+
+/**
+ * Start a match in a room and launch its simulation loop
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} room - The room object
+ */
+function startGame(io, room) {
+    room.status = 'playing';
+    initGameState(room);
+    startReplay(room);
+
+    const snapshot = getSnapshot(room);
+    emitToRoom(io, room, 'gameStarted', {
+        roomId: room.id,
+        gameMode: room.gameMode,
+        players: snapshot.players,
+        gameState: snapshot
+    });
+
+    startGameLoop(io, room);
+    startRpsRound(io, room);
+    log(`Game started in room ${room.id} (${room.gameMode})`, 'info', 'GAME_EVENTS', { roomId: room.id });
+}
+
+/**
+ * Reattach a returning player to a running game and send them the full state
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} room - The room object
+ */
+function resumeGame(socket, io, room) {
+    const userId = socket.data.userId;
+    const player = room.players.find(p => p.id === userId);
+    if (!player) return;
+
+    markPlayerReconnected(room.id, userId, socket.id);
+    socket.join(room.id);
+
+    const snapshot = getSnapshot(room);
+    socket.emit('gameResumed', {
+        roomId: room.id,
+        gameMode: room.gameMode,
+        side: room.gameState.sides[userId],
+        players: snapshot.players,
+        gameState: snapshot,
+        rps: room.gameState.rps
+    });
+
+    socket.to(room.id).emit('player:reconnected', {
+        userId,
+        username: player.username
+    });
+
+    log(`Player ${userId} resumed game in room ${room.id}`, 'info', 'GAME_EVENTS', { userId, roomId: room.id });
+}
+
+/**
+ * Start the fixed-tick simulation loop for a room
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} room - The room object
+ */
+function startGameLoop(io, room) {
+    stopGameLoop(room.id);
+
+    const tickMs = 1000 / config.game.tickRate;
+    const interval = setInterval(() => {
+        const current = getRoomById(room.id);
+        if (!current || current.status !== 'playing') {
+            stopGameLoop(room.id);
+            return;
+        }
+
+        const { deaths, income, winner } = stepSimulation(current, tickMs);
+        recordTick(current, deaths);
+
+        if (income.length > 0) {
+            emitGoldSync(io, current);
+        }
+
+        if (winner || current.gameState.tick % config.game.snapshotInterval === 0) {
+            emitToRoom(io, current, 'gameState', getSnapshot(current));
+        }
+
+        if (winner) {
+            endGame(io, current, winner, 'tower_destroyed');
+            recordMatchResult(io, current, winner);
+        }
+    }, tickMs);
+
+    gameLoops.set(room.id, interval);
+    log(`Started game loop for room ${room.id} at ${config.game.tickRate} ticks/s`, 'debug', 'GAME_EVENTS');
+}
+
+/**
+ * Send every player's authoritative gold to the whole room, spectators included
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} room - The room object
+ */
+function emitGoldSync(io, room) {
+    emitToRoom(io, room, 'goldSyncUpdate', { players: getGoldSnapshot(room) });
+}
+
+/**
+ * Stop the simulation loop for a room
+ * @param {string} roomId - The room ID
+ * @returns {boolean} Whether a loop was running
+ */
+function stopGameLoop(roomId) {
+    const interval = gameLoops.get(roomId);
+    if (!interval) return false;
+
+    clearInterval(interval);
+    gameLoops.delete(roomId);
+    log(`Stopped game loop for room ${roomId}`, 'debug', 'GAME_EVENTS');
+    return true;
+}
+
+/**
+ * Open a rock-paper-scissors round; it resolves once both players have
+ * moved or when time runs out
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} room - The room object
+ */
+function startRpsRound(io, room) {
+    clearRpsRound(room.id);
+    if (getRoomById(room.id) !== room || room.status !== 'playing') return;
+
+    const rps = room.gameState.rps;
+    rps.round++;
+    rps.startedAt = new Date();
+    rps.endsAt = new Date(Date.now() + config.game.rpsRoundTime);
+
+    rpsRounds.set(room.id, {
+        round: rps.round,
+        moves: new Map(),
+        timer: setTimeout(() => resolveRpsRound(io, room), config.game.rpsRoundTime + RPS_LATENCY_GRACE)
+    });
+
+    emitToRoom(io, room, 'rpsReset', {
+        round: rps.round,
+        endsAt: rps.endsAt,
+        duration: config.game.rpsRoundTime
+    });
+}
+
+/**
+ * Decide the open round, pay out the reward and schedule the next round
+ * Players who didn't move in time forfeit the round
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} room - The room object
+ */
+function resolveRpsRound(io, room) {
+    const round = rpsRounds.get(room.id);
+    clearRpsRound(room.id);
+    if (!round || getRoomById(room.id) !== room || room.status !== 'playing') return;
+
+    const [player1, player2] = getSnapshot(room).players;
+    const move1 = round.moves.get(player1.id) || null;
+    const move2 = round.moves.get(player2.id) || null;
+    const outcome = getRpsOutcome(move1, move2);
+    const winner = outcome === 1 ? player1 : outcome === 2 ? player2 : null;
+    const reward = winner ? applyRpsReward(room, winner.id) : null;
+
+    const result = {
+        round: round.round,
+        player1: { id: player1.id, username: player1.username, move: move1 },
+        player2: { id: player2.id, username: player2.username, move: move2 },
+        winner: winner ? winner.username : 'draw',
+        winnerId: winner ? winner.id : null,
+        forfeit: Boolean(winner) && (!move1 || !move2),
+        reward
+    };
+    room.gameState.rps.lastResult = result;
+    recordReplayEvent(room, 'rps', result);
+    recordGoldChanges(room);
+
+    emitToRoom(io, room, 'rpsResult', result);
+    if (reward && reward.type === 'gold') {
+        emitGoldSync(io, room);
+    }
+
+    log(`RPS round ${round.round} in room ${room.id}: ${move1} vs ${move2}, winner ${result.winner}`, 'debug', 'GAME_EVENTS', { roomId: room.id });
+
+    rpsRounds.set(room.id, {
+        round: round.round,
+        moves: null, // No round is open until the pause is over
+        timer: setTimeout(() => startRpsRound(io, room), config.game.rpsResultPause)
+    });
+}
+
+/**
+ * Cancel a room's open round or pending next round
+ * @param {string} roomId - The room ID
+ */
+function clearRpsRound(roomId) {
+    const round = rpsRounds.get(roomId);
+    if (!round) return;
+
+    clearTimeout(round.timer);
+    rpsRounds.delete(roomId);
+}
+
+/**
+ * End a match and notify everyone in the room
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} room - The room object
+ * @param {string|null} winnerId - The winning player ID
+ * @param {string} endReason - Why the game ended
+ * @param {Object} details - Extra fields for the gameOver payload
+ */
+function endGame(io, room, winnerId, endReason, details = {}) {
+    stopGameLoop(room.id);
+    clearRpsRound(room.id);
+
+    room.status = 'ended';
+    room.gameState.winner = winnerId;
+    room.gameState.endedAt = room.gameState.endedAt || new Date();
+    room.gameState.endReason = endReason;
+    finishReplay(room, winnerId, endReason);
+
+    emitToRoom(io, room, 'gameOver', {
+        winner: room.gameState.sides[winnerId] || null,
+        winnerId,
+        endReason,
+        ...details
+    });
+
+    log(`Game in room ${room.id} ended (${endReason}), winner: ${winnerId}`, 'info', 'GAME_EVENTS', { roomId: room.id });
+}
+
+/**
+ * Persist a finished game and send both players their rating changes
+ * Rooms that were not created by matchmaking get their match record here
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} room - The room object
+ * @param {number} winnerId - The winning player ID
+ * @param {number|null} abandoningPlayerId - The player who abandoned, if any
+ */
+async function recordMatchResult(io, room, winnerId, abandoningPlayerId = null) {
+    // Read the seating before awaiting; a leaver is removed from the room right after
+    const left = room.players.find(p => p.side === 'left') || room.players[0];
+    const right = room.players.find(p => p !== left);
+    if (!left || !right) return;
+
+    try {
+        if (!room.matchId) {
+            const match = await createMatch({
+                player1Id: left.id,
+                player2Id: right.id,
+                gameMode: room.gameMode,
+                roomId: room.id,
+                ranked: room.ranked !== false
+            });
+            room.matchId = match.id;
+        }
+
+        const result = abandoningPlayerId
+            ? await abandonMatch(room.matchId, abandoningPlayerId)
+            : await completeMatch(room.matchId, winnerId);
+        await saveReplay(room.matchId, room);
+
+        io.to(room.id).emit('matchRecorded', result);
+    } catch (error) {
+        log(`Error recording match for room ${room.id}: ${error.message}`, 'error', 'GAME_EVENTS', { roomId: room.id });
+    }
+}
+
+/**
+ * End a running game on an admin's decision
+ * With a winner the match is recorded like a normal win; without one it is
+ * closed as a no-contest and nobody's rating changes
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} room - The room object
+ * @param {number|null} winnerId - The player declared winner, or null for a no-contest
+ */
+async function forceEndGame(io, room, winnerId = null) {
+    if (winnerId) {
+        endGame(io, room, winnerId, 'admin_decision');
+        await recordMatchResult(io, room, winnerId);
+        return;
+    }
+
+    endGame(io, room, null, 'no_contest');
+    if (room.matchId) {
+        await voidMatch(room.matchId);
+        await saveReplay(room.matchId, room);
+    }
+}
+
+/**
+ * Close a room: end any running game as a no-contest, send everyone in it
+ * back to the lobby and delete it
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} room - The room object
+ */
+async function closeRoom(io, room) {
+    if (room.status === 'playing') {
+        await forceEndGame(io, room, null);
+    }
+
+    io.to(room.id).emit('roomClosed', { roomId: room.id });
+    emitToSpectators(io, room, 'roomClosed', { roomId: room.id });
+    io.in(room.id).socketsLeave(room.id);
+    deleteRoom(room.id);
+}
+
+/**
+ * Take a user out of every live room before their account is deleted
+ * A running game ends as a no-contest so nothing is recorded against the
+ * removed account
+ * @param {Object} io - Socket.io server instance
+ * @param {number} userId - The user ID
+ */
+async function evictUser(io, userId) {
+    const room = getPlayerRoom(userId);
+    if (room) {
+        if (room.status === 'playing') {
+            await forceEndGame(io, room, null);
+        }
+        kickPlayer(room.id, userId);
+    }
+
+    [...rooms.values()]
+        .filter(r => r.spectators.some(s => s.id === userId))
+        .forEach(r => removeSpectatorFromRoom(r.id, userId));
+}
+
+/**
+ * Listen for room lifecycle events raised outside any socket handler
+ * @param {Object} io - Socket.io server instance
+ */
+function setupRoomLifecycleEvents(io) {
+    // Abandon timers expire in the rooms module; finish the game and record it here
+    roomEvents.on('gameAbandoned', async ({ room, abandoningPlayerId, winnerId }) => {
+        endGame(io, room, winnerId, 'abandoned', { abandonedBy: abandoningPlayerId });
+        await recordMatchResult(io, room, winnerId, abandoningPlayerId);
+    });
+}
+
+/**
+ * Set up game-related socket events
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} io - Socket.io server instance
+ */
+function setupGameEvents(socket, io) {
+    // Handle unit spawning requests; the simulation decides placement and cost
+    socket.on('spawnUnit', (data) => {
+        const { unitType } = data || {};
+        const userId = socket.data.userId;
+        const room = userId ? getPlayerRoom(userId) : null;
+        if (!room || room.status !== 'playing') {
+            socket.emit('error', { message: 'game_not_started' });
+            return;
+        }
+
+        const result = spawnUnit(room, userId, unitType);
+        if (!result.success) {
+            socket.emit('error', { message: result.error });
+            if (result.error === 'not_enough_gold') {
+                // Correct any optimistic client-side balance
+                socket.emit('goldSyncUpdate', { players: getGoldSnapshot(room) });
+            }
+            return;
+        }
+
+        recordSpawn(room, result.unit);
+        recordGoldChanges(room);
+        emitToRoom(io, room, 'unitSpawned', serializeUnit(result.unit));
+        emitGoldSync(io, room);
+    });
+
+    // Collect a rock-paper-scissors move; it stays secret until the round is decided.
+    // A null move gives up the round
+    socket.on('rpsPlay', (data) => {
+        const { move } = data || {};
+        const userId = socket.data.userId;
+        const room = userId ? getPlayerRoom(userId) : null;
+        if (!room || room.status !== 'playing') {
+            socket.emit('error', { message: 'game_not_started' });
+            return;
+        }
+
+        const round = rpsRounds.get(room.id);
+        if (!round || !round.moves) {
+            socket.emit('error', { message: 'rps_round_closed' });
+            return;
+        }
+
+        if (move !== null && !RPS_MOVES.includes(move)) {
+            socket.emit('error', { message: 'invalid_rps_move' });
+            return;
+        }
+
+        if (round.moves.has(userId)) {
+            socket.emit('error', { message: 'rps_already_played' });
+            return;
+        }
+
+        round.moves.set(userId, move);
+        emitToRoom(io, room, 'rpsMoveReceived', { userId, round: round.round });
+
+        if (room.players.every(p => round.moves.has(p.id))) {
+            resolveRpsRound(io, room);
+        }
+    });
+}
+
+module.exports = {
+    setupGameEvents,
+    setupRoomLifecycleEvents,
+    startGame,
+    resumeGame,
+    startGameLoop,
+    stopGameLoop,
+    endGame,
+    forceEndGame,
+    closeRoom,
+    evictUser,
+    emitGoldSync
+};
@@ -1,55 +1,132 @@
 /**
  * Matchmaking module
- * Handles player matchmaking queues and pairing
+ * Handles player matchmaking queues, pairing and match acceptance
  */
+const { v4: uuidv4 } = require('uuid');
 const { log } = require('../config/logging');
-const { rooms, createRoom, addPlayerToRoom } = require('../models/rooms');
+const { getRoomById, getRoomCreationBlock, createRoom, addPlayerToRoom, deleteRoom } = require('../models/rooms');
+const { gameModes } = require('../models/game-modes');
 const { activeUserSockets } = require('../models/users');
+const { createMatch } = require('../models/matches');
+const { getMatchmakingRating } = require('../models/ratings');
+const { emitToUser } = require('./notifications');
+const { SKILL_WINDOW_FACTORS, getEloWindow, getQueueKey, findPairs } = require('../utils/pairing');
 const prisma = require('../prisma/client');
 const config = require('../config/config');
 
 // Matchmaking data structures
 const matchmakingQueue = new Map(); // Map user IDs to matchmaking data
+const pendingMatches = new Map(); // Map proposal IDs to matches awaiting acceptance
+const recentWaitTimes = new Map(); // Map queue keys to recent wait times in seconds
+const disconnectTimers = new Map(); // Map user IDs to timers that drop offline players from the queue
 let matchmakingInterval = null;
+let processingQueue = false;
+let io = null;
+
+// Number of recent wait times kept per queue for the wait estimate
+const WAIT_SAMPLE_SIZE = 20;
+
+/**
+ * Save a queue entry so it survives a server restart
+ * @param {Object} entry - Queue entry
+ */
+async function persistQueueEntry(entry) {
+    const data = {
+        gameMode: entry.preferences.gameMode,
+        skill: entry.preferences.skill,
+        ranked: entry.preferences.ranked,
+        eloMin: entry.window.eloMin,
+        eloMax: entry.window.eloMax,
+        joinedAt: entry.joinedAt
+    };
+
+    await prisma.pairingQueue.upsert({
+        where: { userId: entry.userId },
+        create: { userId: entry.userId, ...data },
+        update: data
+    });
+}
+
+/**
+ * Set the socket.io server used to notify queued players
+ * @param {Object} server - Socket.io server instance
+ */
+function initMatchmaking(server) {
+    io = server;
+}
 
 /**
  * Add a user to the matchmaking queue
- * @param {string} userId - User ID to add
- * @param {Object} preferences - Matchmaking preferences (gameMode, etc)
- * @returns {boolean} Success status
+ * @param {number} userId - User ID to add
+ * @param {Object} preferences - Matchmaking preferences (gameMode, skill, ranked)
+ * @returns {Promise<boolean>} Success status
  */
-function addToMatchmaking(userId, preferences = {}) {
+async function addToMatchmaking(userId, preferences = {}) {
     if (!userId) return false;
     
-    const { gameMode = 'classic', skill = 'any' } = preferences;
+    // Players answering a found match can't queue again until it resolves
+    const existing = matchmakingQueue.get(userId);
+    if (existing && existing.status === 'pending') return false;
     
-    // Add to queue with timestamp
-    matchmakingQueue.set(userId, {
-        userId,
-        preferences: { gameMode, skill },
-        joinedAt: new Date(),
-        status: 'waiting'
-    });
+    const { gameMode = 'classic', ranked = true } = preferences;
+    if (!gameModes[gameMode]) return false;
+    const skill = SKILL_WINDOW_FACTORS[preferences.skill] ? preferences.skill : 'any';
+    
+    try {
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            select: { id: true, elo: true }
+        });
+        if (!user) return false;
+        
+        // Players are paired on their rating in the queued game mode
+        const entry = {
+            userId,
+            elo: await getMatchmakingRating(user, gameMode),
+            preferences: { gameMode, skill, ranked: ranked !== false },
+            joinedAt: new Date(),
+            status: 'waiting'
+        };
+        entry.window = getEloWindow(entry);
+        
+        // Only queue players whose entry was saved, so a failed join leaves nothing behind
+        await persistQueueEntry(entry);
+        matchmakingQueue.set(userId, entry);
+    } catch (error) {
+        log(`Error adding user ${userId} to matchmaking: ${error.message}`, 'error', 'MATCHMAKING');
+        return false;
+    }
     
-    log(`User ${userId} joined matchmaking queue with preferences: ${JSON.stringify(preferences)}`, 'info', 'MATCHMAKING');
+    log(`User ${userId} joined matchmaking queue with preferences: ${JSON.stringify(matchmakingQueue.get(userId).preferences)}`, 'info', 'MATCHMAKING');
     
     // Ensure matchmaking interval is running
     if (!matchmakingInterval) {
         setupMatchmakingInterval();
     }
     
+    emitQueueStatus();
     return true;
 }
 
 /**
  * Remove a user from the matchmaking queue
- * @param {string} userId - User ID to remove
+ * @param {number} userId - User ID to remove
  * @returns {boolean} Success status
  */
 function removeFromMatchmaking(userId) {
     if (!userId || !matchmakingQueue.has(userId)) return false;
     
+    // Leaving while a match is being accepted counts as declining it
+    const entry = matchmakingQueue.get(userId);
+    if (entry.status === 'pending') {
+        respondToMatch(userId, entry.proposalId, false);
+        return true;
+    }
+    
     matchmakingQueue.delete(userId);
+    prisma.pairingQueue.deleteMany({ where: { userId } }).catch(error => {
+        log(`Error removing queue entry of user ${userId}: ${error.message}`, 'error', 'MATCHMAKING');
+    });
     log(`User ${userId} left matchmaking queue`, 'info', 'MATCHMAKING');
     
     // Stop interval if queue is empty
@@ -58,9 +135,67 @@ function removeFromMatchmaking(userId) {
         matchmakingInterval = null;
     }
     
+    emitQueueStatus();
     return true;
 }
 
+/**
+ * Drop a queued user who went offline, unless they come back in time
+ * Page reloads and moving between pages keep the player's place
+ * @param {number} userId - The user whose last socket disconnected
+ */
+function scheduleQueueRemoval(userId) {
+    if (!userId || !matchmakingQueue.has(userId)) return;
+    
+    clearTimeout(disconnectTimers.get(userId));
+    disconnectTimers.set(userId, setTimeout(() => {
+        disconnectTimers.delete(userId);
+        if (!activeUserSockets.has(userId)) {
+            log(`User ${userId} stayed offline, removing them from the matchmaking queue`, 'info', 'MATCHMAKING');
+            removeFromMatchmaking(userId);
+        }
+    }, config.game.queueDisconnectGrace));
+}
+
+/**
+ * Reload the persisted queue after a restart
+ * Entries older than the restore window are dropped
+ * @returns {Promise<number>} Number of restored entries
+ */
+async function restoreMatchmakingQueue() {
+    try {
+        const cutoff = new Date(Date.now() - config.game.queueRestoreWindow);
+        await prisma.pairingQueue.deleteMany({ where: { joinedAt: { lt: cutoff } } });
+        
+        const rows = await prisma.pairingQueue.findMany({
+            include: { user: { select: { elo: true } } }
+        });
+        
+        for (const row of rows) {
+            const entry = {
+                userId: row.userId,
+                elo: await getMatchmakingRating({ id: row.userId, elo: row.user.elo }, row.gameMode),
+                preferences: { gameMode: row.gameMode, skill: row.skill, ranked: row.ranked },
+                joinedAt: row.joinedAt,
+                status: 'waiting'
+            };
+            entry.window = getEloWindow(entry);
+            matchmakingQueue.set(row.userId, entry);
+        }
+        
+        if (rows.length > 0) {
+            log(`Restored ${rows.length} players to the matchmaking queue`, 'info', 'MATCHMAKING');
+            if (!matchmakingInterval) {
+                setupMatchmakingInterval();
+            }
+        }
+        return rows.length;
+    } catch (error) {
+        log(`Error restoring matchmaking queue: ${error.message}`, 'error', 'MATCHMAKING');
+        return 0;
+    }
+}
+
 /**
  * Set up matchmaking interval to periodically check for matches
  */
@@ -70,7 +205,7 @@ function setupMatchmakingInterval() {
     }
     
     matchmakingInterval = setInterval(() => {
-        if (matchmakingQueue.size >= 2) {
+        if (matchmakingQueue.size > 0 && !processingQueue) {
             log(`Checking matchmaking queue: ${matchmakingQueue.size} players waiting`, 'debug', 'MATCHMAKING');
             processMatchmakingQueue();
         }
@@ -80,50 +215,70 @@ function setupMatchmakingInterval() {
 }
 
 /**
- * Process the matchmaking queue to create matches
+ * Widen the Elo windows of waiting players and save the ones that changed
+ * @param {Array<Object>} players - Waiting queue entries
  */
-async function processMatchmakingQueue() {
-    const players = [...matchmakingQueue.values()].filter(p => p.status === 'waiting');
-    
-    // Sort by waiting time (oldest first)
-    players.sort((a, b) => a.joinedAt - b.joinedAt);
+async function updateEloWindows(players) {
+    const now = Date.now();
+    const changed = players.filter(player => {
+        const window = getEloWindow(player, now);
+        if (window.eloMin === player.window.eloMin && window.eloMax === player.window.eloMax) {
+            return false;
+        }
+        player.window = window;
+        return true;
+    });
     
-    // Process players
-    for (let i = 0; i < players.length - 1; i++) {
-        const player1 = players[i];
-        if (player1.status !== 'waiting') continue;
+    if (changed.length > 0) {
+        await prisma.$transaction(changed.map(player => prisma.pairingQueue.update({
+            where: { userId: player.userId },
+            data: { eloMin: player.window.eloMin, eloMax: player.window.eloMax }
+        })));
+    }
+}
+
+/**
+ * Process the matchmaking queue to propose matches
+ * The best compatible pairs are proposed first
+ */
+async function processMatchmakingQueue() {
+    processingQueue = true;
+    try {
+        // Hold the queue while no rooms can be opened; players keep their places
+        const block = getRoomCreationBlock();
+        if (block) {
+            log(`Matchmaking paused: ${block}`, 'debug', 'MATCHMAKING');
+            return;
+        }
         
-        // Find compatible player
-        for (let j = i + 1; j < players.length; j++) {
-            const player2 = players[j];
-            if (player2.status !== 'waiting') continue;
-            
-            // Check compatibility (game mode)
-            if (player1.preferences.gameMode !== player2.preferences.gameMode) continue;
+        // Players who are not connected right now keep their place in the queue
+        const players = [...matchmakingQueue.values()]
+            .filter(p => p.status === 'waiting' && activeUserSockets.has(p.userId));
+        
+        await updateEloWindows(players);
+        
+        for (const { first, second } of findPairs(players)) {
+            if (first.status !== 'waiting' || second.status !== 'waiting') continue;
+            // Skip players who left the queue while earlier pairs were being set up
+            if (matchmakingQueue.get(first.userId) !== first || matchmakingQueue.get(second.userId) !== second) continue;
             
-            // Attempt to pair these players
-            const success = await tryMatchmaking(player1.userId, player2.userId, player1.preferences.gameMode);
-            if (success) {
-                // Mark both players as matched
-                player1.status = 'matched';
-                player2.status = 'matched';
-                break;
-            }
-        }
-    }
-    
-    // Clean up matched players from queue
-    for (const [userId, data] of matchmakingQueue.entries()) {
-        if (data.status === 'matched') {
-            matchmakingQueue.delete(userId);
+            await tryMatchmaking(first.userId, second.userId, first.preferences.gameMode);
         }
+        
+        emitQueueStatus();
+    } catch (error) {
+        log(`Error processing matchmaking queue: ${error.message}`, 'error', 'MATCHMAKING');
+    } finally {
+        processingQueue = false;
     }
 }
 
 /**
  * Try to match two players together
- * @param {string} userId1 - First user ID
- * @param {string} userId2 - Second user ID
+ * Both players are sent a `matchFound` event and the match only starts
+ * once both accept it within the accept timeout
+ * @param {number} userId1 - First user ID
+ * @param {number} userId2 - Second user ID
  * @param {string} gameMode - The game mode to use
  * @returns {Promise<boolean>} Success status
  */
@@ -131,14 +286,8 @@ async function tryMatchmaking(userId1, userId2, gameMode = 'classic') {
     try {
         log(`Attempting to match users ${userId1} and ${userId2} in ${gameMode} mode`, 'info', 'MATCHMAKING');
         
-        // Create match in database
-        const match = await prisma.match.create({
-            data: {
-                gameMode,
-                playerIds: [userId1, userId2],
-                status: 'pending'
-            }
-        });
+        const entry1 = matchmakingQueue.get(userId1);
+        const entry2 = matchmakingQueue.get(userId2);
         
         // Get the players' data
         const [player1, player2] = await Promise.all([
@@ -146,7 +295,7 @@ async function tryMatchmaking(userId1, userId2, gameMode = 'classic') {
             prisma.user.findUnique({ where: { id: userId2 } })
         ]);
         
-        if (!player1 || !player2) {
+        if (!entry1 || !entry2 || !player1 || !player2) {
             log(`Failed to match: unable to find player data`, 'error', 'MATCHMAKING');
             return false;
         }
@@ -157,53 +306,55 @@ async function tryMatchmaking(userId1, userId2, gameMode = 'classic') {
             return false;
         }
         
-        // Create a room
+        // Reserve a room that only these two players may join
         const room = createRoom({
             creatorId: 'system', 
-            isPrivate: false, 
+            isPrivate: true, 
             gameMode,
             maxPlayers: 2,
-            roomName: `Match #${match.id}`
+            ranked: entry1.preferences.ranked,
+            allowedPlayerIds: [player1.id, player2.id]
         });
+        if (!room) {
+            log(`Failed to match: no room available`, 'warn', 'MATCHMAKING');
+            return false;
+        }
         
-        // Add players to room
-        const playerData1 = {
-            id: player1.id,
-            username: player1.username,
-            elo: player1.eloRating
-        };
-        
-        const playerData2 = {
-            id: player2.id,
-            username: player2.username,
-            elo: player2.eloRating
+        const proposal = {
+            id: uuidv4().substring(0, 8),
+            roomId: room.id,
+            gameMode,
+            ranked: entry1.preferences.ranked,
+            // Players show their rating in this game mode to each other
+            players: [{ ...player1, elo: entry1.elo }, { ...player2, elo: entry2.elo }],
+            accepted: new Set(),
+            expiresAt: new Date(Date.now() + config.game.matchAcceptTimeout),
+            timer: setTimeout(() => expireMatch(proposal.id), config.game.matchAcceptTimeout)
         };
+        pendingMatches.set(proposal.id, proposal);
         
-        addPlayerToRoom(room.id, playerData1);
-        addPlayerToRoom(room.id, playerData2);
+        [entry1, entry2].forEach(entry => {
+            entry.status = 'pending';
+            entry.proposalId = proposal.id;
+        });
         
-        // Update match record
-        await prisma.match.update({
-            where: { id: match.id },
-            data: {
+        proposal.players.forEach((player, index) => {
+            const opponent = proposal.players[1 - index];
+            emitToUser(io, player.id, 'matchFound', {
+                matchId: proposal.id,
                 roomId: room.id,
-                status: 'created'
-            }
+                gameMode,
+                ranked: proposal.ranked,
+                opponent: {
+                    username: opponent.username,
+                    elo: opponent.elo
+                },
+                acceptTimeout: config.game.matchAcceptTimeout,
+                expiresAt: proposal.expiresAt
+            });
         });
         
-        // Update players' last room info
-        await Promise.all([
-            prisma.user.update({
-                where: { id: userId1 },
-                data: { lastRoomId: room.id }
-            }),
-            prisma.user.update({
-                where: { id: userId2 },
-                data: { lastRoomId: room.id }
-            })
-        ]);
-        
-        log(`Successfully matched users ${userId1} and ${userId2} in room ${room.id}`, 'success', 'MATCHMAKING');
+        log(`Proposed match ${proposal.id} for users ${userId1} and ${userId2} in room ${room.id}`, 'info', 'MATCHMAKING');
         return true;
     } catch (error) {
         log(`Error in tryMatchmaking: ${error.message}`, 'error', 'MATCHMAKING');
@@ -211,6 +362,205 @@ async function tryMatchmaking(userId1, userId2, gameMode = 'classic') {
     }
 }
 
+/**
+ * Record a player's answer to a found match
+ * The match starts once both players accept; a decline cancels it and
+ * puts the other player back in the queue
+ * @param {number} userId - The answering player
+ * @param {string} proposalId - The match proposal ID
+ * @param {boolean} accepted - Whether the player accepted
+ * @returns {boolean} Whether the answer was recorded
+ */
+function respondToMatch(userId, proposalId, accepted) {
+    const proposal = pendingMatches.get(proposalId);
+    if (!proposal || !proposal.players.some(p => p.id === userId)) {
+        return false;
+    }
+    
+    if (!accepted) {
+        log(`User ${userId} declined match ${proposalId}`, 'info', 'MATCHMAKING');
+        cancelMatch(proposal, 'declined', [userId]);
+        return true;
+    }
+    
+    proposal.accepted.add(userId);
+    log(`User ${userId} accepted match ${proposalId}`, 'info', 'MATCHMAKING');
+    
+    if (proposal.accepted.size === proposal.players.length) {
+        confirmMatch(proposal);
+    } else {
+        proposal.players
+            .filter(p => p.id !== userId)
+            .forEach(p => emitToUser(io, p.id, 'matchAccepted', { matchId: proposalId }));
+    }
+    return true;
+}
+
+/**
+ * Cancel a match whose accept timeout ran out
+ * Players who didn't accept in time leave the queue
+ * @param {string} proposalId - The match proposal ID
+ */
+function expireMatch(proposalId) {
+    const proposal = pendingMatches.get(proposalId);
+    if (!proposal) return;
+    
+    const missing = proposal.players.filter(p => !proposal.accepted.has(p.id)).map(p => p.id);
+    log(`Match ${proposalId} expired waiting for users ${missing.join(', ')}`, 'info', 'MATCHMAKING');
+    cancelMatch(proposal, 'timeout', missing);
+}
+
+/**
+ * Cancel a match proposal and release its reserved room
+ * @param {Object} proposal - The match proposal
+ * @param {string} reason - 'declined' or 'timeout'
+ * @param {Array<number>} removedIds - Players who leave the queue; the rest are requeued
+ */
+function cancelMatch(proposal, reason, removedIds) {
+    clearTimeout(proposal.timer);
+    pendingMatches.delete(proposal.id);
+    deleteRoom(proposal.roomId);
+    
+    proposal.players.forEach(player => {
+        const entry = matchmakingQueue.get(player.id);
+        const requeued = !removedIds.includes(player.id);
+        
+        if (entry) {
+            entry.proposalId = null;
+            entry.status = 'waiting';
+            if (!requeued) {
+                removeFromMatchmaking(player.id);
+            }
+        }
+        
+        emitToUser(io, player.id, 'matchCancelled', {
+            matchId: proposal.id,
+            reason,
+            requeued
+        });
+    });
+    
+    emitQueueStatus();
+}
+
+/**
+ * Start a match both players accepted and send them into its room
+ * @param {Object} proposal - The match proposal
+ */
+async function confirmMatch(proposal) {
+    clearTimeout(proposal.timer);
+    pendingMatches.delete(proposal.id);
+    
+    const [player1, player2] = proposal.players;
+    const room = getRoomById(proposal.roomId);
+    const playerIds = proposal.players.map(p => p.id);
+    
+    // The players no longer wait in the queue
+    playerIds.forEach(userId => {
+        const entry = matchmakingQueue.get(userId);
+        if (entry) {
+            recordWaitTime(entry);
+            matchmakingQueue.delete(userId);
+        }
+    });
+    
+    try {
+        await prisma.pairingQueue.deleteMany({ where: { userId: { in: playerIds } } });
+        
+        // Add players to room
+        proposal.players.forEach(player => {
+            addPlayerToRoom(room.id, {
+                id: player.id,
+                username: player.username,
+                elo: player.elo
+            });
+        });
+        
+        // Record the match against the room
+        const match = await createMatch({
+            player1Id: player1.id,
+            player2Id: player2.id,
+            gameMode: proposal.gameMode,
+            roomId: room.id,
+            ranked: proposal.ranked
+        });
+        room.matchId = match.id;
+        room.name = `Match #${match.id}`;
+        
+        // Update players' last room info
+        await Promise.all(playerIds.map(userId => prisma.user.update({
+            where: { id: userId },
+            data: { lastRoom: room.id }
+        })));
+        
+        playerIds.forEach(userId => {
+            emitToUser(io, userId, 'matchConfirmed', { matchId: proposal.id, roomId: room.id });
+        });
+        
+        log(`Successfully matched users ${player1.id} and ${player2.id} in room ${room.id}`, 'success', 'MATCHMAKING');
+    } catch (error) {
+        log(`Error starting match ${proposal.id}: ${error.message}`, 'error', 'MATCHMAKING');
+        deleteRoom(proposal.roomId);
+        playerIds.forEach(userId => {
+            emitToUser(io, userId, 'matchmakingError', { error: 'Could not start the match' });
+        });
+    }
+}
+
+/**
+ * Remember how long a matched player waited, for the wait estimate
+ * @param {Object} entry - Queue entry of the matched player
+ */
+function recordWaitTime(entry) {
+    const key = getQueueKey(entry);
+    const samples = recentWaitTimes.get(key) || [];
+    samples.push((Date.now() - entry.joinedAt) / 1000);
+    recentWaitTimes.set(key, samples.slice(-WAIT_SAMPLE_SIZE));
+}
+
+/**
+ * Get the estimated wait of a queue from recent matches
+ * @param {string} key - Queue key
+ * @returns {number|null} Estimated wait in seconds, or null without history
+ */
+function getEstimatedWait(key) {
+    const samples = recentWaitTimes.get(key);
+    if (!samples || samples.length === 0) return null;
+    return Math.round(samples.reduce((sum, seconds) => sum + seconds, 0) / samples.length);
+}
+
+/**
+ * Send every waiting player their queue position and estimated wait
+ */
+function emitQueueStatus() {
+    if (!io) return;
+    
+    const now = Date.now();
+    const queues = new Map();
+    [...matchmakingQueue.values()]
+        .filter(entry => entry.status === 'waiting')
+        .sort((a, b) => a.joinedAt - b.joinedAt)
+        .forEach(entry => {
+            const key = getQueueKey(entry);
+            if (!queues.has(key)) queues.set(key, []);
+            queues.get(key).push(entry);
+        });
+    
+    queues.forEach((entries, key) => {
+        const estimatedWait = getEstimatedWait(key);
+        entries.forEach((entry, index) => {
+            emitToUser(io, entry.userId, 'queueStatus', {
+                position: index + 1,
+                queueSize: entries.length,
+                waitTime: Math.floor((now - entry.joinedAt) / 1000),
+                estimatedWait,
+                eloMin: entry.window.eloMin,
+                eloMax: entry.window.eloMax
+            });
+        });
+    });
+}
+
 /**
  * Get the current matchmaking queue status
  * @returns {Array} Array of players in queue with basic info
@@ -219,16 +569,27 @@ function getMatchmakingStatus() {
     return [...matchmakingQueue.values()].map(p => ({
         userId: p.userId,
         gameMode: p.preferences.gameMode,
+        skill: p.preferences.skill,
+        ranked: p.preferences.ranked,
+        status: p.status,
+        elo: p.elo,
+        eloMin: p.window.eloMin,
+        eloMax: p.window.eloMax,
         waitTime: Math.floor((Date.now() - p.joinedAt) / 1000) // Wait time in seconds
     }));
 }
 
 module.exports = {
     matchmakingQueue,
+    pendingMatches,
+    initMatchmaking,
     addToMatchmaking,
     removeFromMatchmaking,
+    scheduleQueueRemoval,
+    restoreMatchmakingQueue,
     setupMatchmakingInterval,
     processMatchmakingQueue,
     tryMatchmaking,
+    respondToMatch,
     getMatchmakingStatus
 }; 
\ No newline at end of file
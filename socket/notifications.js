@@ -0,0 +1,27 @@
+/**
+ * Socket notifications module
+ * Pushes events to a user's active socket from outside the socket handlers
+ */
+const { log } = require('../config/logging');
+const { getUserSocketId } = require('../models/users');
+
+/**
+ * Emit an event to a user if they are online
+ * @param {Object} io - Socket.io server instance
+ * @param {number} userId - The recipient user ID
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ * @returns {boolean} Whether the user was online to receive it
+ */
+function emitToUser(io, userId, event, data) {
+    const socketId = getUserSocketId(userId);
+    if (!io || !socketId) return false;
+    
+    io.to(socketId).emit(event, data);
+    log(`Sent ${event} to user ${userId}`, 'debug', 'CONNECTIONS');
+    return true;
+}
+
+module.exports = {
+    emitToUser
+};
@@ -0,0 +1,226 @@
+/**
+ * Spectator Socket Handler
+ * Lets users watch public rooms read-only; spectators receive the room's
+ * broadcasts after a delay so they can't relay live information to a player
+ */
+const { log } = require('../config/logging');
+const config = require('../config/config');
+const {
+    getRoomById,
+    getPlayerRoom,
+    getRoomHostId,
+    addSpectatorToRoom,
+    removeSpectatorFromRoom
+} = require('../models/rooms');
+const { getSnapshot } = require('../models/simulation');
+const { QUICK_CHAT_PRESETS, getChatHistory } = require('../models/chat');
+
+/**
+ * Send an event to a room's players right away and to its spectators after
+ * the spectator delay
+ * Spectators who stop watching during the delay are skipped
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} room - The room object
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ * @param {Array<string>} exceptSocketIds - Player sockets to leave out
+ */
+function emitToRoom(io, room, event, payload, exceptSocketIds = []) {
+    io.to(room.id).except(exceptSocketIds).emit(event, payload);
+
+    const socketIds = room.spectators.map(s => s.socketId);
+    if (socketIds.length === 0) return;
+
+    setTimeout(() => {
+        const watching = socketIds.filter(id => room.spectators.some(s => s.socketId === id));
+        if (watching.length > 0) {
+            io.to(watching).emit(event, payload);
+        }
+    }, config.game.spectatorDelay);
+}
+
+/**
+ * Send an event to a room's spectators right away, for notices that can't
+ * reveal anything about the game
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} room - The room object
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ */
+function emitToSpectators(io, room, event, payload) {
+    const socketIds = room.spectators.map(s => s.socketId);
+    if (socketIds.length > 0) {
+        io.to(socketIds).emit(event, payload);
+    }
+}
+
+/**
+ * Tell players and spectators how many people are watching
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} room - The room object
+ */
+function emitSpectatorCount(io, room) {
+    const payload = { count: room.spectators.length };
+    io.to(room.id).emit('spectatorCount', payload);
+    emitToSpectators(io, room, 'spectatorCount', payload);
+}
+
+/**
+ * Stop a socket's user watching the room they spectate, if any
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} io - Socket.io server instance
+ * @returns {boolean} Whether the user was spectating
+ */
+function stopSpectating(socket, io) {
+    const roomId = socket.data.spectatorRoomId;
+    if (!roomId) return false;
+
+    socket.data.spectatorRoomId = null;
+    const room = getRoomById(roomId);
+    if (!room || !room.spectators.some(s => s.socketId === socket.id)) return false;
+
+    removeSpectatorFromRoom(roomId, socket.data.userId);
+    if (getRoomById(roomId)) {
+        emitSpectatorCount(io, room);
+    }
+    return true;
+}
+
+/**
+ * Remove every spectator from a room, telling them why
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} room - The room object
+ * @param {string} reason - Why spectating ended
+ */
+function removeAllSpectators(io, room, reason) {
+    emitToSpectators(io, room, 'spectatingEnded', { roomId: room.id, reason });
+
+    [...room.spectators].forEach(spectator => {
+        const spectatorSocket = io.sockets.sockets.get(spectator.socketId);
+        if (spectatorSocket) spectatorSocket.data.spectatorRoomId = null;
+        removeSpectatorFromRoom(room.id, spectator.id);
+    });
+}
+
+/**
+ * Set up spectator socket events
+ * @param {Object} socket - Socket.io socket instance
+ * @param {Object} io - Socket.io server instance
+ */
+function setupSpectatorEvents(socket, io) {
+    // Watch a public room
+    socket.on('spectateRoom', (data = {}) => {
+        const userId = socket.data.userId;
+        const room = data.roomId ? getRoomById(data.roomId) : null;
+        if (!room) {
+            socket.emit('error', { message: 'room_not_found' });
+            return;
+        }
+
+        if (room.isPrivate) {
+            socket.emit('error', { message: 'room_private' });
+            return;
+        }
+
+        if (!room.allowSpectators) {
+            socket.emit('error', { message: 'spectators_disabled' });
+            return;
+        }
+
+        // Players can't watch a game while seated in one
+        if (getPlayerRoom(userId)) {
+            socket.emit('error', { message: 'already_in_room' });
+            return;
+        }
+
+        if (socket.data.spectatorRoomId && socket.data.spectatorRoomId !== room.id) {
+            stopSpectating(socket, io);
+        }
+
+        addSpectatorToRoom(room.id, {
+            id: userId,
+            username: socket.data.username,
+            socketId: socket.id
+        });
+        socket.data.spectatorRoomId = room.id;
+
+        socket.emit('spectating', {
+            roomId: room.id,
+            gameMode: room.gameMode,
+            status: room.status,
+            hostId: getRoomHostId(room),
+            spectatorDelay: config.game.spectatorDelay
+        });
+        emitSpectatorCount(io, room);
+
+        // Chat sent before joining arrives with the delay too; anything newer
+        // comes through the delayed room broadcasts
+        const joinedAt = Date.now();
+        setTimeout(() => {
+            if (socket.data.spectatorRoomId !== room.id) return;
+            socket.emit('chatHistory', {
+                roomId: room.id,
+                messages: getChatHistory(room, { before: joinedAt }),
+                presets: QUICK_CHAT_PRESETS,
+                mutedUserIds: []
+            });
+        }, config.game.spectatorDelay);
+
+        // The running game's state reaches the new spectator with the same delay
+        if (room.status === 'playing') {
+            const snapshot = getSnapshot(room);
+            setTimeout(() => {
+                if (socket.data.spectatorRoomId !== room.id) return;
+                socket.emit('spectatorState', {
+                    roomId: room.id,
+                    gameMode: room.gameMode,
+                    players: snapshot.players,
+                    gameState: snapshot
+                });
+            }, config.game.spectatorDelay);
+        }
+
+        log(`User ${userId} spectating room ${room.id}`, 'info', 'ROOM_EVENTS', { userId, roomId: room.id });
+    });
+
+    socket.on('stopSpectating', () => {
+        stopSpectating(socket, io);
+    });
+
+    // Let the room owner allow or forbid spectators; forbidding removes current ones
+    socket.on('setAllowSpectators', (data = {}) => {
+        const userId = socket.data.userId;
+        const room = getPlayerRoom(userId);
+        if (!room) {
+            socket.emit('error', { message: 'not_in_room' });
+            return;
+        }
+
+        if (getRoomHostId(room) !== userId) {
+            socket.emit('error', { message: 'only_host_can_change_settings' });
+            return;
+        }
+
+        room.allowSpectators = data.allow !== false;
+        if (!room.allowSpectators) {
+            removeAllSpectators(io, room, 'spectators_disabled');
+            emitSpectatorCount(io, room);
+        }
+
+        io.to(room.id).emit('spectatorSettings', { allowSpectators: room.allowSpectators });
+        log(`Spectators ${room.allowSpectators ? 'allowed' : 'disallowed'} in room ${room.id}`, 'info', 'ROOM_EVENTS', { userId, roomId: room.id });
+    });
+
+    socket.on('disconnect', () => {
+        stopSpectating(socket, io);
+    });
+}
+
+module.exports = {
+    setupSpectatorEvents,
+    emitToRoom,
+    emitToSpectators,
+    emitSpectatorCount,
+    stopSpectating,
+    removeAllSpectators
+};
@@ -0,0 +1,53 @@
+/**
+ * Elo rating tests
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_RATING, calculateExpectedScore, calculateNewRating, calculateEloChanges } = require('../utils/elo');
+
+test('equal ratings expect an even score', () => {
+    assert.strictEqual(calculateExpectedScore(DEFAULT_RATING, DEFAULT_RATING), 0.5);
+});
+
+test('a 400 point lead expects ten wins to one loss', () => {
+    assert.ok(Math.abs(calculateExpectedScore(1600, 1200) - 10 / 11) < 1e-12);
+    assert.ok(Math.abs(calculateExpectedScore(1200, 1600) - 1 / 11) < 1e-12);
+});
+
+test('calculateNewRating moves the rating by K times the surprise', () => {
+    assert.strictEqual(calculateNewRating(1200, 0.5, 1), 1216);
+    assert.strictEqual(calculateNewRating(1200, 0.5, 0, 64), 1168);
+});
+
+test('ratings never drop below the minimum', () => {
+    assert.strictEqual(calculateNewRating(110, 0.5, 0), 100);
+    assert.strictEqual(calculateEloChanges(1000, 100).loserRating, 100);
+});
+
+test('established players trade exactly the same points', () => {
+    for (const [winner, loser] of [[1200, 1200], [1500, 1200], [1200, 1500], [2000, 900]]) {
+        const { winnerChange, loserChange } = calculateEloChanges(winner, loser);
+        assert.strictEqual(winnerChange + loserChange, 0, `${winner} vs ${loser}`);
+    }
+    assert.deepStrictEqual(calculateEloChanges(1200, 1200),
+        { winnerRating: 1216, loserRating: 1184, winnerChange: 16, loserChange: -16 });
+});
+
+test('an upset is worth more than a win over a weaker player', () => {
+    const favourite = calculateEloChanges(1500, 1200);
+    const underdog = calculateEloChanges(1200, 1500);
+
+    assert.ok(underdog.winnerChange > favourite.winnerChange);
+    assert.strictEqual(favourite.winnerChange + underdog.winnerChange, 32);
+});
+
+test('the provisional K-factor only doubles the provisional player\'s own change', () => {
+    const established = calculateEloChanges(1200, 1200);
+    const newWinner = calculateEloChanges(1200, 1200, { winnerProvisional: true });
+    const newLoser = calculateEloChanges(1200, 1200, { loserProvisional: true });
+
+    assert.strictEqual(newWinner.winnerChange, 2 * established.winnerChange);
+    assert.strictEqual(newWinner.loserChange, established.loserChange);
+    assert.strictEqual(newLoser.loserChange, 2 * established.loserChange);
+    assert.strictEqual(newLoser.winnerChange, established.winnerChange);
+});
@@ -0,0 +1,80 @@
+/**
+ * Glicko-2 rating tests
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { inflateDeviation, updateGlicko2 } = require('../utils/glicko2');
+
+const TAU = 0.5;
+const SCALE = 173.7178;
+
+/**
+ * Check that a number is within a tolerance of the expected value
+ * @param {number} actual - Computed value
+ * @param {number} expected - Expected value
+ * @param {number} tolerance - Allowed difference
+ */
+function assertClose(actual, expected, tolerance) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+test('a single game matches the steps of Glickman\'s example', () => {
+    // The first game of the paper's example, worked through by hand:
+    // g = 0.9955, E = 0.6390, v = 1 / (g^2 E (1 - E)), phi' = 1 / sqrt(1 / (phi^2 + sigma^2) + 1 / v)
+    const player = { rating: 1500, deviation: 200, volatility: 0.06 };
+    const opponent = { rating: 1400, deviation: 30 };
+    const phi = 200 / SCALE;
+    const g = 1 / Math.sqrt(1 + 3 * (30 / SCALE) ** 2 / Math.PI ** 2);
+    const expected = 1 / (1 + Math.exp(-g * (100 / SCALE)));
+    const v = 1 / (g * g * expected * (1 - expected));
+
+    const result = updateGlicko2(player, opponent, 1, TAU);
+
+    const newPhi = result.deviation / SCALE;
+    assertClose(newPhi, 1 / Math.sqrt(1 / (phi * phi + result.volatility ** 2) + 1 / v), 1e-9);
+    assertClose(result.rating, 1500 + SCALE * newPhi * newPhi * g * (1 - expected), 1e-9);
+    assertClose(result.rating, 1563.6, 0.1);
+    assertClose(result.deviation, 175.4, 0.1);
+    assertClose(result.volatility, 0.06, 0.0001);
+});
+
+test('a win raises the rating and a loss lowers it', () => {
+    const player = { rating: 1500, deviation: 100, volatility: 0.06 };
+    const opponent = { rating: 1500, deviation: 100 };
+
+    assert.ok(updateGlicko2(player, opponent, 1, TAU).rating > 1500);
+    assert.ok(updateGlicko2(player, opponent, 0, TAU).rating < 1500);
+    assertClose(updateGlicko2(player, opponent, 0.5, TAU).rating, 1500, 1e-9);
+});
+
+test('equal players move by the same amount in opposite directions', () => {
+    const state = { rating: 1500, deviation: 120, volatility: 0.06 };
+    const winner = updateGlicko2(state, state, 1, TAU);
+    const loser = updateGlicko2(state, state, 0, TAU);
+
+    assertClose(winner.rating - 1500, 1500 - loser.rating, 1e-9);
+    assertClose(winner.deviation, loser.deviation, 1e-9);
+});
+
+test('playing a game makes the rating more certain', () => {
+    const player = { rating: 1500, deviation: 350, volatility: 0.06 };
+    const result = updateGlicko2(player, { rating: 1500, deviation: 350 }, 1, TAU);
+
+    assert.ok(result.deviation < 350);
+});
+
+test('an uncertain rating moves more than a settled one', () => {
+    const opponent = { rating: 1500, deviation: 50 };
+    const newcomer = updateGlicko2({ rating: 1500, deviation: 350, volatility: 0.06 }, opponent, 1, TAU);
+    const veteran = updateGlicko2({ rating: 1500, deviation: 50, volatility: 0.06 }, opponent, 1, TAU);
+
+    assert.ok(newcomer.rating - 1500 > veteran.rating - 1500);
+});
+
+test('inflateDeviation widens an idle rating up to the maximum', () => {
+    assert.strictEqual(inflateDeviation(50, 0.06, 0, 350), 50);
+
+    const phi = 50 / SCALE;
+    assertClose(inflateDeviation(50, 0.06, 4, 350), Math.sqrt(phi * phi + 4 * 0.06 * 0.06) * SCALE, 1e-9);
+    assert.strictEqual(inflateDeviation(300, 0.06, 10000, 350), 350);
+});
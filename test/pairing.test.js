@@ -0,0 +1,108 @@
+/**
+ * Matchmaking pairing tests
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config/config');
+const { getEloWindow, getQueueKey, isCompatible, findPairs } = require('../utils/pairing');
+
+const { eloWindowBase, eloWindowGrowth, eloWindowMax } = config.game;
+const NOW = new Date('2025-06-01T12:00:00Z').getTime();
+
+/**
+ * Create a waiting queue entry with its current window
+ * @param {number} userId - The player
+ * @param {number} elo - Matchmaking rating
+ * @param {Object} options - { waitSeconds, skill, gameMode, ranked }
+ * @returns {Object} Queue entry
+ */
+function createEntry(userId, elo, { waitSeconds = 0, skill = 'any', gameMode = 'classic', ranked = true } = {}) {
+    const entry = {
+        userId,
+        elo,
+        preferences: { gameMode, skill, ranked },
+        joinedAt: new Date(NOW - waitSeconds * 1000),
+        status: 'waiting'
+    };
+    entry.window = getEloWindow(entry, NOW);
+    return entry;
+}
+
+test('a new player accepts the base Elo window', () => {
+    const { window } = createEntry(1, 1200);
+
+    assert.deepStrictEqual(window, { eloMin: 1200 - eloWindowBase, eloMax: 1200 + eloWindowBase });
+});
+
+test('the window widens with the wait and stops at the maximum', () => {
+    const waited = createEntry(1, 1200, { waitSeconds: 10 });
+    const range = eloWindowBase + eloWindowGrowth * 10;
+    assert.deepStrictEqual(waited.window, { eloMin: 1200 - range, eloMax: 1200 + range });
+
+    const longWait = (eloWindowMax - eloWindowBase) / eloWindowGrowth + 60;
+    const capped = createEntry(2, 1200, { waitSeconds: longWait });
+    assert.deepStrictEqual(capped.window, { eloMin: 1200 - eloWindowMax, eloMax: 1200 + eloWindowMax });
+});
+
+test('the skill preference scales the window', () => {
+    const close = createEntry(1, 1200, { skill: 'close' });
+    const wide = createEntry(2, 1200, { skill: 'wide' });
+    const unknown = createEntry(3, 1200, { skill: 'bogus' });
+
+    assert.strictEqual(close.window.eloMax - 1200, Math.round(eloWindowBase * 0.5));
+    assert.strictEqual(wide.window.eloMax - 1200, eloWindowBase * 2);
+    assert.strictEqual(unknown.window.eloMax - 1200, eloWindowBase);
+});
+
+test('players queue by game mode and ranked preference', () => {
+    assert.strictEqual(getQueueKey(createEntry(1, 1200)), 'classic:ranked');
+    assert.strictEqual(getQueueKey(createEntry(2, 1200, { gameMode: 'insane', ranked: false })), 'insane:casual');
+});
+
+test('players are compatible only when each accepts the other', () => {
+    const a = createEntry(1, 1200);
+    const b = createEntry(2, 1200 + eloWindowBase);
+    const tooFar = createEntry(3, 1200 + eloWindowBase + 1);
+    const narrow = createEntry(4, 1200 + eloWindowBase / 2 + 10, { skill: 'close' });
+
+    assert.strictEqual(isCompatible(a, b), true);
+    assert.strictEqual(isCompatible(b, a), true);
+    assert.strictEqual(isCompatible(a, tooFar), false);
+    // a accepts the player with a close window, who does not accept a
+    assert.strictEqual(isCompatible(a, narrow), false);
+});
+
+test('players in different queues are never compatible', () => {
+    const ranked = createEntry(1, 1200);
+
+    assert.strictEqual(isCompatible(ranked, createEntry(2, 1200, { ranked: false })), false);
+    assert.strictEqual(isCompatible(ranked, createEntry(3, 1200, { gameMode: 'beta' })), false);
+});
+
+test('findPairs puts the closest Elo pair first', () => {
+    const a = createEntry(1, 1200);
+    const b = createEntry(2, 1250);
+    const c = createEntry(3, 1210);
+
+    const pairs = findPairs([a, b, c]);
+
+    assert.deepStrictEqual(pairs.map(pair => [pair.first.userId, pair.second.userId, pair.eloDiff]),
+        [[1, 3, 10], [2, 3, 40], [1, 2, 50]]);
+});
+
+test('findPairs breaks ties by the longest wait and lists that player first', () => {
+    const newcomer = createEntry(1, 1200);
+    const veteran = createEntry(2, 1220, { waitSeconds: 30 });
+    const regular = createEntry(3, 1180, { waitSeconds: 5 });
+
+    const pairs = findPairs([newcomer, veteran, regular]);
+
+    assert.deepStrictEqual(pairs.slice(0, 2).map(pair => [pair.first.userId, pair.second.userId]),
+        [[2, 1], [3, 1]]);
+});
+
+test('findPairs leaves incompatible players unpaired', () => {
+    assert.deepStrictEqual(findPairs([createEntry(1, 1000), createEntry(2, 2000)]), []);
+    assert.deepStrictEqual(findPairs([createEntry(1, 1200)]), []);
+    assert.deepStrictEqual(findPairs([]), []);
+});
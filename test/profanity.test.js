@@ -0,0 +1,34 @@
+/**
+ * Chat profanity filter tests
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { filterProfanity } = require('../utils/profanity');
+
+test('blocked words are masked with one asterisk per character', () => {
+    assert.strictEqual(filterProfanity('well shit'), 'well ****');
+    assert.strictEqual(filterProfanity('you bastard, you'), 'you *******, you');
+});
+
+test('matching ignores case', () => {
+    assert.strictEqual(filterProfanity('SHIT and Fuck'), '**** and ****');
+});
+
+test('latin words only match as whole words', () => {
+    assert.strictEqual(filterProfanity('dickens wrote classics in the shitake era'), 'dickens wrote classics in the shitake era');
+    assert.strictEqual(filterProfanity('dick.'), '****.');
+});
+
+test('chinese words match inside a sentence', () => {
+    assert.strictEqual(filterProfanity('你这个傻逼吧'), '你这个**吧');
+    assert.strictEqual(filterProfanity('快滚蛋'), '快**');
+});
+
+test('every occurrence is masked', () => {
+    assert.strictEqual(filterProfanity('shit shit shit'), '**** **** ****');
+});
+
+test('clean text is left unchanged', () => {
+    assert.strictEqual(filterProfanity('gg, well played 天下太平'), 'gg, well played 天下太平');
+    assert.strictEqual(filterProfanity(''), '');
+});
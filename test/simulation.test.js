@@ -0,0 +1,164 @@
+/**
+ * Battle simulation tests
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { TOWER_HEALTH } = require('../js/shared/units');
+const { FIELD, initGameState, spawnUnit, stepSimulation, getSnapshot } = require('../models/simulation');
+
+const TICK = 100;
+
+/**
+ * Create a room with two players and a fresh game state
+ * @param {string} gameMode - Game mode ID
+ * @returns {Object} The room
+ */
+function createRoom(gameMode = 'classic') {
+    const room = {
+        id: 'test-room',
+        gameMode,
+        players: [{ id: 'p1', username: 'left' }, { id: 'p2', username: 'right' }]
+    };
+    initGameState(room);
+    return room;
+}
+
+/**
+ * Step a room until a condition holds or the time runs out
+ * @param {Object} room - The room
+ * @param {Function} done - Receives the tick result, returns true to stop
+ * @param {number} maxMs - Simulated time limit
+ * @returns {Object|null} The tick result that stopped the loop
+ */
+function runUntil(room, done, maxMs = 60000) {
+    for (let elapsed = 0; elapsed < maxMs; elapsed += TICK) {
+        const result = stepSimulation(room, TICK);
+        if (done(result)) return result;
+    }
+    return null;
+}
+
+test('initGameState gives each player a side, starting gold and a full tower', () => {
+    const room = createRoom('insane');
+    const { gameState } = room;
+
+    assert.deepStrictEqual(gameState.sides, { p1: 'left', p2: 'right' });
+    assert.deepStrictEqual(gameState.gold, { p1: 1000, p2: 1000 });
+    assert.strictEqual(gameState.towers.p1.health, TOWER_HEALTH);
+    assert.strictEqual(gameState.units.length, 0);
+    assert.strictEqual(gameState.winner, null);
+});
+
+test('spawnUnit charges the unit cost and places it at the owner\'s tower', () => {
+    const room = createRoom();
+    const { success, unit } = spawnUnit(room, 'p2', 'soldier');
+
+    assert.strictEqual(success, true);
+    assert.strictEqual(room.gameState.gold.p2, 300);
+    assert.strictEqual(unit.side, 'right');
+    assert.strictEqual(unit.x, FIELD.towerX.right);
+    assert.ok(unit.y >= FIELD.spawnMinY && unit.y <= FIELD.spawnMaxY);
+});
+
+test('spawnUnit puts barriers in front of the tower', () => {
+    const room = createRoom();
+    const { unit } = spawnUnit(room, 'p1', 'barrier');
+
+    assert.strictEqual(unit.y, FIELD.towerY);
+});
+
+test('spawnUnit rejects unknown players, units outside the mode and missing gold', () => {
+    const room = createRoom();
+
+    assert.deepStrictEqual(spawnUnit(room, 'p3', 'soldier'), { success: false, error: 'not_in_game' });
+    assert.deepStrictEqual(spawnUnit(room, 'p1', 'berserker'), { success: false, error: 'unit_not_available_in_mode' });
+
+    spawnUnit(room, 'p1', 'soldier');
+    spawnUnit(room, 'p1', 'soldier');
+    assert.deepStrictEqual(spawnUnit(room, 'p1', 'soldier'), { success: false, error: 'not_enough_gold' });
+    assert.strictEqual(room.gameState.gold.p1, 100);
+});
+
+test('a miner walks to a mineral and brings in the mode\'s mining rate', () => {
+    const room = createRoom();
+    spawnUnit(room, 'p1', 'miner');
+    const goldAfterSpawn = room.gameState.gold.p1;
+
+    const result = runUntil(room, tick => tick.income.length > 0);
+
+    assert.ok(result, 'the miner never produced income');
+    assert.deepStrictEqual(result.income, [{ playerId: 'p1', amount: 50 }]);
+    assert.strictEqual(room.gameState.gold.p1, goldAfterSpawn + 50);
+    assert.strictEqual(room.gameState.units[0].state, 'mining');
+});
+
+test('a soldier marches on the enemy tower and wins the game when it falls', () => {
+    const room = createRoom();
+    spawnUnit(room, 'p1', 'soldier');
+    room.gameState.towers.p2.health = 25;
+
+    const result = runUntil(room, tick => tick.winner);
+
+    assert.ok(result, 'the tower never fell');
+    assert.strictEqual(result.winner, 'p1');
+    assert.strictEqual(room.gameState.towers.p2.health, 0);
+    assert.ok(room.gameState.endedAt instanceof Date);
+});
+
+test('a finished game no longer advances', () => {
+    const room = createRoom();
+    room.gameState.winner = 'p2';
+    const tick = room.gameState.tick;
+
+    assert.deepStrictEqual(stepSimulation(room, TICK), { deaths: [], income: [], winner: 'p2' });
+    assert.strictEqual(room.gameState.tick, tick);
+});
+
+test('opposing soldiers fight each other before the towers', () => {
+    const room = createRoom();
+    spawnUnit(room, 'p1', 'soldier');
+    spawnUnit(room, 'p2', 'soldier');
+
+    const result = runUntil(room, tick => tick.deaths.length > 0);
+
+    assert.ok(result, 'neither soldier died');
+    assert.strictEqual(room.gameState.towers.p1.health, TOWER_HEALTH);
+    assert.strictEqual(room.gameState.towers.p2.health, TOWER_HEALTH);
+});
+
+test('a scout hunts enemy miners before the tower', () => {
+    const room = createRoom('beta');
+    spawnUnit(room, 'p1', 'scout');
+    const { unit: miner } = spawnUnit(room, 'p2', 'miner');
+
+    const result = runUntil(room, tick => tick.deaths.length > 0);
+
+    assert.ok(result, 'the miner survived');
+    assert.deepStrictEqual(result.deaths.map(unit => unit.id), [miner.id]);
+    assert.strictEqual(room.gameState.towers.p2.health, TOWER_HEALTH);
+});
+
+test('rock-paper-scissors buffs multiply damage and run out', () => {
+    const room = createRoom();
+    spawnUnit(room, 'p1', 'soldier');
+    room.gameState.buffs.p1 = { multiplier: 2, remaining: 60000 };
+
+    runUntil(room, () => room.gameState.towers.p2.health < TOWER_HEALTH);
+    assert.strictEqual(room.gameState.towers.p2.health, TOWER_HEALTH - 20);
+
+    room.gameState.buffs.p1.remaining = TICK;
+    stepSimulation(room, TICK);
+    assert.strictEqual(room.gameState.buffs.p1, undefined);
+});
+
+test('getSnapshot lists the left player first', () => {
+    const room = createRoom();
+    room.gameState.sides = { p1: 'right', p2: 'left' };
+    spawnUnit(room, 'p2', 'miner');
+
+    const snapshot = getSnapshot(room);
+
+    assert.deepStrictEqual(snapshot.players.map(p => p.id), ['p2', 'p1']);
+    assert.strictEqual(snapshot.units[0].isLeftPlayer, true);
+    assert.strictEqual(snapshot.players[0].gold, 400);
+});
@@ -0,0 +1,124 @@
+/**
+ * Glicko-2 Rating System Utilities
+ * Rating updates following Glickman's "Example of the Glicko-2 system", with
+ * every game treated as a rating period of its own
+ */
+
+// Converts ratings and deviations between the Glicko and Glicko-2 scales
+const SCALE = 173.7178;
+
+// Precision of the volatility iteration
+const CONVERGENCE_TOLERANCE = 0.000001;
+
+/**
+ * Weight that reduces the impact of an opponent with an uncertain rating
+ * @param {number} phi - Opponent deviation on the Glicko-2 scale
+ * @returns {number} Weight between 0 and 1
+ */
+function g(phi) {
+    return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+/**
+ * Expected score against an opponent
+ * @param {number} ratingDiff - Player rating minus opponent rating, on the Glicko-2 scale
+ * @param {number} opponentPhi - Opponent deviation on the Glicko-2 scale
+ * @returns {number} Expected score (between 0 and 1)
+ */
+function expectedScore(ratingDiff, opponentPhi) {
+    return 1 / (1 + Math.exp(-g(opponentPhi) * ratingDiff));
+}
+
+/**
+ * Find the new volatility with the Illinois algorithm (step 5 of the paper)
+ * @param {number} phi - Player deviation on the Glicko-2 scale
+ * @param {number} sigma - Player volatility
+ * @param {number} v - Estimated variance of the rating from the game
+ * @param {number} delta - Estimated rating improvement from the game
+ * @param {number} tau - System constant limiting volatility changes
+ * @returns {number} New volatility
+ */
+function computeVolatility(phi, sigma, v, delta, tau) {
+    const a = Math.log(sigma * sigma);
+    const f = (x) => {
+        const ex = Math.exp(x);
+        const denominator = phi * phi + v + ex;
+        return ex * (delta * delta - phi * phi - v - ex) / (2 * denominator * denominator) - (x - a) / (tau * tau);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+        B = Math.log(delta * delta - phi * phi - v);
+    } else {
+        let k = 1;
+        while (f(a - k * tau) < 0) k++;
+        B = a - k * tau;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+        const C = A + (A - B) * fA / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) {
+            A = B;
+            fA = fB;
+        } else {
+            fA /= 2;
+        }
+        B = C;
+        fB = fC;
+    }
+
+    return Math.exp(A / 2);
+}
+
+/**
+ * Widen a deviation for rating periods in which the player had no games
+ * @param {number} deviation - Current rating deviation
+ * @param {number} volatility - Current volatility
+ * @param {number} periods - Number of idle rating periods
+ * @param {number} maxDeviation - Deviation of an unrated player, the upper bound
+ * @returns {number} The widened deviation
+ */
+function inflateDeviation(deviation, volatility, periods, maxDeviation) {
+    if (periods <= 0) return deviation;
+
+    const phi = deviation / SCALE;
+    return Math.min(maxDeviation, Math.sqrt(phi * phi + periods * volatility * volatility) * SCALE);
+}
+
+/**
+ * Rate a single game for one player
+ * @param {Object} player - The player's { rating, deviation, volatility }
+ * @param {Object} opponent - The opponent's { rating, deviation }
+ * @param {number} score - 1 for a win, 0.5 for a draw, 0 for a loss
+ * @param {number} tau - System constant limiting volatility changes
+ * @returns {Object} The player's new { rating, deviation, volatility }
+ */
+function updateGlicko2(player, opponent, score, tau) {
+    const phi = player.deviation / SCALE;
+    const opponentPhi = opponent.deviation / SCALE;
+    const ratingDiff = (player.rating - opponent.rating) / SCALE;
+
+    const weight = g(opponentPhi);
+    const expected = expectedScore(ratingDiff, opponentPhi);
+    const v = 1 / (weight * weight * expected * (1 - expected));
+    const delta = v * weight * (score - expected);
+
+    const volatility = computeVolatility(phi, player.volatility, v, delta, tau);
+    const preRatingPhi = Math.sqrt(phi * phi + volatility * volatility);
+    const newPhi = 1 / Math.sqrt(1 / (preRatingPhi * preRatingPhi) + 1 / v);
+
+    return {
+        rating: player.rating + SCALE * newPhi * newPhi * weight * (score - expected),
+        deviation: newPhi * SCALE,
+        volatility
+    };
+}
+
+module.exports = {
+    inflateDeviation,
+    updateGlicko2
+};
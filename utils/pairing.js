@@ -0,0 +1,81 @@
+/**
+ * Matchmaking Pairing Utilities
+ * Elo windows of queued players and the choice of which players to pair
+ */
+const config = require('../config/config');
+
+// How much each skill preference scales a player's Elo window
+const SKILL_WINDOW_FACTORS = {
+    close: 0.5,
+    any: 1,
+    wide: 2
+};
+
+/**
+ * Get the Elo range a queued player currently accepts
+ * The range starts at the base window and widens with the time spent waiting
+ * @param {Object} entry - Queue entry
+ * @param {number} now - Current timestamp
+ * @returns {Object} { eloMin, eloMax }
+ */
+function getEloWindow(entry, now = Date.now()) {
+    const { eloWindowBase, eloWindowGrowth, eloWindowMax } = config.game;
+    const waitSeconds = Math.max(0, (now - entry.joinedAt) / 1000);
+    const factor = SKILL_WINDOW_FACTORS[entry.preferences.skill] || SKILL_WINDOW_FACTORS.any;
+    const range = Math.round(Math.min(eloWindowBase + eloWindowGrowth * waitSeconds, eloWindowMax) * factor);
+
+    return { eloMin: entry.elo - range, eloMax: entry.elo + range };
+}
+
+/**
+ * Get the key of the queue a player waits in
+ * Only players in the same queue can be paired
+ * @param {Object} entry - Queue entry
+ * @returns {string} Queue key
+ */
+function getQueueKey(entry) {
+    return `${entry.preferences.gameMode}:${entry.preferences.ranked ? 'ranked' : 'casual'}`;
+}
+
+/**
+ * Check whether two queued players accept each other
+ * @param {Object} a - First queue entry
+ * @param {Object} b - Second queue entry
+ * @returns {boolean} Whether they can be paired
+ */
+function isCompatible(a, b) {
+    return getQueueKey(a) === getQueueKey(b) &&
+        b.elo >= a.window.eloMin && b.elo <= a.window.eloMax &&
+        a.elo >= b.window.eloMin && a.elo <= b.window.eloMax;
+}
+
+/**
+ * Find every compatible pair among waiting players, best pair first
+ * Pairs are ranked by Elo difference, then by the longest wait. A player can
+ * appear in several pairs; the caller skips pairs whose players were taken
+ * @param {Array<Object>} players - Waiting queue entries with current windows
+ * @returns {Array<Object>} { first, second, eloDiff } with `first` the player who queued first
+ */
+function findPairs(players) {
+    const pairs = [];
+    for (let i = 0; i < players.length - 1; i++) {
+        for (let j = i + 1; j < players.length; j++) {
+            if (isCompatible(players[i], players[j])) {
+                const [first, second] = players[i].joinedAt <= players[j].joinedAt
+                    ? [players[i], players[j]]
+                    : [players[j], players[i]];
+                pairs.push({ first, second, eloDiff: Math.abs(first.elo - second.elo) });
+            }
+        }
+    }
+
+    return pairs.sort((a, b) => a.eloDiff - b.eloDiff || a.first.joinedAt - b.first.joinedAt);
+}
+
+module.exports = {
+    SKILL_WINDOW_FACTORS,
+    getEloWindow,
+    getQueueKey,
+    isCompatible,
+    findPairs
+};
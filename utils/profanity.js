@@ -0,0 +1,53 @@
+/**
+ * Profanity Filter Utilities
+ * Masks blocked words in user-written text
+ */
+const config = require('../config/config');
+
+// Built-in blocked words; more can be added with CHAT_BLOCKED_WORDS
+const DEFAULT_BLOCKED_WORDS = [
+    'fuck', 'shit', 'bitch', 'asshole', 'bastard', 'cunt', 'dick', 'motherfucker',
+    '傻逼', '煞笔', '操你', '妈的', '他妈', '滚蛋', '贱人'
+];
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the matcher for a word list
+ * Latin words only match whole words so e.g. "class" is left alone; CJK words
+ * match anywhere because the script has no spaces between words
+ * @param {Array<string>} words - Blocked words
+ * @returns {RegExp|null} Case-insensitive matcher, or null for an empty list
+ */
+function buildMatcher(words) {
+    if (words.length === 0) return null;
+
+    const patterns = words.map(word => {
+        const escaped = escapeRegExp(word);
+        return /^[\w\s]+$/.test(word) ? `\\b${escaped}\\b` : escaped;
+    });
+    return new RegExp(patterns.join('|'), 'gi');
+}
+
+const matcher = buildMatcher([...new Set([...DEFAULT_BLOCKED_WORDS, ...config.chat.blockedWords])]);
+
+/**
+ * Replace every blocked word in a text with asterisks
+ * @param {string} text - Text to clean
+ * @returns {string} The text with blocked words masked
+ */
+function filterProfanity(text) {
+    if (!matcher) return text;
+    return text.replace(matcher, match => '*'.repeat(match.length));
+}
+
+module.exports = {
+    filterProfanity
+};
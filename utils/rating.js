@@ -0,0 +1,134 @@
+/**
+ * Rating System Utilities
+ * Pluggable rating calculation: the active system turns two players' rating
+ * states and a match result into their new states
+ *
+ * A rating state is { rating, deviation, volatility, gamesPlayed, lastPlayedAt }.
+ * Elo only moves the rating; Glicko-2 also tracks how certain the rating is
+ * (deviation) and how erratic the player's results are (volatility)
+ */
+const config = require('../config/config');
+const { getSetting } = require('../models/settings');
+const { calculateEloChanges } = require('./elo');
+const { inflateDeviation, updateGlicko2 } = require('./glicko2');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a rating is still provisional
+ * @param {Object} state - Rating state
+ * @returns {boolean} Whether fewer than the provisional number of games were rated
+ */
+function isProvisional(state) {
+    return state.gamesPlayed < config.rating.provisionalGames;
+}
+
+/**
+ * Rating systems by name
+ * rateMatch returns the new rating fields of winner and loser; leaderboardWhere
+ * returns the Prisma filter for ratings shown on leaderboards
+ */
+const RATING_SYSTEMS = {
+    elo: {
+        rateMatch(winner, loser) {
+            const changes = calculateEloChanges(winner.rating, loser.rating, {
+                winnerProvisional: isProvisional(winner),
+                loserProvisional: isProvisional(loser)
+            });
+            return {
+                winner: { rating: changes.winnerRating },
+                loser: { rating: changes.loserRating }
+            };
+        },
+        leaderboardWhere() {
+            // Every Elo rating is ranked, however few games it rests on
+            return {};
+        }
+    },
+    glicko2: {
+        rateMatch(winner, loser, now) {
+            // Deviations widen for the rating periods a player sat out
+            const current = (state) => ({
+                ...state,
+                deviation: inflateDeviation(
+                    state.deviation,
+                    state.volatility,
+                    state.lastPlayedAt
+                        ? Math.floor((now - new Date(state.lastPlayedAt)) / (config.rating.ratingPeriodDays * DAY_MS))
+                        : 0,
+                    config.rating.initialDeviation
+                )
+            });
+            const winnerBefore = current(winner);
+            const loserBefore = current(loser);
+
+            return {
+                winner: updateGlicko2(winnerBefore, loserBefore, 1, config.rating.glickoTau),
+                loser: updateGlicko2(loserBefore, winnerBefore, 0, config.rating.glickoTau)
+            };
+        },
+        leaderboardWhere() {
+            return {
+                gamesPlayed: { gte: config.rating.provisionalGames },
+                deviation: { lte: config.rating.leaderboardMaxDeviation }
+            };
+        }
+    }
+};
+
+/**
+ * Get the name of the active rating system
+ * @returns {string} 'elo' or 'glicko2'
+ */
+function getRatingSystemName() {
+    return RATING_SYSTEMS[getSetting('ratingSystem')] ? getSetting('ratingSystem') : 'elo';
+}
+
+/**
+ * Create the rating state of a player without rated games
+ * @param {number} rating - Starting rating; the default Elo setting if omitted
+ * @returns {Object} Rating state
+ */
+function initialRatingState(rating = getSetting('defaultElo')) {
+    return {
+        rating,
+        deviation: config.rating.initialDeviation,
+        volatility: config.rating.initialVolatility,
+        gamesPlayed: 0,
+        lastPlayedAt: null
+    };
+}
+
+/**
+ * Rate a decisive match with the active rating system
+ * @param {Object} winner - Winner's rating state
+ * @param {Object} loser - Loser's rating state
+ * @param {Date} now - When the match was played
+ * @returns {Object} { winner, loser } new rating states
+ */
+function rateMatch(winner, loser, now = new Date()) {
+    const result = RATING_SYSTEMS[getRatingSystemName()].rateMatch(winner, loser, now);
+
+    return {
+        winner: { ...winner, ...result.winner, gamesPlayed: winner.gamesPlayed + 1, lastPlayedAt: now },
+        loser: { ...loser, ...result.loser, gamesPlayed: loser.gamesPlayed + 1, lastPlayedAt: now }
+    };
+}
+
+/**
+ * Get the filter for ratings shown on leaderboards under the active system
+ * Elo ranks everyone; Glicko-2 leaves out provisional and uncertain ratings
+ * @returns {Object} Prisma where clause for UserRating
+ */
+function getLeaderboardWhere() {
+    return RATING_SYSTEMS[getRatingSystemName()].leaderboardWhere();
+}
+
+module.exports = {
+    RATING_SYSTEMS,
+    getRatingSystemName,
+    initialRatingState,
+    isProvisional,
+    rateMatch,
+    getLeaderboardWhere
+};